@@ -1,6 +1,7 @@
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
+const { createChannelCredentials } = require('../src/tls_credentials');
 
 // Load the protocol buffer
 const packageDefinition = protoLoader.loadSync(
@@ -16,17 +17,32 @@ const packageDefinition = protoLoader.loadSync(
 
 const gymProto = grpc.loadPackageDefinition(packageDefinition).gym_registration;
 
-// Create gRPC clients
-const serverAddress = 'localhost:50051';
-const sessionClient = new gymProto.SessionService(serverAddress, grpc.credentials.createInsecure());
-const traineeClient = new gymProto.TraineeService(serverAddress, grpc.credentials.createInsecure());
-const workoutClient = new gymProto.WorkoutService(serverAddress, grpc.credentials.createInsecure());
-const routineClient = new gymProto.RoutineService(serverAddress, grpc.credentials.createInsecure());
-const registrationClient = new gymProto.RegistrationService(serverAddress, grpc.credentials.createInsecure());
-
 class GymRegistrationGrpcClient {
-    constructor() {
+    // options: { address, tls, caFile, certFile, keyFile, serverName }; anything
+    // left out falls back to the GRPC_SERVER_ADDRESS / GRPC_TLS_* variables
+    constructor(options = {}) {
+        const { address, credentials, channelOptions } = createChannelCredentials(options);
+        this.sessionClient = new gymProto.SessionService(address, credentials, channelOptions);
+        this.traineeClient = new gymProto.TraineeService(address, credentials, channelOptions);
+        this.workoutClient = new gymProto.WorkoutService(address, credentials, channelOptions);
+        this.classSessionClient = new gymProto.ClassSessionService(address, credentials, channelOptions);
+        this.routineClient = new gymProto.RoutineService(address, credentials, channelOptions);
+        this.registrationClient = new gymProto.RegistrationService(address, credentials, channelOptions);
+        this.schedulingClient = new gymProto.SchedulingService(address, credentials, channelOptions);
+        this.auditClient = new gymProto.AuditService(address, credentials, channelOptions);
+        this.checkInClient = new gymProto.CheckInService(address, credentials, channelOptions);
+
         this.token = null;
+        this.refreshToken = null;
+
+        // Sends the current access token as `authorization` metadata on every call
+        this.callCredentials = grpc.credentials.createFromMetadataGenerator((params, callback) => {
+            const metadata = new grpc.Metadata();
+            if (this.token) {
+                metadata.set('authorization', `Bearer ${this.token}`);
+            }
+            callback(null, metadata);
+        });
     }
 
     // Helper to convert timestamp
@@ -53,11 +69,28 @@ class GymRegistrationGrpcClient {
         };
     }
 
+    // Helper for authenticated calls: on UNAUTHENTICATED the access token is
+    // refreshed once (if we hold a refresh token) and the call is retried
+    async authenticatedCall(client, method, request = {}) {
+        const call = this.promisify(client[method], client);
+        const options = { credentials: this.callCredentials };
+        try {
+            return await call(request, options);
+        } catch (error) {
+            if (error.code !== grpc.status.UNAUTHENTICATED || !this.refreshToken) {
+                throw error;
+            }
+            await this.refreshSession();
+            return call(request, options);
+        }
+    }
+
     async createSession(email, password) {
         try {
-            const createSession = this.promisify(sessionClient.CreateSession, sessionClient);
+            const createSession = this.promisify(this.sessionClient.CreateSession, this.sessionClient);
             const response = await createSession({ email, password });
             this.token = response.token;
+            this.refreshToken = response.refresh_token;
             console.log('✓ Login successful:', response);
             return response;
         } catch (error) {
@@ -66,12 +99,31 @@ class GymRegistrationGrpcClient {
         }
     }
 
+    async refreshSession() {
+        try {
+            const refreshSession = this.promisify(this.sessionClient.RefreshSession, this.sessionClient);
+            const response = await refreshSession({ refresh_token: this.refreshToken });
+            this.token = response.token;
+            this.refreshToken = response.refresh_token;
+            console.log('✓ Session refreshed');
+            return response;
+        } catch (error) {
+            // The refresh token is spent or revoked; a new login is required
+            this.token = null;
+            this.refreshToken = null;
+            console.error('✗ Session refresh failed:', error.message);
+            throw error;
+        }
+    }
+
     async deleteSession() {
         try {
-            const deleteSession = this.promisify(sessionClient.DeleteSession, sessionClient);
-            const response = await deleteSession({ token: this.token });
+            const response = await this.authenticatedCall(this.sessionClient, 'DeleteSession', {
+                refresh_token: this.refreshToken
+            });
             console.log('✓ Logout successful:', response);
             this.token = null;
+            this.refreshToken = null;
             return response;
         } catch (error) {
             console.error('✗ Logout failed:', error.message);
@@ -81,8 +133,7 @@ class GymRegistrationGrpcClient {
 
     async checkSession() {
         try {
-            const checkSession = this.promisify(sessionClient.CheckSession, sessionClient);
-            const response = await checkSession({ token: this.token });
+            const response = await this.authenticatedCall(this.sessionClient, 'CheckSession');
             console.log('✓ Session check successful:', response);
             return response;
         } catch (error) {
@@ -93,7 +144,7 @@ class GymRegistrationGrpcClient {
 
     async createTrainee(name, email, password, timezone) {
         try {
-            const createTrainee = this.promisify(traineeClient.CreateTrainee, traineeClient);
+            const createTrainee = this.promisify(this.traineeClient.CreateTrainee, this.traineeClient);
             const response = await createTrainee({ name, email, password, timezone });
             console.log('✓ Trainee created:', response);
             return response;
@@ -108,12 +159,13 @@ class GymRegistrationGrpcClient {
         }
     }
 
-    async listTrainees(page = 1, pageSize = 5) {
+    // filter / orderBy as described in the README, e.g. '"ann"' and 'name asc'
+    async listTrainees(page = 1, pageSize = 5, filter, orderBy) {
         try {
-            const listTrainees = this.promisify(traineeClient.ListTrainees, traineeClient);
-            const response = await listTrainees({
-                token: this.token,
-                pagination: { page, page_size: pageSize }
+            const response = await this.authenticatedCall(this.traineeClient, 'ListTrainees', {
+                pagination: { page, page_size: pageSize },
+                filter,
+                order_by: orderBy
             });
             console.log('✓ Trainees listed:', response);
             return response;
@@ -125,9 +177,7 @@ class GymRegistrationGrpcClient {
 
     async createWorkout(name, duration, description, color) {
         try {
-            const createWorkout = this.promisify(workoutClient.CreateWorkout, workoutClient);
-            const response = await createWorkout({
-                token: this.token,
+            const response = await this.authenticatedCall(this.workoutClient, 'CreateWorkout', {
                 name,
                 duration,
                 description,
@@ -141,10 +191,29 @@ class GymRegistrationGrpcClient {
         }
     }
 
-    async listWorkouts() {
+    // Sets the fields named in updateMask from `fields`; named fields missing
+    // from `fields` are cleared
+    async updateWorkout(workoutId, fields, updateMask) {
         try {
-            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
-            const response = await listWorkouts({ token: this.token });
+            const response = await this.authenticatedCall(this.workoutClient, 'UpdateWorkout', {
+                workout_id: workoutId,
+                ...fields,
+                update_mask: { paths: updateMask }
+            });
+            console.log('✓ Workout updated:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ Update workout failed:', error.message);
+            throw error;
+        }
+    }
+
+    async listWorkouts(filter, orderBy) {
+        try {
+            const response = await this.authenticatedCall(this.workoutClient, 'ListWorkouts', {
+                filter,
+                order_by: orderBy
+            });
             console.log('✓ Workouts listed:', response);
             return response;
         } catch (error) {
@@ -153,11 +222,41 @@ class GymRegistrationGrpcClient {
         }
     }
 
+    async createClassSession(workoutId, startTime, capacity, room, instructorId) {
+        try {
+            const response = await this.authenticatedCall(this.classSessionClient, 'CreateClassSession', {
+                workout_id: workoutId,
+                start_time: this.createTimestamp(startTime),
+                capacity,
+                room,
+                instructor_id: instructorId
+            });
+            console.log('✓ Class session created:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ Create class session failed:', error.message);
+            throw error;
+        }
+    }
+
+    async listClassSessions(from, to, timeZone) {
+        try {
+            const response = await this.authenticatedCall(this.classSessionClient, 'ListClassSessions', {
+                from: from ? this.createTimestamp(from) : null,
+                to: to ? this.createTimestamp(to) : null,
+                time_zone: timeZone
+            });
+            console.log('✓ Class sessions listed:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ List class sessions failed:', error.message);
+            throw error;
+        }
+    }
+
     async createRoutine(userId, availability) {
         try {
-            const createRoutine = this.promisify(routineClient.CreateRoutine, routineClient);
-            const response = await createRoutine({
-                token: this.token,
+            const response = await this.authenticatedCall(this.routineClient, 'CreateRoutine', {
                 user_id: userId,
                 availability
             });
@@ -169,17 +268,15 @@ class GymRegistrationGrpcClient {
         }
     }
 
-    async createRegistration(eventId, userId, inviteeEmail, startTime, endTime, status) {
+    // Start and end time are taken from the class session; a full session
+    // answers with registration_status REGISTRATION_STATUS_WAITLISTED
+    async createRegistration(classSessionId, userId, inviteeEmail, status) {
         try {
-            const createRegistration = this.promisify(registrationClient.CreateRegistration, registrationClient);
-            const response = await createRegistration({
-                token: this.token,
-                event_id: eventId,
+            const response = await this.authenticatedCall(this.registrationClient, 'CreateRegistration', {
+                class_session_id: classSessionId,
                 user_id: userId,
                 invitee_email: inviteeEmail,
-                start_time: this.createTimestamp(startTime),
-                end_time: endTime ? this.createTimestamp(endTime) : null,
-                status
+                registration_status: status
             });
             console.log('✓ Registration created:', response);
             return response;
@@ -188,6 +285,240 @@ class GymRegistrationGrpcClient {
             throw error;
         }
     }
+
+    // e.g. listRegistrations('status = "scheduled" AND start_time >= "2030-01-07T00:00:00Z"', 'start_time asc');
+    // pageToken is the previous response's pagination.next_page_token
+    async listRegistrations(filter, orderBy, timeZone, pageSize = 50, pageToken = '') {
+        try {
+            const response = await this.authenticatedCall(this.registrationClient, 'ListRegistrations', {
+                filter,
+                order_by: orderBy,
+                time_zone: timeZone,
+                pagination: { page_size: pageSize, page_token: pageToken, skip_total: true }
+            });
+            console.log('✓ Registrations listed:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ List registrations failed:', error.message);
+            throw error;
+        }
+    }
+
+    // Every registration matching the filter, a page at a time
+    async listAllRegistrations(filter, orderBy, timeZone) {
+        const registrations = [];
+        let pageToken = '';
+        do {
+            const response = await this.listRegistrations(filter, orderBy, timeZone, 100, pageToken);
+            registrations.push(...response.registrations);
+            pageToken = response.pagination.next_page_token;
+        } while (pageToken);
+        return registrations;
+    }
+
+    // recurrence: { frequency: 'WEEKLY' | 'BIWEEKLY', by_day, until | count, exception_dates };
+    // books every occurrence that has a matching class session
+    async createRecurringRegistration(classSessionId, userId, inviteeEmail, recurrence) {
+        try {
+            const response = await this.authenticatedCall(this.registrationClient, 'CreateRegistration', {
+                class_session_id: classSessionId,
+                user_id: userId,
+                invitee_email: inviteeEmail,
+                recurrence
+            });
+            console.log('✓ Recurring registration created:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ Create recurring registration failed:', error.message);
+            throw error;
+        }
+    }
+
+    // scope: RECURRENCE_SCOPE_THIS, RECURRENCE_SCOPE_THIS_AND_FOLLOWING or RECURRENCE_SCOPE_ALL
+    async cancelRegistration(registrationId, scope = 'RECURRENCE_SCOPE_THIS') {
+        try {
+            const response = await this.authenticatedCall(this.registrationClient, 'UpdateRegistration', {
+                registration_id: registrationId,
+                registration_status: 'REGISTRATION_STATUS_CANCELLED',
+                scope
+            });
+            console.log('✓ Registration cancelled:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ Cancel registration failed:', error.message);
+            throw error;
+        }
+    }
+
+    async addRecurrenceExceptions(seriesId, dates) {
+        try {
+            const response = await this.authenticatedCall(this.registrationClient, 'AddRecurrenceExceptions', {
+                series_id: seriesId,
+                dates
+            });
+            console.log('✓ Exception dates added:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ Add exception dates failed:', error.message);
+            throw error;
+        }
+    }
+
+    // Streams registration changes to onEvent until cancel() is called on the
+    // returned handle. A dropped connection is reopened with the resume token of
+    // the last event received, so nothing is missed in between.
+    watchRegistrations({ traineeId, eventId, from, to, resumeToken = '' } = {}, onEvent) {
+        let stream = null;
+        let cancelled = false;
+
+        const open = () => {
+            stream = this.registrationClient.WatchRegistrations({
+                trainee_id: traineeId,
+                event_id: eventId,
+                from: from ? this.createTimestamp(from) : null,
+                to: to ? this.createTimestamp(to) : null,
+                resume_token: resumeToken
+            }, { credentials: this.callCredentials });
+
+            stream.on('data', (event) => {
+                resumeToken = event.resume_token;
+                onEvent(event);
+            });
+            stream.on('error', (error) => {
+                if (cancelled || error.code === grpc.status.CANCELLED) return;
+                if (error.code === grpc.status.UNAVAILABLE) {
+                    console.log('! Registration watch disconnected, reconnecting...');
+                    setTimeout(open, 1000);
+                    return;
+                }
+                console.error('✗ Watch registrations failed:', error.message);
+            });
+        };
+
+        open();
+        return {
+            cancel: () => {
+                cancelled = true;
+                stream.cancel();
+            }
+        };
+    }
+
+    async getWaitlistPosition(registrationId) {
+        try {
+            const response = await this.authenticatedCall(this.registrationClient, 'GetWaitlistPosition', {
+                registration_id: registrationId
+            });
+            console.log('✓ Waitlist position:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ Get waitlist position failed:', error.message);
+            throw error;
+        }
+    }
+
+    // Workout times that fit the trainee's routine between from and to (at most 31 days)
+    async recommendSlots(traineeId, from, to, workoutId, limit) {
+        try {
+            const response = await this.authenticatedCall(this.schedulingClient, 'RecommendSlots', {
+                trainee_id: traineeId,
+                from: this.createTimestamp(from),
+                to: this.createTimestamp(to),
+                workout_id: workoutId,
+                limit
+            });
+            console.log('✓ Recommended slots:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ Recommend slots failed:', error.message);
+            throw error;
+        }
+    }
+
+    // Windows in which the trainees are free together, most trainees first (staff only)
+    async findCommonAvailability(traineeIds, from, to, minDurationMinutes, limit) {
+        try {
+            const response = await this.authenticatedCall(this.schedulingClient, 'FindCommonAvailability', {
+                trainee_ids: traineeIds,
+                from: this.createTimestamp(from),
+                to: this.createTimestamp(to),
+                min_duration_minutes: minDurationMinutes,
+                limit
+            });
+            console.log('✓ Common availability:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ Find common availability failed:', error.message);
+            throw error;
+        }
+    }
+
+    // filters: { actorId, entity, entityId, from, to } (admin only)
+    async listAuditEvents(filters = {}, page = 1, pageSize = 20) {
+        try {
+            const response = await this.authenticatedCall(this.auditClient, 'ListAuditEvents', {
+                actor_id: filters.actorId,
+                entity: filters.entity,
+                entity_id: filters.entityId,
+                from: filters.from ? this.createTimestamp(filters.from) : null,
+                to: filters.to ? this.createTimestamp(filters.to) : null,
+                pagination: { page, page_size: pageSize }
+            });
+            console.log('✓ Audit events listed:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ List audit events failed:', error.message);
+            throw error;
+        }
+    }
+
+    // Opens a kiosk's check-in stream (staff account) and keeps it alive with
+    // heartbeats. onDecision receives every CheckInDecision; scan(traineeId)
+    // sends a card scan and close() ends the stream.
+    openKiosk(kioskId, onDecision, heartbeatSeconds = 30) {
+        const stream = this.checkInClient.Stream({ credentials: this.callCredentials });
+        let scans = 0;
+
+        const heartbeat = () => stream.write({
+            kiosk_id: kioskId,
+            heartbeat: { sent_at: this.createTimestamp(new Date()) }
+        });
+        const timer = setInterval(heartbeat, heartbeatSeconds * 1000);
+        heartbeat();
+
+        stream.on('data', (reply) => {
+            if (reply.event === 'decision') onDecision(reply.decision);
+        });
+        stream.on('error', (error) => {
+            clearInterval(timer);
+            if (error.code !== grpc.status.CANCELLED) {
+                console.error('✗ Kiosk stream failed:', error.message);
+            }
+        });
+        stream.on('end', () => clearInterval(timer));
+
+        return {
+            scan: (traineeId) => stream.write({
+                kiosk_id: kioskId,
+                scan: { scan_id: `${kioskId}-${++scans}`, trainee_id: traineeId }
+            }),
+            close: () => {
+                clearInterval(timer);
+                stream.end();
+            }
+        };
+    }
+
+    async listKiosks() {
+        try {
+            const response = await this.authenticatedCall(this.checkInClient, 'ListKiosks');
+            console.log('✓ Kiosks listed:', response);
+            return response;
+        } catch (error) {
+            console.error('✗ List kiosks failed:', error.message);
+            throw error;
+        }
+    }
 }
 
 // Example usage
@@ -219,11 +550,22 @@ async function runExamples() {
 
         // Create a workout
         console.log('\n=== Creating Workout ===');
-        await client.createWorkout('HIIT Training', 45, 'High intensity interval training', '#FF5733');
+        const { workout } = await client.createWorkout('HIIT Training', 45, 'High intensity interval training', '#FF5733');
+
+        // Schedule a class for tomorrow
+        console.log('\n=== Scheduling Class Session ===');
+        const classStart = new Date();
+        classStart.setDate(classStart.getDate() + 1);
+        classStart.setHours(18, 0, 0, 0);
+        const { class_session: classSession } = await client.createClassSession(workout.id, classStart, 12, 'Studio 1');
+
+        // Rename the workout and drop its color in one update
+        console.log('\n=== Updating Workout ===');
+        await client.updateWorkout(workout.id, { name: 'HIIT Training Plus' }, ['name', 'color']);
 
-        // List workouts
+        // List workouts of 30 to 60 minutes, longest first
         console.log('\n=== Listing Workouts ===');
-        await client.listWorkouts();
+        await client.listWorkouts('duration >= 30 AND duration <= 60', 'duration desc');
 
         // Create a routine (if we have a user ID)
         if (testUserId) {
@@ -234,21 +576,9 @@ async function runExamples() {
             ];
             await client.createRoutine(testUserId, availability);
 
-            // Create a registration
+            // Book the class
             console.log('\n=== Creating Registration ===');
-            const startTime = new Date();
-            startTime.setHours(startTime.getHours() + 1);
-            const endTime = new Date();
-            endTime.setHours(endTime.getHours() + 2);
-
-            await client.createRegistration(
-                'event-123',
-                testUserId,
-                'test@example.com',
-                startTime,
-                endTime,
-                'scheduled'
-            );
+            await client.createRegistration(classSession.id, testUserId, 'test@example.com', 'REGISTRATION_STATUS_SCHEDULED');
         }
 
         // Logout
@@ -14,8 +14,41 @@ const CONFIG = {
 };
 
 // Helper functions
+
+// Times are shown in the signed-in trainee's timezone rather than the
+// browser's, falling back to the browser's when they have none
+const userTimeZone = () => {
+    const user = typeof Auth !== 'undefined' ? Auth.getUser() : null;
+    if (!user || !user.timezone) return undefined;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: user.timezone });
+        return user.timezone;
+    } catch (error) {
+        return undefined;
+    }
+};
+
 const formatDate = (date) => {
-    return new Date(date).toLocaleString();
+    return new Date(date).toLocaleString(undefined, { timeZone: userTimeZone(), timeZoneName: 'short' });
+};
+
+// Wall-clock parts of `date` in `timeZone` (the browser's when unset)
+const zonedParts = (date, timeZone) => {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    });
+    for (const { type, value } of formatter.formatToParts(date)) {
+        parts[type] = value;
+    }
+    return parts;
 };
 
 const formatTime = (time) => {
@@ -23,13 +56,19 @@ const formatTime = (time) => {
 };
 
 const formatDateTimeLocal = (date) => {
-    const d = new Date(date);
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    const hours = String(d.getHours()).padStart(2, '0');
-    const minutes = String(d.getMinutes()).padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}`;
+    const { year, month, day, hour, minute } = zonedParts(new Date(date), userTimeZone());
+    return `${year}-${month}-${day}T${hour}:${minute}`;
+};
+
+// ISO string for a datetime-local input value read in the user's timezone
+const parseDateTimeLocal = (value) => {
+    const naive = new Date(`${value}:00Z`).getTime();
+    const offsetAt = (instant) => {
+        const p = zonedParts(new Date(instant), userTimeZone());
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+    };
+    const firstGuess = naive - offsetAt(naive);
+    return new Date(naive - offsetAt(firstGuess)).toISOString();
 };
 
 // Export config for use in other files
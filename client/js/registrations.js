@@ -47,6 +47,32 @@ function populateTraineeSelect() {
     });
 }
 
+// Known statuses and their labels; anything else is shown as-is without a
+// status-specific class
+const STATUS_LABELS = {
+    scheduled: 'Scheduled',
+    confirmed: 'Confirmed',
+    checked_in: 'Checked in',
+    completed: 'Completed',
+    cancelled: 'Cancelled',
+    canceled: 'Cancelled',
+    no_show: 'No-show',
+    waitlisted: 'Waitlisted'
+};
+
+function statusBadge(status) {
+    const known = Object.prototype.hasOwnProperty.call(STATUS_LABELS, status);
+    const className = known ? `status-${status === 'canceled' ? 'cancelled' : status}` : 'status-unknown';
+    const label = known ? STATUS_LABELS[status] : escapeHtml(String(status));
+    return `<span class="status-badge ${className}">${label}</span>`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 function displayRegistrations(registrations) {
     const tbody = document.getElementById('registrations-tbody');
 
@@ -61,11 +87,7 @@ function displayRegistrations(registrations) {
             <td>${registration.eventId}</td>
             <td>${formatDate(registration.startTime)}</td>
             <td>${registration.endTime ? formatDate(registration.endTime) : '-'}</td>
-            <td>
-                <span class="status-badge status-${registration.status}">
-                    ${registration.status.charAt(0).toUpperCase() + registration.status.slice(1)}
-                </span>
-            </td>
+            <td>${statusBadge(registration.status)}</td>
             <td>${formatDate(registration.createdAt)}</td>
             <td>
                 <button onclick="editRegistration('${registration.id}')" class="btn btn-secondary">Edit</button>
@@ -181,10 +203,10 @@ document.getElementById('registration-form').addEventListener('submit', async (e
     const registrationData = Object.fromEntries(formData);
     const modalError = document.getElementById('modal-error');
 
-    // Convert datetime-local inputs to ISO strings
-    registrationData.startTime = new Date(registrationData.startTime).toISOString();
+    // Convert datetime-local inputs (entered in the user's timezone) to ISO strings
+    registrationData.startTime = parseDateTimeLocal(registrationData.startTime);
     if (registrationData.endTime) {
-        registrationData.endTime = new Date(registrationData.endTime).toISOString();
+        registrationData.endTime = parseDateTimeLocal(registrationData.endTime);
     }
 
     try {
@@ -220,12 +242,25 @@ style.textContent = `
     .status-scheduled {
         background-color: #007bff;
     }
-    .status-canceled {
-        background-color: #dc3545;
+    .status-confirmed {
+        background-color: #17a2b8;
+    }
+    .status-checked_in {
+        background-color: #6f42c1;
     }
     .status-completed {
         background-color: #28a745;
     }
+    .status-cancelled {
+        background-color: #dc3545;
+    }
+    .status-no_show {
+        background-color: #fd7e14;
+    }
+    .status-waitlisted,
+    .status-unknown {
+        background-color: #6c757d;
+    }
 `;
 document.head.appendChild(style);
 
@@ -7,11 +7,32 @@ const swaggerUi = require('swagger-ui-express');
 const yaml = require('yamljs');
 const path = require('path');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
-const bcrypt = require('bcrypt');
 require('dotenv').config();
 
+// Local modules read their configuration from the environment on load
+const { hashPassword, verifyPassword } = require('./src/passwords');
+const { createTokenStore, ACCESS_TOKEN_TTL_SECONDS } = require('./src/token_store');
+const { createLoginThrottle } = require('./src/login_throttle');
+const { createMailer } = require('./src/mailer');
+const { createAccountTokens } = require('./src/account_tokens');
+const { createPasswordReset } = require('./src/password_reset');
+const { createEmailVerification, blocksLogin, blocksRegistration } = require('./src/email_verification');
+const { createClassSessions, sessionEndTime, checkBookingTimes, bookedSeats, CLASS_SESSION_INCLUDE, WAITLISTED } = require('./src/class_sessions');
+const { STATUSES, RELEASED_STATUSES, normalizeStatus, checkStatusChange, checkStatusRole, recordStatusChange } = require('./src/registration_status');
+const { findOverlaps, overlapMessage } = require('./src/registration_overlaps');
+const { createAvailabilityCheck, rejects } = require('./src/availability');
+const { validateAvailability, toRestSlots } = require('./src/routine_slots');
+const { createScheduling } = require('./src/scheduling');
+const { checkTimeZone, formatInZone } = require('./src/timezones');
+const { createRegistrationSeries, describeSeries, isValidScope, SCOPES } = require('./src/registration_series');
+const { createRegistrationFeed } = require('./src/registration_feed');
+const { parseListQuery, andWhere } = require('./src/list_query');
+const { createListPages } = require('./src/list_pages');
+const { patchChanges } = require('./src/update_masks');
+const { createAuditLog, isValidEntity, ENTITIES, PROTOCOLS } = require('./src/audit_log');
+const { isRouteAllowed, canAccessTrainee, isStaff, isValidRole, roleOf, bootstrapRole, ROLES } = require('./src/access_policy');
+
 // Initialize Prisma client
 const prisma = new PrismaClient();
 
@@ -26,11 +47,41 @@ const port = process.env.PORT || 3000;
 // For demo purposes only; in production, store secrets in env variables
 const JWT_SECRET = process.env.JWT_SECRET;
 
-// Track revoked tokens for logout (in production use Redis or database)
-const revokedTokens = new Set();
+// Access tokens and their revocations (shared with the gRPC server)
+const tokenStore = createTokenStore(prisma, JWT_SECRET);
+
+// Failed login counters and lockouts (shared with the gRPC server)
+const loginThrottle = createLoginThrottle(prisma);
+
+// Mail and single-use account tokens for the forgot-password flow
+const mailer = createMailer();
+const accountTokens = createAccountTokens(prisma);
+const passwordReset = createPasswordReset({ prisma, accountTokens, tokenStore, mailer });
+const emailVerification = createEmailVerification({ prisma, accountTokens, mailer });
+
+// Audit trail of every write (shared with the gRPC server)
+const auditLog = createAuditLog(prisma);
+
+// Class schedule validation and seat-limited booking (shared with the gRPC server)
+const classSessions = createClassSessions(prisma);
+
+// Bookings compared with the trainee's routine (shared with the gRPC server)
+const availabilityCheck = createAvailabilityCheck(prisma);
+
+// Slot suggestions from routines (shared with the gRPC server)
+const scheduling = createScheduling(prisma);
+
+// Recurring registrations (shared with the gRPC server)
+const registrationSeries = createRegistrationSeries({ prisma, classSessions, availabilityCheck });
 
-// Middleware
-app.use(cors());
+// Registration changes made here reach the gRPC server's WatchRegistrations through it
+const registrationFeed = createRegistrationFeed(prisma);
+
+// Page tokens and page numbers for the list routes (shared with the gRPC server)
+const listPages = createListPages(prisma);
+
+// Middleware; routes answering with a bare array page through these headers
+app.use(cors({ exposedHeaders: ['X-Next-Page-Token', 'X-Total-Count'] }));
 app.use(express.json());
 
 // Create separate Swagger UI setup functions
@@ -53,7 +104,7 @@ app.get('/', (req, res) => {
 // ---------------------------------------------------------------------------
 // JWT Authentication Middleware
 // ---------------------------------------------------------------------------
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -61,26 +112,130 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ error: 'Authorization token missing' });
     }
 
-    // Check if token is revoked
-    if (revokedTokens.has(token)) {
-        return res.status(401).json({ error: 'Token is revoked' });
+    // Verify token
+    let userData;
+    try {
+        userData = tokenStore.verifyAccessToken(token);
+    } catch (err) {
+        return res.status(403).json({ error: 'Invalid token' });
     }
 
-    // Verify token
-    jwt.verify(token, JWT_SECRET, (err, userData) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid token' });
+    // Check if token is revoked
+    try {
+        if (await tokenStore.isRevoked(token, userData)) {
+            return res.status(401).json({ error: 'Token is revoked' });
         }
-        req.user = userData;
-        req.token = token; // store token if needed (e.g., for logout)
-        next();
+    } catch (error) {
+        console.error('Token revocation check error:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    // Role check against the route policy table
+    if (!isRouteAllowed(`${req.method} ${req.route.path}`, userData)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    req.user = userData;
+    req.token = token; // store token if needed (e.g., for logout)
+    next();
+}
+
+// Ownership rule: trainees may only act on their own profile, routine and registrations
+function denyOwnership(res, resource) {
+    return res.status(403).json({ error: `You may only access your own ${resource}` });
+}
+
+// Records a create/update/delete made by the caller. For updates pass the merged
+// record as `after`; only the fields that differ are stored. Registration
+// changes also go to the feed behind WatchRegistrations.
+async function audit(req, { actorId, action, entity, entityId, before, after }) {
+    if (entity === 'registration') await registrationFeed.publish(action, before, after);
+    return auditLog.record({
+        actorId: actorId || req.user?.traineeId,
+        action,
+        entity,
+        entityId,
+        before,
+        after,
+        protocol: PROTOCOLS.REST
+    });
+}
+
+// Registrations deleted or detached by a cascading delete, from
+// registrationFeed.deleteCascading(), are recorded as changes by its caller
+async function auditCascaded(req, cascaded) {
+    for (const { action, before, after } of cascaded) {
+        await audit(req, { action, entity: 'registration', entityId: before.id, before, after });
+    }
+}
+
+// Waitlist promotions are recorded as updates by whoever freed the seat
+async function auditPromotions(req, promoted) {
+    for (const registration of promoted) {
+        await audit(req, {
+            action: 'update',
+            entity: 'registration',
+            entityId: registration.id,
+            before: { ...registration, status: WAITLISTED },
+            after: registration
+        });
+    }
+}
+
+// Unknown ids are allowed through so the route can answer 404 as before
+async function canAccessRegistration(user, registrationId) {
+    if (isStaff(user)) return true;
+
+    const registration = await prisma.registration.findUnique({
+        where: { id: registrationId },
+        select: { userId: true }
+    });
+
+    return !registration || canAccessTrainee(user, registration.userId, 'registration');
+}
+
+// One page of `resource` for a list route's ?filter=, ?orderBy=, ?page=,
+// ?pageSize=, ?pageToken= and ?skipTotal=; `where` holds the route's own
+// conditions. Returns { rows, pagination } (pagination null when no page was
+// asked for) or { problem } for a 400.
+async function listPage(resource, query, { where = {}, findArgs, defaultPageSize } = {}) {
+    const listQuery = parseListQuery(resource, query);
+    if (listQuery.problem) return listQuery;
+
+    return listPages.list(resource, {
+        where: andWhere(where, listQuery.where),
+        orderBy: listQuery.orderBy,
+        filter: query.filter,
+        findArgs,
+        request: {
+            page: query.page,
+            pageSize: query.pageSize,
+            pageToken: query.pageToken,
+            skipTotal: query.skipTotal
+        },
+        defaultPageSize
     });
 }
 
+// Paging of a list answered with a bare array goes into headers
+function setPageHeaders(res, pagination) {
+    if (!pagination) return;
+    res.set('X-Next-Page-Token', pagination.nextPageToken);
+    if (pagination.total !== undefined) res.set('X-Total-Count', String(pagination.total));
+}
+
 // ---------------------------------------------------------------------------
 // /sessions endpoints: login, logout, check session
 // ---------------------------------------------------------------------------
 
+function tooManyLoginAttempts(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        error: `Too many failed login attempts. Try again in ${retryAfter} seconds`,
+        retryAfter
+    });
+}
+
 // Create session (Login)
 app.post('/sessions', async (req, res) => {
     try {
@@ -90,32 +245,63 @@ app.post('/sessions', async (req, res) => {
             return res.status(400).json({ error: 'Email and password are required' });
         }
 
+        const lockout = await loginThrottle.check(email, req.ip);
+        if (lockout.locked) {
+            return tooManyLoginAttempts(res, lockout.retryAfter);
+        }
+
         const trainee = await prisma.trainee.findUnique({
             where: { email }
         });
 
-        if (!trainee) {
+        const { valid, needsRehash } = await verifyPassword(password, trainee?.password);
+        if (!valid) {
+            const failure = await loginThrottle.recordFailure(email, req.ip);
+            if (failure.locked) {
+                return tooManyLoginAttempts(res, failure.retryAfter);
+            }
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // In a real application, you should hash passwords. For now, comparing plaintext.
-        // To use hashed passwords: const isValidPassword = await bcrypt.compare(password, trainee.password);
-        if (trainee.password !== password) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        await loginThrottle.recordSuccess(email);
+
+        if (blocksLogin(trainee)) {
+            return res.status(403).json({ error: 'Email address has not been verified' });
+        }
+
+        // Upgrade legacy plaintext (or weaker) passwords transparently
+        if (needsRehash) {
+            await prisma.trainee.update({
+                where: { id: trainee.id },
+                data: { password: await hashPassword(password) }
+            });
+        }
+
+        // Promote accounts listed in ADMIN_EMAILS
+        const role = bootstrapRole(trainee);
+        if (role !== trainee.role) {
+            const promoted = await prisma.trainee.update({
+                where: { id: trainee.id },
+                data: { role }
+            });
+            await audit(req, { actorId: trainee.id, action: 'update', entity: 'trainee', entityId: trainee.id, before: trainee, after: promoted });
+            trainee.role = role;
         }
 
         // Create JWT
-        const token = jwt.sign(
-            { traineeId: trainee.id, email: trainee.email },
-            JWT_SECRET,
-            { expiresIn: '2h' }
-        );
+        const token = tokenStore.signAccessToken(trainee);
+        const { token: refreshToken } = await tokenStore.issueRefreshToken(trainee.id);
+
+        // Sessions are keyed by the trainee they belong to
+        await audit(req, { actorId: trainee.id, action: 'create', entity: 'session', entityId: trainee.id });
 
         // Remove password from response
         const { password: _, ...traineeWithoutPassword } = trainee;
 
         res.status(200).json({
             token,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS,
             trainee: traineeWithoutPassword
         });
     } catch (error) {
@@ -124,11 +310,62 @@ app.post('/sessions', async (req, res) => {
     }
 });
 
+// Refresh session (rotate refresh token, issue new access token)
+app.patch('/sessions', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'refreshToken is required' });
+        }
+
+        const result = await tokenStore.rotateRefreshToken(refreshToken);
+
+        if (!result.ok) {
+            return res.status(401).json({
+                error: result.reason === 'reused'
+                    ? 'Refresh token reuse detected; session revoked'
+                    : 'Invalid refresh token'
+            });
+        }
+
+        res.status(200).json({
+            token: tokenStore.signAccessToken(result.trainee),
+            refreshToken: result.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+        });
+    } catch (error) {
+        console.error('Refresh session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Destroy session (Logout)
-app.delete('/sessions', authenticateToken, (req, res) => {
-    // Revoke current token
-    revokedTokens.add(req.token);
-    return res.status(200).json({ message: 'Successfully logged out' });
+app.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        // Revoke current token, and the refresh token family if one was sent
+        await tokenStore.revoke(req.token, req.user);
+        await tokenStore.revokeRefreshToken(req.body && req.body.refreshToken);
+        await audit(req, { action: 'delete', entity: 'session', entityId: req.user.traineeId });
+        return res.status(200).json({ message: 'Successfully logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unlock an account locked out after failed logins (admin only)
+app.delete('/sessions/lockouts/:email', authenticateToken, async (req, res) => {
+    try {
+        const { wasLocked, lockout } = await loginThrottle.unlock(req.params.email);
+
+        await audit(req, { action: 'delete', entity: 'login_lockout', entityId: req.params.email, before: lockout });
+
+        return res.status(200).json({ success: true, wasLocked });
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
 // Check session (Authenticated?)
@@ -155,40 +392,133 @@ app.get('/sessions', authenticateToken, async (req, res) => {
     }
 });
 
+// ---------------------------------------------------------------------------
+// /password-resets endpoints
+// ---------------------------------------------------------------------------
+
+// Request a password reset code by mail
+app.post('/password-resets', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        await passwordReset.request(email);
+
+        res.status(202).json({ message: 'If the email belongs to an account, a reset code has been sent' });
+    } catch (error) {
+        console.error('Request password reset error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Choose a new password with the mailed code
+app.post('/password-resets/confirm', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'token and password are required' });
+        }
+
+        const changed = await passwordReset.confirm(token, password);
+
+        if (!changed) {
+            return res.status(400).json({ error: 'Reset token is invalid, expired or already used' });
+        }
+
+        // No session here; the trainee holding the code made the change
+        const { before, after } = changed;
+        await audit(req, { actorId: after.id, action: 'update', entity: 'trainee', entityId: after.id, before, after });
+
+        res.status(200).json({ message: 'Password has been reset' });
+    } catch (error) {
+        console.error('Confirm password reset error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// /email-verifications endpoints
+// ---------------------------------------------------------------------------
+
+// Send a new verification code
+app.post('/email-verifications', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'email is required' });
+        }
+
+        await emailVerification.resend(email);
+
+        res.status(202).json({ message: 'If the email belongs to an unverified account, a verification code has been sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Confirm the email address with the mailed code
+app.post('/email-verifications/confirm', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'token is required' });
+        }
+
+        const verified = await emailVerification.verify(token);
+
+        if (!verified) {
+            return res.status(400).json({ error: 'Verification token is invalid, expired or already used' });
+        }
+
+        // No session here; the trainee holding the code made the change
+        const { before, after: trainee } = verified;
+        await audit(req, { actorId: trainee.id, action: 'update', entity: 'trainee', entityId: trainee.id, before, after: trainee });
+
+        const { password: _, ...traineeWithoutPassword } = trainee;
+        res.status(200).json(traineeWithoutPassword);
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // ---------------------------------------------------------------------------
 // /trainees endpoints
 // ---------------------------------------------------------------------------
 
-// List all trainees with pagination
+// List trainees a page at a time (20 unless asked otherwise), optionally
+// filtered and ordered (?filter=, ?orderBy=)
 app.get('/trainees', authenticateToken, async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const pageSize = parseInt(req.query.pageSize) || 20;
-        const skip = (page - 1) * pageSize;
-
-        const [trainees, total] = await prisma.$transaction([
-            prisma.trainee.findMany({
-                skip,
-                take: pageSize,
+        const page = await listPage('trainees', req.query, {
+            defaultPageSize: 20,
+            findArgs: {
                 select: {
                     id: true,
                     name: true,
                     email: true,
                     timezone: true,
+                    role: true,
+                    emailVerified: true,
                     createdAt: true,
                     updatedAt: true
                 }
-            }),
-            prisma.trainee.count()
-        ]);
+            }
+        });
+        if (page.problem) {
+            return res.status(400).json({ error: page.problem.message });
+        }
 
         res.status(200).json({
-            data: trainees,
-            pagination: {
-                page,
-                pageSize,
-                total
-            }
+            data: page.rows,
+            pagination: page.pagination
         });
     } catch (error) {
         console.error('List trainees error:', error);
@@ -205,6 +535,11 @@ app.post('/trainees', async (req, res) => {
             return res.status(400).json({ error: 'Name, email, and password are required' });
         }
 
+        const zone = timezone ? checkTimeZone(timezone) : {};
+        if (zone.problem) {
+            return res.status(400).json({ error: zone.problem.message });
+        }
+
         // Check if email already exists
         const existingTrainee = await prisma.trainee.findUnique({
             where: { email }
@@ -214,24 +549,35 @@ app.post('/trainees', async (req, res) => {
             return res.status(400).json({ error: 'Email is already in use' });
         }
 
-        // In a real application, hash the password: const hashedPassword = await bcrypt.hash(password, 10);
         const newTrainee = await prisma.trainee.create({
             data: {
                 name,
                 email,
-                password, // Use hashedPassword in production
-                timezone
+                password: await hashPassword(password),
+                timezone: zone.timeZone
             },
             select: {
                 id: true,
                 name: true,
                 email: true,
                 timezone: true,
+                role: true,
+                emailVerified: true,
                 createdAt: true,
                 updatedAt: true
             }
         });
 
+        // Sign-ups are anonymous, so they are attributed to the new account
+        await audit(req, {
+            actorId: newTrainee.id,
+            action: 'create',
+            entity: 'trainee',
+            entityId: newTrainee.id,
+            after: newTrainee
+        });
+        await emailVerification.sendQuietly(newTrainee);
+
         res.status(201).json(newTrainee);
     } catch (error) {
         console.error('Create trainee error:', error);
@@ -244,6 +590,11 @@ app.get('/trainees/:traineeId', authenticateToken, async (req, res) => {
     try {
         const { traineeId } = req.params;
 
+        // Staff may look up any trainee; trainees only themselves
+        if (!isStaff(req.user) && !canAccessTrainee(req.user, traineeId, 'profile')) {
+            return denyOwnership(res, 'profile');
+        }
+
         const trainee = await prisma.trainee.findUnique({
             where: { id: traineeId },
             select: {
@@ -251,6 +602,8 @@ app.get('/trainees/:traineeId', authenticateToken, async (req, res) => {
                 name: true,
                 email: true,
                 timezone: true,
+                role: true,
+                emailVerified: true,
                 createdAt: true,
                 updatedAt: true
             }
@@ -271,14 +624,51 @@ app.get('/trainees/:traineeId', authenticateToken, async (req, res) => {
 app.patch('/trainees/:traineeId', authenticateToken, async (req, res) => {
     try {
         const { traineeId } = req.params;
-        const { name, email, password, timezone } = req.body;
+
+        if (!canAccessTrainee(req.user, traineeId, 'profile')) {
+            return denyOwnership(res, 'profile');
+        }
+
+        // Missing properties are left alone; null clears the timezone
+        const { changes, problem } = patchChanges('trainee', req.body);
+        if (problem) {
+            return res.status(400).json({ error: problem.message });
+        }
+        const { name, email, password, timezone, role } = changes;
+
+        if (role !== undefined) {
+            if (roleOf(req.user) !== ROLES.ADMIN) {
+                return res.status(403).json({ error: 'Only admins can change roles' });
+            }
+            if (!isValidRole(role)) {
+                return res.status(400).json({ error: 'role must be one of admin, trainer, trainee' });
+            }
+        }
+
+        const zone = timezone ? checkTimeZone(timezone) : {};
+        if (zone.problem) {
+            return res.status(400).json({ error: zone.problem.message });
+        }
+
+        const current = await prisma.trainee.findUnique({ where: { id: traineeId } });
+
+        if (!current) {
+            return res.status(404).json({ error: 'Trainee not found' });
+        }
 
         // Build update object dynamically
         const updateData = {};
         if (name !== undefined) updateData.name = name;
-        if (email !== undefined) updateData.email = email;
-        if (password !== undefined) updateData.password = password; // Hash in production
-        if (timezone !== undefined) updateData.timezone = timezone;
+        if (email !== undefined) {
+            // A new address has to be verified again
+            if (current.email !== email) {
+                updateData.email = email;
+                updateData.emailVerified = false;
+            }
+        }
+        if (password !== undefined) updateData.password = await hashPassword(password);
+        if (timezone !== undefined) updateData.timezone = zone.timeZone || null;
+        if (role !== undefined) updateData.role = role;
 
         const updatedTrainee = await prisma.trainee.update({
             where: { id: traineeId },
@@ -288,11 +678,30 @@ app.patch('/trainees/:traineeId', authenticateToken, async (req, res) => {
                 name: true,
                 email: true,
                 timezone: true,
+                role: true,
+                emailVerified: true,
                 createdAt: true,
                 updatedAt: true
             }
         });
 
+        // Other devices have to log in with the new password
+        if (password !== undefined) {
+            await tokenStore.revokeAllRefreshTokens(traineeId);
+        }
+
+        await audit(req, {
+            action: 'update',
+            entity: 'trainee',
+            entityId: traineeId,
+            before: current,
+            after: { ...current, ...updateData }
+        });
+
+        if (updateData.emailVerified === false) {
+            await emailVerification.sendQuietly(updatedTrainee);
+        }
+
         res.status(200).json(updatedTrainee);
     } catch (error) {
         if (error.code === 'P2025') {
@@ -308,9 +717,11 @@ app.delete('/trainees/:traineeId', authenticateToken, async (req, res) => {
     try {
         const { traineeId } = req.params;
 
-        await prisma.trainee.delete({
-            where: { id: traineeId }
-        });
+        const { deleted: deletedTrainee, cascaded } = await registrationFeed.deleteCascading('trainee', traineeId, tx =>
+            tx.trainee.delete({ where: { id: traineeId } }));
+
+        await audit(req, { action: 'delete', entity: 'trainee', entityId: traineeId, before: deletedTrainee });
+        await auditCascaded(req, cascaded);
 
         res.status(204).send();
     } catch (error) {
@@ -326,13 +737,16 @@ app.delete('/trainees/:traineeId', authenticateToken, async (req, res) => {
 // /workouts endpoints
 // ---------------------------------------------------------------------------
 
-// List all workouts
+// List workouts, optionally filtered and ordered (?filter=, ?orderBy=)
 app.get('/workouts', authenticateToken, async (req, res) => {
     try {
-        const workouts = await prisma.workout.findMany({
-            orderBy: { createdAt: 'desc' }
-        });
-        res.status(200).json(workouts);
+        const page = await listPage('workouts', req.query);
+        if (page.problem) {
+            return res.status(400).json({ error: page.problem.message });
+        }
+
+        setPageHeaders(res, page.pagination);
+        res.status(200).json(page.rows);
     } catch (error) {
         console.error('List workouts error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -357,6 +771,8 @@ app.post('/workouts', authenticateToken, async (req, res) => {
             }
         });
 
+        await audit(req, { action: 'create', entity: 'workout', entityId: newWorkout.id, after: newWorkout });
+
         res.status(201).json(newWorkout);
     } catch (error) {
         console.error('Create workout error:', error);
@@ -388,7 +804,17 @@ app.get('/workouts/:workoutId', authenticateToken, async (req, res) => {
 app.patch('/workouts/:workoutId', authenticateToken, async (req, res) => {
     try {
         const { workoutId } = req.params;
-        const { name, duration, description, color } = req.body;
+
+        // Missing properties are left alone; null clears description and color
+        const { changes, problem } = patchChanges('workout', req.body);
+        if (problem) {
+            return res.status(400).json({ error: problem.message });
+        }
+        const { name, duration, description, color } = changes;
+
+        if (duration !== undefined && !(Number.isInteger(duration) && duration > 0)) {
+            return res.status(400).json({ error: 'duration must be a positive number of minutes' });
+        }
 
         // Build update object dynamically
         const updateData = {};
@@ -397,11 +823,25 @@ app.patch('/workouts/:workoutId', authenticateToken, async (req, res) => {
         if (description !== undefined) updateData.description = description;
         if (color !== undefined) updateData.color = color;
 
+        const current = await prisma.workout.findUnique({ where: { id: workoutId } });
+
+        if (!current) {
+            return res.status(404).json({ error: 'Workout not found' });
+        }
+
         const updatedWorkout = await prisma.workout.update({
             where: { id: workoutId },
             data: updateData
         });
 
+        await audit(req, {
+            action: 'update',
+            entity: 'workout',
+            entityId: workoutId,
+            before: current,
+            after: { ...current, ...updateData }
+        });
+
         res.status(200).json(updatedWorkout);
     } catch (error) {
         if (error.code === 'P2025') {
@@ -417,9 +857,11 @@ app.delete('/workouts/:workoutId', authenticateToken, async (req, res) => {
     try {
         const { workoutId } = req.params;
 
-        await prisma.workout.delete({
-            where: { id: workoutId }
-        });
+        const { deleted: deletedWorkout, cascaded } = await registrationFeed.deleteCascading('workout', workoutId, tx =>
+            tx.workout.delete({ where: { id: workoutId } }));
+
+        await audit(req, { action: 'delete', entity: 'workout', entityId: workoutId, before: deletedWorkout });
+        await auditCascaded(req, cascaded);
 
         res.status(204).send();
     } catch (error) {
@@ -432,87 +874,317 @@ app.delete('/workouts/:workoutId', authenticateToken, async (req, res) => {
 });
 
 // ---------------------------------------------------------------------------
-// /routines endpoints
+// /class-sessions endpoints
 // ---------------------------------------------------------------------------
 
-// List all routines
-app.get('/routines', authenticateToken, async (req, res) => {
+function formatClassSession(session) {
+    const { _count, ...rest } = session;
+    return { ...rest, endTime: sessionEndTime(session), booked: bookedSeats(session) };
+}
+
+// localStartTime / localEndTime (ISO 8601 with offset) for list entries when
+// the request gave a `timeZone`
+function localTimes(startTime, endTime, timeZone) {
+    if (!timeZone) return {};
+    return {
+        localStartTime: formatInZone(startTime, timeZone),
+        localEndTime: endTime ? formatInZone(endTime, timeZone) : null
+    };
+}
+
+function classSessionError(res, problem) {
+    return res.status(problem.reason === 'not_found' ? 404 : 400).json({ error: problem.message });
+}
+
+// List class sessions, optionally starting within [from, to) and for one workout
+app.get('/class-sessions', authenticateToken, async (req, res) => {
     try {
-        const { traineeId } = req.query;
+        const { from, to, workoutId } = req.query;
 
-        const whereClause = traineeId ? { userId: traineeId } : {};
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+        }
 
-        const routines = await prisma.routine.findMany({
-            where: whereClause,
-            include: {
-                trainee: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
-                    }
-                }
-            },
-            orderBy: { createdAt: 'desc' }
-        });
+        const zone = req.query.timeZone ? checkTimeZone(req.query.timeZone) : {};
+        if (zone.problem) {
+            return res.status(400).json({ error: zone.problem.message });
+        }
 
-        if (traineeId && routines.length === 0) {
-            return res.status(404).json({ error: 'No routines found for the given trainee ID' });
+        const whereClause = {};
+        if (workoutId) whereClause.workoutId = workoutId;
+        if (from || to) {
+            whereClause.startTime = {};
+            if (from) whereClause.startTime.gte = new Date(from);
+            if (to) whereClause.startTime.lt = new Date(to);
         }
 
-        // Parse availability strings to JSON objects for response
-        const parsedRoutines = routines.map(routine => ({
-            ...routine,
-            availability: JSON.parse(routine.availability)
-        }));
+        const page = await listPage('class_sessions', req.query, {
+            where: whereClause,
+            findArgs: { include: CLASS_SESSION_INCLUDE }
+        });
+        if (page.problem) {
+            return res.status(400).json({ error: page.problem.message });
+        }
 
-        res.status(200).json(parsedRoutines);
+        setPageHeaders(res, page.pagination);
+        res.status(200).json(page.rows.map(session => ({
+            ...formatClassSession(session),
+            ...localTimes(session.startTime, sessionEndTime(session), zone.timeZone)
+        })));
     } catch (error) {
-        console.error('List routines error:', error);
+        console.error('List class sessions error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Create a new routine
-app.post('/routines', authenticateToken, async (req, res) => {
+// Schedule a class session
+app.post('/class-sessions', authenticateToken, async (req, res) => {
     try {
-        const { userId, availability } = req.body;
+        const { workoutId, startTime, room, instructorId, capacity } = req.body;
+
+        const data = {
+            workoutId,
+            startTime: startTime ? new Date(startTime) : undefined,
+            room: room || null,
+            instructorId: instructorId || null,
+            capacity
+        };
+
+        const problem = await classSessions.validate(data, { creating: true });
+        if (problem) return classSessionError(res, problem);
+
+        const newSession = await prisma.classSession.create({
+            data,
+            include: CLASS_SESSION_INCLUDE
+        });
 
-        if (!userId || !availability) {
-            return res.status(400).json({ error: 'userId and availability are required' });
-        }
+        await audit(req, { action: 'create', entity: 'class_session', entityId: newSession.id, after: newSession });
 
-        // Check if trainee exists
-        const trainee = await prisma.trainee.findUnique({
-            where: { id: userId }
-        });
+        res.status(201).json(formatClassSession(newSession));
+    } catch (error) {
+        console.error('Create class session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (!trainee) {
-            return res.status(400).json({ error: 'Trainee not found' });
-        }
+// Get class session details
+app.get('/class-sessions/:classSessionId', authenticateToken, async (req, res) => {
+    try {
+        const { classSessionId } = req.params;
 
-        const newRoutine = await prisma.routine.create({
-            data: {
-                userId,
-                availability: JSON.stringify(availability)
-            },
-            include: {
-                trainee: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
-                    }
-                }
-            }
+        const session = await prisma.classSession.findUnique({
+            where: { id: classSessionId },
+            include: CLASS_SESSION_INCLUDE
         });
 
-        // Parse the availability back to object for response
-        newRoutine.availability = JSON.parse(newRoutine.availability);
+        if (!session) {
+            return res.status(404).json({ error: 'Class session not found' });
+        }
 
-        res.status(201).json(newRoutine);
+        res.status(200).json(formatClassSession(session));
     } catch (error) {
-        console.error('Create routine error:', error);
+        console.error('Get class session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Partially update a class session
+app.patch('/class-sessions/:classSessionId', authenticateToken, async (req, res) => {
+    try {
+        const { classSessionId } = req.params;
+
+        // Missing properties are left alone; null clears room and instructorId
+        const { changes, problem: patchProblem } = patchChanges('class_session', req.body);
+        if (patchProblem) {
+            return res.status(400).json({ error: patchProblem.message });
+        }
+        const { workout_id: workoutId, start_time: startTime, room, instructor_id: instructorId, capacity } = changes;
+
+        const current = await prisma.classSession.findUnique({
+            where: { id: classSessionId },
+            include: CLASS_SESSION_INCLUDE
+        });
+
+        if (!current) {
+            return res.status(404).json({ error: 'Class session not found' });
+        }
+
+        // Build update object dynamically
+        const updateData = {};
+        if (workoutId !== undefined) updateData.workoutId = workoutId;
+        if (startTime !== undefined) updateData.startTime = new Date(startTime);
+        if (room !== undefined) updateData.room = room;
+        if (instructorId !== undefined) updateData.instructorId = instructorId;
+        if (capacity !== undefined) updateData.capacity = capacity;
+
+        const problem = await classSessions.validate(updateData);
+        if (problem) return classSessionError(res, problem);
+
+        if (updateData.capacity !== undefined && updateData.capacity < bookedSeats(current)) {
+            return res.status(409).json({
+                error: `capacity cannot be lower than the ${bookedSeats(current)} seats already booked`
+            });
+        }
+
+        let updatedSession = await prisma.classSession.update({
+            where: { id: classSessionId },
+            data: updateData,
+            include: CLASS_SESSION_INCLUDE
+        });
+
+        await audit(req, {
+            action: 'update',
+            entity: 'class_session',
+            entityId: classSessionId,
+            before: current,
+            after: { ...current, ...updateData }
+        });
+
+        // Extra seats go to the waitlist first
+        if (updateData.capacity > current.capacity) {
+            const promoted = await classSessions.fillSeats(classSessionId);
+            await auditPromotions(req, promoted);
+            if (promoted.length > 0) {
+                updatedSession = await prisma.classSession.findUnique({
+                    where: { id: classSessionId },
+                    include: CLASS_SESSION_INCLUDE
+                });
+            }
+        }
+
+        res.status(200).json(formatClassSession(updatedSession));
+    } catch (error) {
+        console.error('Update class session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a class session; its registrations are kept, detached from it
+app.delete('/class-sessions/:classSessionId', authenticateToken, async (req, res) => {
+    try {
+        const { classSessionId } = req.params;
+
+        const { deleted: deletedSession, cascaded } = await registrationFeed.deleteCascading('class_session', classSessionId, tx =>
+            tx.classSession.delete({ where: { id: classSessionId } }));
+
+        await audit(req, {
+            action: 'delete',
+            entity: 'class_session',
+            entityId: classSessionId,
+            before: deletedSession
+        });
+        await auditCascaded(req, cascaded);
+
+        res.status(204).send();
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Resource not found' });
+        }
+        console.error('Delete class session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// /routines endpoints
+// ---------------------------------------------------------------------------
+
+function formatRoutine(routine) {
+    return { ...routine, availability: toRestSlots(JSON.parse(routine.availability)) };
+}
+
+function availabilityValidationError(res, problem) {
+    return res.status(400).json({ error: problem.message, violations: problem.violations });
+}
+
+// List all routines
+app.get('/routines', authenticateToken, async (req, res) => {
+    try {
+        const { traineeId } = req.query;
+
+        // Trainees only see their own routine
+        if (traineeId && !canAccessTrainee(req.user, traineeId, 'routine')) {
+            return denyOwnership(res, 'routine');
+        }
+        const ownerId = traineeId || (isStaff(req.user) ? null : req.user.traineeId);
+        const whereClause = ownerId ? { userId: ownerId } : {};
+
+        const page = await listPage('routines', req.query, {
+            where: whereClause,
+            findArgs: {
+                include: {
+                    trainee: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
+                    }
+                }
+            }
+        });
+        if (page.problem) {
+            return res.status(400).json({ error: page.problem.message });
+        }
+
+        if (traineeId && page.rows.length === 0) {
+            return res.status(404).json({ error: 'No routines found for the given trainee ID' });
+        }
+
+        setPageHeaders(res, page.pagination);
+        res.status(200).json(page.rows.map(formatRoutine));
+    } catch (error) {
+        console.error('List routines error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create a new routine
+app.post('/routines', authenticateToken, async (req, res) => {
+    try {
+        const { userId, availability } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const { slots, problem } = validateAvailability(availability, 'rest');
+        if (problem) return availabilityValidationError(res, problem);
+
+        if (!canAccessTrainee(req.user, userId, 'routine')) {
+            return denyOwnership(res, 'routine');
+        }
+
+        // Check if trainee exists
+        const trainee = await prisma.trainee.findUnique({
+            where: { id: userId }
+        });
+
+        if (!trainee) {
+            return res.status(400).json({ error: 'Trainee not found' });
+        }
+
+        const newRoutine = await prisma.routine.create({
+            data: {
+                userId,
+                availability: JSON.stringify(slots)
+            },
+            include: {
+                trainee: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true
+                    }
+                }
+            }
+        });
+
+        await audit(req, { action: 'create', entity: 'routine', entityId: newRoutine.id, after: newRoutine });
+
+        res.status(201).json(formatRoutine(newRoutine));
+    } catch (error) {
+        console.error('Create routine error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -522,6 +1194,10 @@ app.get('/routines/trainee/:traineeId', authenticateToken, async (req, res) => {
     try {
         const { traineeId } = req.params;
 
+        if (!canAccessTrainee(req.user, traineeId, 'routine')) {
+            return denyOwnership(res, 'routine');
+        }
+
         const routine = await prisma.routine.findFirst({
             where: { userId: traineeId },
             include: {
@@ -539,10 +1215,7 @@ app.get('/routines/trainee/:traineeId', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Routine not found' });
         }
 
-        // Parse the availability JSON
-        routine.availability = JSON.parse(routine.availability);
-
-        res.status(200).json(routine);
+        res.status(200).json(formatRoutine(routine));
     } catch (error) {
         console.error('Get routine error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -553,16 +1226,19 @@ app.get('/routines/trainee/:traineeId', authenticateToken, async (req, res) => {
 app.patch('/routines/trainee/:traineeId', authenticateToken, async (req, res) => {
     try {
         const { traineeId } = req.params;
-        const { availability } = req.body;
 
-        if (!availability) {
-            return res.status(400).json({ error: 'availability is required' });
+        if (!canAccessTrainee(req.user, traineeId, 'routine')) {
+            return denyOwnership(res, 'routine');
         }
+        const { slots, problem } = validateAvailability(req.body.availability, 'rest');
+        if (problem) return availabilityValidationError(res, problem);
+
+        const current = await prisma.routine.findFirst({ where: { userId: traineeId } });
 
         const updatedRoutine = await prisma.routine.updateMany({
             where: { userId: traineeId },
             data: {
-                availability: JSON.stringify(availability)
+                availability: JSON.stringify(slots)
             }
         });
 
@@ -584,9 +1260,9 @@ app.patch('/routines/trainee/:traineeId', authenticateToken, async (req, res) =>
             }
         });
 
-        routine.availability = JSON.parse(routine.availability);
+        await audit(req, { action: 'update', entity: 'routine', entityId: routine.id, before: current, after: routine });
 
-        res.status(200).json(routine);
+        res.status(200).json(formatRoutine(routine));
     } catch (error) {
         console.error('Update routine error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -598,6 +1274,12 @@ app.delete('/routines/trainee/:traineeId', authenticateToken, async (req, res) =
     try {
         const { traineeId } = req.params;
 
+        if (!canAccessTrainee(req.user, traineeId, 'routine')) {
+            return denyOwnership(res, 'routine');
+        }
+
+        const routines = await prisma.routine.findMany({ where: { userId: traineeId } });
+
         const deletedRoutine = await prisma.routine.deleteMany({
             where: { userId: traineeId }
         });
@@ -606,6 +1288,10 @@ app.delete('/routines/trainee/:traineeId', authenticateToken, async (req, res) =
             return res.status(404).json({ error: 'Resource not found' });
         }
 
+        for (const routine of routines) {
+            await audit(req, { action: 'delete', entity: 'routine', entityId: routine.id, before: routine });
+        }
+
         res.status(204).send();
     } catch (error) {
         console.error('Delete routine error:', error);
@@ -620,35 +1306,187 @@ app.delete('/routines/trainee/:traineeId', authenticateToken, async (req, res) =
 // List all registrations
 app.get('/registrations', authenticateToken, async (req, res) => {
     try {
-        const registrations = await prisma.registration.findMany({
-            include: {
-                trainee: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
+        const zone = req.query.timeZone ? checkTimeZone(req.query.timeZone) : {};
+        if (zone.problem) {
+            return res.status(400).json({ error: zone.problem.message });
+        }
+
+        // Trainees only see their own registrations
+        const whereClause = isStaff(req.user) ? {} : { userId: req.user.traineeId };
+
+        const page = await listPage('registrations', req.query, {
+            where: whereClause,
+            findArgs: {
+                include: {
+                    trainee: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
                     }
                 }
-            },
-            orderBy: { createdAt: 'desc' }
+            }
         });
+        if (page.problem) {
+            return res.status(400).json({ error: page.problem.message });
+        }
 
-        res.status(200).json(registrations);
+        setPageHeaders(res, page.pagination);
+        res.status(200).json(page.rows.map(registration => ({
+            ...registration,
+            ...localTimes(registration.startTime, registration.endTime, zone.timeZone)
+        })));
     } catch (error) {
         console.error('List registrations error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Unknown statuses are bad input; known but unreachable ones are illegal moves
+const STATUS_PROBLEM_CODES = { invalid: 400, forbidden: 403, illegal: 409 };
+
+function statusError(res, problem) {
+    return res.status(STATUS_PROBLEM_CODES[problem.reason] || 409).json({ error: problem.message });
+}
+
+function formatSlot(slot) {
+    return slot ? { day: slot.day, startTime: slot.start_time, endTime: slot.end_time } : null;
+}
+
+function formatAvailabilityCheck(availability) {
+    return {
+        result: availability.result,
+        policy: availability.policy,
+        timezone: availability.timezone,
+        requestedSlot: formatSlot(availability.requestedSlot),
+        matchingSlot: formatSlot(availability.matchingSlot),
+        message: availability.message
+    };
+}
+
+// The registration, plus `availabilityCheck` when the routine was consulted
+function withAvailability(registration, availability) {
+    return availability ? { ...registration, availabilityCheck: formatAvailabilityCheck(availability) } : registration;
+}
+
+function availabilityError(res, availability) {
+    return res.status(409).json({
+        error: availability.message,
+        availabilityCheck: formatAvailabilityCheck(availability)
+    });
+}
+
+function overlapError(res, conflictingIds) {
+    return res.status(409).json({
+        error: overlapMessage(conflictingIds),
+        conflictingRegistrationIds: conflictingIds
+    });
+}
+
+function formatSeries(series, occurrences = series.registrations || []) {
+    return {
+        id: series.id,
+        userId: series.userId,
+        rrule: series.rrule,
+        recurrence: describeSeries(series),
+        timezone: series.timezone,
+        occurrences,
+        createdAt: series.createdAt
+    };
+}
+
+// Audits the { before, after } pairs of a change to several occurrences
+async function auditOccurrenceChanges(req, changes) {
+    for (const { before, after } of changes) {
+        await audit(req, {
+            action: 'update',
+            entity: 'registration',
+            entityId: after.id,
+            before,
+            after
+        });
+    }
+}
+
+// POST /registrations with a recurrence: books every occurrence or none of them
+async function createRecurringRegistration(req, res, initialStatus) {
+    const { eventId, userId, inviteeEmail, startTime, endTime, classSessionId, allowOverlap, recurrence } = req.body;
+
+    if (startTime || endTime) {
+        return res.status(400).json({ error: 'startTime and endTime cannot be combined with recurrence' });
+    }
+
+    const result = await registrationSeries.create({
+        classSessionId,
+        data: {
+            eventId,
+            userId,
+            inviteeEmail,
+            status: normalizeStatus(initialStatus)
+        },
+        recurrence,
+        include: {
+            trainee: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        },
+        allowOverlap: Boolean(allowOverlap)
+    });
+
+    if (!result.ok) {
+        if (result.reason === 'overlap') return overlapError(res, result.conflictingIds);
+        if (result.reason === 'unavailable') return availabilityError(res, result.availability);
+        return res.status(400).json({ error: result.message });
+    }
+
+    await audit(req, {
+        action: 'create',
+        entity: 'registration_series',
+        entityId: result.series.id,
+        after: result.series
+    });
+    for (const registration of result.registrations) {
+        await audit(req, {
+            action: 'create',
+            entity: 'registration',
+            entityId: registration.id,
+            after: registration
+        });
+    }
+
+    res.status(201).json({
+        ...withAvailability(result.registrations[0], result.availability),
+        series: formatSeries(result.series, result.registrations),
+        unmatchedDates: result.unmatchedDates
+    });
+}
+
 // Register for a workout
 app.post('/registrations', authenticateToken, async (req, res) => {
     try {
-        const { eventId, userId, inviteeEmail, startTime, endTime, status } = req.body;
+        const { eventId, userId, inviteeEmail, startTime, endTime, status, classSessionId, allowOverlap } = req.body;
+
+        if (!classSessionId || !userId || !inviteeEmail) {
+            return res.status(400).json({ error: 'classSessionId, userId, and inviteeEmail are required' });
+        }
+
+        if (!canAccessTrainee(req.user, userId, 'registration')) {
+            return denyOwnership(res, 'registration');
+        }
 
-        if (!eventId || !userId || !inviteeEmail || !startTime) {
-            return res.status(400).json({ error: 'eventId, userId, inviteeEmail, and startTime are required' });
+        if (allowOverlap && roleOf(req.user) !== ROLES.ADMIN) {
+            return res.status(403).json({ error: 'Only admins may set allowOverlap' });
         }
 
+        const initialStatus = status || STATUSES.SCHEDULED;
+        const statusProblem = checkStatusChange(null, initialStatus);
+        if (statusProblem) return statusError(res, statusProblem);
+
         // Check if trainee exists
         const trainee = await prisma.trainee.findUnique({
             where: { id: userId }
@@ -658,27 +1496,63 @@ app.post('/registrations', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Trainee not found' });
         }
 
-        const newRegistration = await prisma.registration.create({
-            data: {
-                eventId,
-                userId,
-                inviteeEmail,
-                startTime: new Date(startTime),
-                endTime: endTime ? new Date(endTime) : null,
-                status: status || 'scheduled'
-            },
-            include: {
-                trainee: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
-                    }
+        if (blocksRegistration(trainee)) {
+            return res.status(403).json({ error: 'Trainee has not verified their email address' });
+        }
+
+        if (req.body.recurrence) {
+            return createRecurringRegistration(req, res, initialStatus);
+        }
+
+        const times = await classSessions.bookingTimes(classSessionId);
+
+        if (!times) {
+            return res.status(400).json({ error: 'Class session not found' });
+        }
+
+        const timesProblem = checkBookingTimes(times, {
+            startTime: startTime ? new Date(startTime) : null,
+            endTime: endTime ? new Date(endTime) : null
+        });
+        if (timesProblem) return res.status(400).json({ error: timesProblem.message });
+
+        const availability = await availabilityCheck.check(userId, times.startTime, times.endTime);
+        if (rejects(availability)) return availabilityError(res, availability);
+
+        const booking = await classSessions.book(classSessionId, {
+            eventId,
+            userId,
+            inviteeEmail,
+            startTime: times.startTime,
+            endTime: times.endTime,
+            status: normalizeStatus(initialStatus)
+        }, {
+            trainee: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
                 }
             }
+        }, { allowOverlap: Boolean(allowOverlap) });
+
+        // A full session still accepts the booking, as `waitlisted`
+        if (!booking.ok) {
+            return booking.reason === 'overlap'
+                ? overlapError(res, booking.conflictingIds)
+                : res.status(400).json({ error: 'Class session not found' });
+        }
+
+        const newRegistration = booking.registration;
+
+        await audit(req, {
+            action: 'create',
+            entity: 'registration',
+            entityId: newRegistration.id,
+            after: newRegistration
         });
 
-        res.status(201).json(newRegistration);
+        res.status(201).json(withAvailability(newRegistration, availability));
     } catch (error) {
         console.error('Create registration error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -699,6 +1573,10 @@ app.get('/registrations/:registrationId', authenticateToken, async (req, res) =>
                         name: true,
                         email: true
                     }
+                },
+                statusChanges: {
+                    select: { fromStatus: true, toStatus: true, changedAt: true },
+                    orderBy: { changedAt: 'asc' }
                 }
             }
         });
@@ -707,6 +1585,10 @@ app.get('/registrations/:registrationId', authenticateToken, async (req, res) =>
             return res.status(404).json({ error: 'Registration not found' });
         }
 
+        if (!canAccessTrainee(req.user, registration.userId, 'registration')) {
+            return denyOwnership(res, 'registration');
+        }
+
         res.status(200).json(registration);
     } catch (error) {
         console.error('Get registration error:', error);
@@ -718,7 +1600,70 @@ app.get('/registrations/:registrationId', authenticateToken, async (req, res) =>
 app.patch('/registrations/:registrationId', authenticateToken, async (req, res) => {
     try {
         const { registrationId } = req.params;
-        const { eventId, userId, inviteeEmail, startTime, endTime, status } = req.body;
+        const { allowOverlap, scope = SCOPES.THIS } = req.body;
+
+        // Missing properties are left alone; null clears endTime
+        const { changes, problem } = patchChanges('registration', req.body);
+        if (problem) {
+            return res.status(400).json({ error: problem.message });
+        }
+        const {
+            event_id: eventId,
+            user_id: userId,
+            invitee_email: inviteeEmail,
+            start_time: startTime,
+            end_time: endTime,
+            status
+        } = changes;
+
+        // A trainee cannot hand their registration over to someone else
+        if (!(await canAccessRegistration(req.user, registrationId)) ||
+            (userId !== undefined && !canAccessTrainee(req.user, userId, 'registration'))) {
+            return denyOwnership(res, 'registration');
+        }
+
+        if (allowOverlap && roleOf(req.user) !== ROLES.ADMIN) {
+            return res.status(403).json({ error: 'Only admins may set allowOverlap' });
+        }
+
+        const roleProblem = status !== undefined && checkStatusRole(status, isStaff(req.user));
+        if (roleProblem) return statusError(res, roleProblem);
+
+        const current = await prisma.registration.findUnique({ where: { id: registrationId } });
+
+        if (!current) {
+            return res.status(404).json({ error: 'Registration not found' });
+        }
+
+        if (!isValidScope(scope)) {
+            return res.status(400).json({ error: `scope must be one of ${Object.values(SCOPES).join(', ')}` });
+        }
+
+        if (scope !== SCOPES.THIS && current.seriesId) {
+            if ([eventId, userId, startTime, endTime].some(value => value !== undefined)) {
+                return res.status(400).json({ error: 'Only status and inviteeEmail can be changed on several occurrences' });
+            }
+
+            const result = await registrationSeries.updateOccurrences(current, scope, { status, inviteeEmail }, {
+                trainee: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true
+                    }
+                }
+            });
+            if (!result.ok) return statusError(res, result);
+
+            await auditOccurrenceChanges(req, result.changes);
+            await auditPromotions(req, result.promoted);
+
+            const updated = result.changes.map(change => change.after);
+            return res.status(200).json({
+                ...(updated.find(registration => registration.id === registrationId) || current),
+                updatedOccurrences: updated
+            });
+        }
 
         // Build update object dynamically
         const updateData = {};
@@ -727,27 +1672,85 @@ app.patch('/registrations/:registrationId', authenticateToken, async (req, res)
         if (inviteeEmail !== undefined) updateData.inviteeEmail = inviteeEmail;
         if (startTime !== undefined) updateData.startTime = new Date(startTime);
         if (endTime !== undefined) updateData.endTime = endTime ? new Date(endTime) : null;
-        if (status !== undefined) updateData.status = status;
 
-        const updatedRegistration = await prisma.registration.update({
-            where: { id: registrationId },
-            data: updateData,
-            include: {
-                trainee: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
+        // A class session booking keeps the session's times
+        const sessionTimes = current.classSessionId && (startTime !== undefined || endTime !== undefined)
+            ? await classSessions.bookingTimes(current.classSessionId)
+            : null;
+        if (sessionTimes) {
+            const timesProblem = checkBookingTimes(sessionTimes, updateData);
+            if (timesProblem) return res.status(400).json({ error: timesProblem.message });
+            if (startTime !== undefined) updateData.startTime = sessionTimes.startTime;
+            if (endTime !== undefined) updateData.endTime = sessionTimes.endTime;
+        }
+
+        if (status !== undefined) {
+            const statusProblem = checkStatusChange(current.status, status);
+            if (statusProblem) return statusError(res, statusProblem);
+
+            updateData.status = normalizeStatus(status);
+            if (updateData.status !== normalizeStatus(current.status)) {
+                updateData.statusChanges = recordStatusChange(current.status, updateData.status);
+            }
+        }
+
+        // Moving the registration in time or to another trainee must not
+        // double-book; cancelled registrations never conflict
+        const merged = { ...current, ...updateData };
+        const moved = updateData.userId !== undefined || updateData.startTime !== undefined || updateData.endTime !== undefined;
+        const active = !RELEASED_STATUSES.includes(merged.status);
+        const checkOverlap = !allowOverlap && active && moved;
+
+        const availability = active && moved
+            ? await availabilityCheck.check(merged.userId, merged.startTime, merged.endTime)
+            : null;
+        if (rejects(availability)) return availabilityError(res, availability);
+
+        // Cancelling hands the seat to the waitlist in the same transaction
+        const { registration: updatedRegistration, promoted } = await classSessions.changeBooking(async (tx) => {
+            if (checkOverlap) {
+                const conflictingIds = await findOverlaps(tx, {
+                    userId: merged.userId,
+                    startTime: merged.startTime,
+                    endTime: merged.endTime,
+                    excludeId: registrationId
+                });
+                if (conflictingIds.length > 0) throw { conflictingIds };
+            }
+
+            return tx.registration.update({
+                where: { id: registrationId },
+                data: updateData,
+                include: {
+                    trainee: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
                     }
                 }
-            }
+            });
         });
 
-        res.status(200).json(updatedRegistration);
+        await audit(req, {
+            action: 'update',
+            entity: 'registration',
+            entityId: registrationId,
+            before: current,
+            after: { ...current, ...updateData }
+        });
+        await auditPromotions(req, promoted);
+
+        res.status(200).json(withAvailability(updatedRegistration, availability));
     } catch (error) {
         if (error.code === 'P2025') {
             return res.status(404).json({ error: 'Registration not found' });
         }
+        // Thrown inside the transaction to roll it back
+        if (error.conflictingIds) {
+            return overlapError(res, error.conflictingIds);
+        }
         console.error('Update registration error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -758,9 +1761,50 @@ app.delete('/registrations/:registrationId', authenticateToken, async (req, res)
     try {
         const { registrationId } = req.params;
 
-        await prisma.registration.delete({
-            where: { id: registrationId }
+        if (!(await canAccessRegistration(req.user, registrationId))) {
+            return denyOwnership(res, 'registration');
+        }
+
+        const scope = req.query.scope || SCOPES.THIS;
+        if (!isValidScope(scope)) {
+            return res.status(400).json({ error: `scope must be one of ${Object.values(SCOPES).join(', ')}` });
+        }
+
+        if (scope !== SCOPES.THIS) {
+            const current = await prisma.registration.findUnique({ where: { id: registrationId } });
+
+            if (!current) {
+                return res.status(404).json({ error: 'Resource not found' });
+            }
+
+            if (current.seriesId) {
+                const { deleted, promoted } = await registrationSeries.deleteOccurrences(current, scope);
+
+                for (const registration of deleted) {
+                    await audit(req, {
+                        action: 'delete',
+                        entity: 'registration',
+                        entityId: registration.id,
+                        before: registration
+                    });
+                }
+                await auditPromotions(req, promoted);
+
+                return res.status(204).send();
+            }
+        }
+
+        const { registration: deletedRegistration, promoted } = await classSessions.changeBooking((tx) =>
+            tx.registration.delete({ where: { id: registrationId } })
+        );
+
+        await audit(req, {
+            action: 'delete',
+            entity: 'registration',
+            entityId: registrationId,
+            before: deletedRegistration
         });
+        await auditPromotions(req, promoted);
 
         res.status(204).send();
     } catch (error) {
@@ -772,6 +1816,254 @@ app.delete('/registrations/:registrationId', authenticateToken, async (req, res)
     }
 });
 
+// Place of a registration in its class session's waitlist
+app.get('/registrations/:registrationId/waitlist-position', authenticateToken, async (req, res) => {
+    try {
+        const { registrationId } = req.params;
+
+        const registration = await prisma.registration.findUnique({
+            where: { id: registrationId }
+        });
+
+        if (!registration) {
+            return res.status(404).json({ error: 'Registration not found' });
+        }
+
+        if (!canAccessTrainee(req.user, registration.userId, 'registration')) {
+            return denyOwnership(res, 'registration');
+        }
+
+        const { position, length } = await classSessions.waitlistPosition(registration);
+
+        res.status(200).json({
+            registrationId: registration.id,
+            status: registration.status,
+            position,
+            waitlistLength: length
+        });
+    } catch (error) {
+        console.error('Get waitlist position error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// A recurring registration with its occurrences
+app.get('/registration-series/:seriesId', authenticateToken, async (req, res) => {
+    try {
+        const series = await registrationSeries.get(req.params.seriesId, {
+            trainee: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true
+                }
+            }
+        });
+
+        if (!series) {
+            return res.status(404).json({ error: 'Registration series not found' });
+        }
+
+        if (!canAccessTrainee(req.user, series.userId, 'registration')) {
+            return denyOwnership(res, 'registration');
+        }
+
+        res.status(200).json(formatSeries(series));
+    } catch (error) {
+        console.error('Get registration series error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add exception dates (e.g. holidays); occurrences on them are cancelled
+app.post('/registration-series/:seriesId/exceptions', authenticateToken, async (req, res) => {
+    try {
+        const { seriesId } = req.params;
+
+        const current = await prisma.registrationSeries.findUnique({ where: { id: seriesId } });
+
+        if (!current) {
+            return res.status(404).json({ error: 'Registration series not found' });
+        }
+
+        if (!canAccessTrainee(req.user, current.userId, 'registration')) {
+            return denyOwnership(res, 'registration');
+        }
+
+        const result = await registrationSeries.addExceptions(seriesId, req.body.dates);
+        if (!result.ok) {
+            return res.status(result.reason === 'not_found' ? 404 : 400).json({ error: result.message });
+        }
+
+        await audit(req, {
+            action: 'update',
+            entity: 'registration_series',
+            entityId: seriesId,
+            before: current,
+            after: result.series
+        });
+        await auditOccurrenceChanges(req, result.changes);
+        await auditPromotions(req, result.promoted);
+
+        const series = await registrationSeries.get(seriesId);
+        res.status(200).json({
+            ...formatSeries(series),
+            cancelled: result.changes.map(change => change.after)
+        });
+    } catch (error) {
+        console.error('Add recurrence exceptions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// /audit-events endpoint (admin only)
+// ---------------------------------------------------------------------------
+
+function parseDateParam(value) {
+    if (value === undefined) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+// List audit events, newest first
+app.get('/audit-events', authenticateToken, async (req, res) => {
+    try {
+        const { actorId, entity, entityId } = req.query;
+
+        if (entity && !isValidEntity(entity)) {
+            return res.status(400).json({ error: `entity must be one of ${ENTITIES.join(', ')}` });
+        }
+
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+        }
+        if (from && to && from > to) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+        if (req.query.pageToken) {
+            return res.status(400).json({ error: '/audit-events pages by number; pageToken is not supported' });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const pageSize = parseInt(req.query.pageSize) || 20;
+
+        const { events, total } = await auditLog.list({ actorId, entity, entityId, from, to, page, pageSize });
+
+        res.status(200).json({
+            data: events.map(event => ({
+                ...event,
+                before: event.before ? JSON.parse(event.before) : null,
+                after: event.after ? JSON.parse(event.after) : null
+            })),
+            pagination: {
+                page,
+                pageSize,
+                total
+            }
+        });
+    } catch (error) {
+        console.error('List audit events error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Scheduling suggestions
+// ---------------------------------------------------------------------------
+
+// Open slots in the trainee's routine that a workout fits into, best first
+app.get('/trainees/:traineeId/recommended-slots', authenticateToken, async (req, res) => {
+    try {
+        const { traineeId } = req.params;
+        const { workoutId } = req.query;
+
+        if (!canAccessTrainee(req.user, traineeId, 'routine')) {
+            return denyOwnership(res, 'routine');
+        }
+
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+        }
+
+        const result = await scheduling.recommendSlots({
+            traineeId,
+            from,
+            to,
+            workoutId,
+            limit: parseInt(req.query.limit) || undefined
+        });
+
+        if (!result.ok) {
+            return res.status(result.reason === 'not_found' ? 404 : 400).json({ error: result.message });
+        }
+
+        res.status(200).json({
+            timezone: result.timezone,
+            data: result.slots.map(slot => ({
+                workout: slot.workout,
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                availabilitySlot: formatSlot(slot.availabilitySlot),
+                slackBeforeMinutes: slot.slackBeforeMinutes,
+                slackAfterMinutes: slot.slackAfterMinutes,
+                fitScore: slot.fitScore,
+                durationMinutes: slot.workout.duration,
+                classSessionId: slot.classSession.id
+            }))
+        });
+    } catch (error) {
+        console.error('Recommend slots error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Windows in which the listed trainees are free together, most trainees first
+app.get('/common-availability', authenticateToken, async (req, res) => {
+    try {
+        const traineeIds = String(req.query.traineeIds || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+        }
+
+        const result = await scheduling.findCommonAvailability({
+            traineeIds,
+            from,
+            to,
+            minDuration: parseInt(req.query.minDuration),
+            limit: parseInt(req.query.limit) || undefined
+        });
+
+        if (!result.ok) {
+            return res.status(result.reason === 'not_found' ? 404 : 400).json({ error: result.message });
+        }
+
+        res.status(200).json({
+            data: result.windows.map(window => ({
+                ...window,
+                availableCount: window.availableTraineeIds.length
+            })),
+            traineesWithoutRoutine: result.withoutRoutine
+        });
+    } catch (error) {
+        console.error('Find common availability error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // ---------------------------------------------------------------------------
 // Graceful shutdown
 // ---------------------------------------------------------------------------
@@ -791,6 +2083,8 @@ process.on('SIGTERM', async () => {
 // Start the Server
 // ---------------------------------------------------------------------------
 app.listen(port, () => {
+    tokenStore.startPruning();
+    loginThrottle.startPruning();
     console.log(`Server is running on http://localhost:${port}`);
     console.log(`Swagger UI (EN) available at http://localhost:${port}/api-docs-en`);
     console.log(`Swagger UI (ET) available at http://localhost:${port}/api-docs-et`);
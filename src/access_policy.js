@@ -0,0 +1,191 @@
+// Role-based access control shared by the gRPC and REST servers.
+//
+// Every RPC and every authenticated Express route must appear in the tables
+// below; anything missing is denied. Ownership (a trainee acting on their own
+// profile, routine or registrations) is checked by the handlers with
+// canAccessTrainee() because the owner id lives in different places per call.
+
+const ROLES = {
+    ADMIN: 'admin',
+    TRAINER: 'trainer',
+    TRAINEE: 'trainee'
+};
+
+// Accounts promoted to admin on their next login (bootstraps the first admin)
+// once their email is verified or when they existed before the server started;
+// otherwise anyone could register a listed address and log in as admin
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+const STARTED_AT = new Date();
+
+const ALL_ROLES = [ROLES.ADMIN, ROLES.TRAINER, ROLES.TRAINEE];
+const STAFF = [ROLES.ADMIN, ROLES.TRAINER];
+const ADMIN_ONLY = [ROLES.ADMIN];
+
+// Roles that may act on resources owned by other trainees
+const OWNERSHIP_EXEMPT = {
+    profile: ADMIN_ONLY,
+    routine: STAFF,
+    registration: STAFF
+};
+
+// RPCs callable without an access token
+const PUBLIC_RPCS = [
+    'SessionService.CreateSession',
+    'SessionService.RefreshSession',
+    'SessionService.RequestPasswordReset',
+    'SessionService.ConfirmPasswordReset',
+    'TraineeService.CreateTrainee',
+    'TraineeService.VerifyEmail',
+    'TraineeService.ResendVerificationEmail'
+];
+
+const RPC_POLICY = {
+    'SessionService.DeleteSession': ALL_ROLES,
+    'SessionService.CheckSession': ALL_ROLES,
+    'SessionService.UnlockAccount': ADMIN_ONLY,
+
+    'TraineeService.ListTrainees': STAFF,
+    'TraineeService.GetTrainee': ALL_ROLES, // own profile only for trainees
+    'TraineeService.UpdateTrainee': ALL_ROLES, // own profile only, role changes admin only
+    'TraineeService.DeleteTrainee': ADMIN_ONLY,
+
+    'WorkoutService.ListWorkouts': ALL_ROLES,
+    'WorkoutService.GetWorkout': ALL_ROLES,
+    'WorkoutService.CreateWorkout': STAFF,
+    'WorkoutService.UpdateWorkout': STAFF,
+    'WorkoutService.DeleteWorkout': ADMIN_ONLY,
+
+    'ClassSessionService.ListClassSessions': ALL_ROLES,
+    'ClassSessionService.GetClassSession': ALL_ROLES,
+    'ClassSessionService.CreateClassSession': STAFF,
+    'ClassSessionService.UpdateClassSession': STAFF,
+    'ClassSessionService.DeleteClassSession': STAFF,
+
+    'RoutineService.ListRoutines': ALL_ROLES, // trainees see only their own
+    'RoutineService.CreateRoutine': ALL_ROLES,
+    'RoutineService.GetTraineeRoutine': ALL_ROLES,
+    'RoutineService.UpdateTraineeRoutine': ALL_ROLES,
+    'RoutineService.DeleteTraineeRoutine': ALL_ROLES,
+
+    'RegistrationService.ListRegistrations': ALL_ROLES, // trainees see only their own
+    'RegistrationService.CreateRegistration': ALL_ROLES,
+    'RegistrationService.GetRegistration': ALL_ROLES,
+    'RegistrationService.UpdateRegistration': ALL_ROLES,
+    'RegistrationService.DeleteRegistration': ALL_ROLES,
+    'RegistrationService.GetWaitlistPosition': ALL_ROLES, // own registrations only
+    'RegistrationService.GetRegistrationSeries': ALL_ROLES, // own series only
+    'RegistrationService.AddRecurrenceExceptions': ALL_ROLES, // own series only
+    'RegistrationService.WatchRegistrations': ALL_ROLES, // trainees see only their own
+
+    'SchedulingService.RecommendSlots': ALL_ROLES, // trainees only for themselves
+    'SchedulingService.FindCommonAvailability': STAFF,
+
+    'AuditService.ListAuditEvents': ADMIN_ONLY,
+
+    'CheckInService.Stream': STAFF, // kiosks sign in with a staff account
+    'CheckInService.ListKiosks': STAFF
+};
+
+// Keyed by `${req.method} ${req.route.path}`
+const ROUTE_POLICY = {
+    'DELETE /sessions': ALL_ROLES,
+    'GET /sessions': ALL_ROLES,
+    'DELETE /sessions/lockouts/:email': ADMIN_ONLY,
+
+    'GET /trainees': STAFF,
+    'GET /trainees/:traineeId': ALL_ROLES,
+    'PATCH /trainees/:traineeId': ALL_ROLES,
+    'DELETE /trainees/:traineeId': ADMIN_ONLY,
+
+    'GET /workouts': ALL_ROLES,
+    'GET /workouts/:workoutId': ALL_ROLES,
+    'POST /workouts': STAFF,
+    'PATCH /workouts/:workoutId': STAFF,
+    'DELETE /workouts/:workoutId': ADMIN_ONLY,
+
+    'GET /class-sessions': ALL_ROLES,
+    'GET /class-sessions/:classSessionId': ALL_ROLES,
+    'POST /class-sessions': STAFF,
+    'PATCH /class-sessions/:classSessionId': STAFF,
+    'DELETE /class-sessions/:classSessionId': STAFF,
+
+    'GET /routines': ALL_ROLES,
+    'POST /routines': ALL_ROLES,
+    'GET /routines/trainee/:traineeId': ALL_ROLES,
+    'PATCH /routines/trainee/:traineeId': ALL_ROLES,
+    'DELETE /routines/trainee/:traineeId': ALL_ROLES,
+
+    'GET /registrations': ALL_ROLES,
+    'POST /registrations': ALL_ROLES,
+    'GET /registrations/:registrationId': ALL_ROLES,
+    'PATCH /registrations/:registrationId': ALL_ROLES,
+    'DELETE /registrations/:registrationId': ALL_ROLES,
+    'GET /registrations/:registrationId/waitlist-position': ALL_ROLES,
+    'GET /registration-series/:seriesId': ALL_ROLES,
+    'POST /registration-series/:seriesId/exceptions': ALL_ROLES,
+
+    'GET /trainees/:traineeId/recommended-slots': ALL_ROLES,
+    'GET /common-availability': STAFF,
+
+    'GET /audit-events': ADMIN_ONLY
+};
+
+// Tokens issued before roles existed carry no role claim
+function roleOf(user) {
+    return (user && user.role) || ROLES.TRAINEE;
+}
+
+function isAllowed(policy, key, user) {
+    const roles = policy[key];
+    return Boolean(roles) && roles.includes(roleOf(user));
+}
+
+function isPublicRpc(rpcName) {
+    return PUBLIC_RPCS.includes(rpcName);
+}
+
+function isRpcAllowed(rpcName, user) {
+    return isAllowed(RPC_POLICY, rpcName, user);
+}
+
+function isRouteAllowed(routeKey, user) {
+    return isAllowed(ROUTE_POLICY, routeKey, user);
+}
+
+function canAccessTrainee(user, traineeId, resource) {
+    if (OWNERSHIP_EXEMPT[resource].includes(roleOf(user))) return true;
+    return Boolean(traineeId) && user.traineeId === traineeId;
+}
+
+function isStaff(user) {
+    return STAFF.includes(roleOf(user));
+}
+
+function isValidRole(role) {
+    return ALL_ROLES.includes(role);
+}
+
+function bootstrapRole(trainee) {
+    const listed = ADMIN_EMAILS.includes(trainee.email.toLowerCase());
+    const trusted = trainee.emailVerified || trainee.createdAt < STARTED_AT;
+    return listed && trusted ? ROLES.ADMIN : trainee.role;
+}
+
+module.exports = {
+    ROLES,
+    PUBLIC_RPCS,
+    RPC_POLICY,
+    ROUTE_POLICY,
+    roleOf,
+    isPublicRpc,
+    isRpcAllowed,
+    isRouteAllowed,
+    canAccessTrainee,
+    isStaff,
+    isValidRole,
+    bootstrapRole
+};
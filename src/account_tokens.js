@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Single-use, expiring tokens sent to trainees by mail (password resets and
+// email verification). Only the SHA-256 digest is stored; issuing a new token
+// for the same purpose invalidates any earlier unused one.
+
+const PURPOSES = {
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TOKEN_TTL_MS = {
+    [PURPOSES.PASSWORD_RESET]: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000,
+    [PURPOSES.EMAIL_VERIFICATION]: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createAccountTokens(prisma) {
+    async function issue(traineeId, purpose) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+
+        await prisma.$transaction([
+            prisma.accountToken.updateMany({
+                where: { traineeId, purpose, usedAt: null },
+                data: { usedAt: now }
+            }),
+            prisma.accountToken.create({
+                data: {
+                    traineeId,
+                    purpose,
+                    tokenHash: hashToken(token),
+                    expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[purpose])
+                }
+            })
+        ]);
+
+        return token;
+    }
+
+    // Marks the token as used and returns its traineeId, or null if the token is
+    // unknown, expired, already used or meant for another purpose
+    async function consume(token, purpose) {
+        if (!token) return null;
+
+        const record = await prisma.accountToken.findUnique({
+            where: { tokenHash: hashToken(token) }
+        });
+
+        if (!record || record.purpose !== purpose || record.usedAt || record.expiresAt < new Date()) {
+            return null;
+        }
+
+        // Conditional update so two concurrent requests cannot both use the token
+        const { count } = await prisma.accountToken.updateMany({
+            where: { id: record.id, usedAt: null },
+            data: { usedAt: new Date() }
+        });
+
+        return count === 1 ? record.traineeId : null;
+    }
+
+    return { issue, consume };
+}
+
+module.exports = { createAccountTokens, PURPOSES };
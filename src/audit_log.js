@@ -0,0 +1,131 @@
+// Audit trail of every create, update and delete made through either server.
+// An event records who made the change (actorId), what was changed (entity and
+// entityId), how the record looked before and after, and the protocol used.
+// Snapshots are stored as JSON strings for SQLite; for updates only the fields
+// that actually changed are kept.
+
+const ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete'
+};
+
+const ENTITIES = ['session', 'login_lockout', 'trainee', 'workout', 'class_session', 'routine', 'registration', 'registration_series'];
+
+const PROTOCOLS = {
+    GRPC: 'grpc',
+    REST: 'rest'
+};
+
+// Present in snapshots only as a marker, so a change is visible but the value is not
+const REDACTED_FIELDS = ['password'];
+// Changes on every write and would only add noise
+const IGNORED_FIELDS = ['updatedAt'];
+
+function isValidEntity(entity) {
+    return ENTITIES.includes(entity);
+}
+
+// Plain columns only; included relations (e.g. `trainee`) are left out
+function snapshot(record) {
+    if (!record) return null;
+
+    const result = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (value === undefined || IGNORED_FIELDS.includes(key)) continue;
+        if (value !== null && typeof value === 'object' && !(value instanceof Date)) continue;
+        result[key] = value;
+    }
+    return result;
+}
+
+function redact(values) {
+    if (!values) return null;
+
+    const result = { ...values };
+    for (const field of REDACTED_FIELDS) {
+        if (field in result) result[field] = '[redacted]';
+    }
+    return result;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Compares before redacting, so a new password still shows up as a change
+function diff(before, after) {
+    const changedBefore = {};
+    const changedAfter = {};
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (!sameValue(before[key], after[key])) {
+            changedBefore[key] = before[key] ?? null;
+            changedAfter[key] = after[key] ?? null;
+        }
+    }
+
+    return { before: redact(changedBefore), after: redact(changedAfter) };
+}
+
+function toJson(values) {
+    return values ? JSON.stringify(values) : null;
+}
+
+function createAuditLog(prisma) {
+    // Never throws: the change has already been committed when this runs, and
+    // a failed audit write must not turn a successful request into an error
+    async function record({ actorId, action, entity, entityId, before = null, after = null, protocol }) {
+        try {
+            let changes;
+            if (action === ACTIONS.UPDATE) {
+                changes = diff(snapshot(before) || {}, snapshot(after) || {});
+            } else {
+                changes = { before: redact(snapshot(before)), after: redact(snapshot(after)) };
+            }
+
+            await prisma.auditEvent.create({
+                data: {
+                    actorId: actorId || null,
+                    action,
+                    entity,
+                    entityId: String(entityId),
+                    before: toJson(changes.before),
+                    after: toJson(changes.after),
+                    protocol
+                }
+            });
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+    }
+
+    // Filters are optional; from/to bound createdAt (inclusive). Newest first.
+    async function list({ actorId, entity, entityId, from, to, page = 1, pageSize = 20 } = {}) {
+        const where = {};
+        if (actorId) where.actorId = actorId;
+        if (entity) where.entity = entity;
+        if (entityId) where.entityId = entityId;
+        if (from || to) {
+            where.createdAt = {};
+            if (from) where.createdAt.gte = from;
+            if (to) where.createdAt.lte = to;
+        }
+
+        const [events, total] = await prisma.$transaction([
+            prisma.auditEvent.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * pageSize,
+                take: pageSize
+            }),
+            prisma.auditEvent.count({ where })
+        ]);
+
+        return { events, total };
+    }
+
+    return { record, list };
+}
+
+module.exports = { createAuditLog, isValidEntity, ACTIONS, ENTITIES, PROTOCOLS };
@@ -0,0 +1,115 @@
+// Checks bookings against the weekly availability a trainee declared in their
+// routine. Shared by the gRPC and REST servers.
+//
+// ROUTINE_AVAILABILITY_POLICY decides what happens to a booking outside it:
+//   off    - nothing is checked (default)
+//   warn   - the booking is made; the response says which slot it falls outside of
+//   reject - the booking fails with FAILED_PRECONDITION (REST: 409)
+//
+// Routine slots are wall-clock times in the trainee's timezone (UTC when the
+// trainee has none), so the booking is converted to that zone before it is
+// compared. A booking must fit inside a single slot. Trainees without a routine
+// are not restricted.
+
+const { DAYS, zoneOrUtc, toMinutes, wallClock } = require('./timezones');
+const { routineSlots } = require('./routine_slots');
+
+const POLICIES = ['off', 'warn', 'reject'];
+
+const RESULTS = {
+    WITHIN: 'within',
+    OUTSIDE: 'outside',
+    NO_ROUTINE: 'no_routine'
+};
+
+function currentPolicy() {
+    const policy = process.env.ROUTINE_AVAILABILITY_POLICY || 'off';
+    return POLICIES.includes(policy) ? policy : 'off';
+}
+
+// The booking as a slot in the trainee's zone, end_time "24:00" for a booking
+// ending exactly at midnight. spansDays is set when no single slot can hold it.
+function bookingSlot(startTime, endTime, timeZone) {
+    const start = wallClock(startTime, timeZone);
+    if (!endTime || endTime <= startTime) {
+        return { slot: { day: start.day, start_time: start.time, end_time: start.time }, spansDays: false };
+    }
+
+    const end = wallClock(endTime, timeZone);
+    const withinADay = endTime - startTime <= 24 * 60 * 60 * 1000;
+    const sameDay = withinADay && end.day === start.day && end.minutes >= start.minutes;
+    const endsAtMidnight = withinADay && end.minutes === 0 &&
+        DAYS[(DAYS.indexOf(start.day) + 1) % 7] === end.day;
+
+    return {
+        slot: {
+            day: start.day,
+            start_time: start.time,
+            end_time: sameDay ? end.time : (endsAtMidnight ? '24:00' : end.time)
+        },
+        spansDays: !sameDay && !endsAtMidnight
+    };
+}
+
+function describe(slot) {
+    return `${slot.day} ${slot.start_time}-${slot.end_time}`;
+}
+
+function createAvailabilityCheck(prisma) {
+    // Returns null when the policy is off, otherwise
+    // { policy, result, timezone, requestedSlot, matchingSlot, message }
+    async function check(userId, startTime, endTime) {
+        const policy = currentPolicy();
+        if (policy === 'off') return null;
+
+        const [trainee, routines] = await Promise.all([
+            prisma.trainee.findUnique({ where: { id: userId }, select: { timezone: true } }),
+            prisma.routine.findMany({ where: { userId } })
+        ]);
+
+        const timezone = zoneOrUtc(trainee && trainee.timezone);
+        const { slot: requestedSlot, spansDays } = bookingSlot(startTime, endTime, timezone);
+        const base = { policy, timezone, requestedSlot, matchingSlot: null };
+
+        if (routines.length === 0) {
+            return { ...base, result: RESULTS.NO_ROUTINE, message: 'Trainee has no routine; availability is not restricted' };
+        }
+
+        // Unreadable routines are left out; with none left nothing restricts the booking
+        const readable = routines.map(routineSlots).filter(Boolean);
+        if (readable.length === 0) {
+            return { ...base, result: RESULTS.NO_ROUTINE, message: "Trainee's routine cannot be read; availability is not restricted" };
+        }
+
+        const slots = readable.flat();
+        const matchingSlot = spansDays ? null : slots.find(slot =>
+            slot.day === requestedSlot.day &&
+            toMinutes(slot.start_time) <= toMinutes(requestedSlot.start_time) &&
+            toMinutes(requestedSlot.end_time) <= toMinutes(slot.end_time)
+        );
+
+        if (matchingSlot) {
+            return {
+                ...base,
+                result: RESULTS.WITHIN,
+                matchingSlot,
+                message: `Booking ${describe(requestedSlot)} (${timezone}) is within availability ${describe(matchingSlot)}`
+            };
+        }
+
+        return {
+            ...base,
+            result: RESULTS.OUTSIDE,
+            message: `Booking ${describe(requestedSlot)} (${timezone}) is outside the trainee's availability`
+        };
+    }
+
+    return { check };
+}
+
+// True when the check should stop the booking
+function rejects(availability) {
+    return Boolean(availability) && availability.policy === 'reject' && availability.result === RESULTS.OUTSIDE;
+}
+
+module.exports = { createAvailabilityCheck, rejects, RESULTS };
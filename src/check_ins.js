@@ -0,0 +1,214 @@
+const { zoneOrUtc, wallClock, zonedTimeToUtc } = require('./timezones');
+const { STATUSES, RELEASED_STATUSES, normalizeStatus } = require('./registration_status');
+
+// Door kiosk check-ins, used by CheckInService.
+//
+// A scanned member card names a trainee. The scan is matched against the
+// trainee's registrations for today (in their timezone): check-in opens
+// CHECK_IN_OPENS_MINUTES before a registration starts and closes when it ends
+// (when it starts, for registrations without an end time). The first open
+// registration is flipped to checked_in and the door is opened; scanning again
+// while it is open is accepted as already checked in. Everything else is
+// denied with a reason.
+//
+// Kiosks keep their stream open and send heartbeats; the kiosk registry
+// remembers when each was last heard from, and a kiosk silent for
+// HEARTBEAT_TIMEOUT_MS is no longer alive. A kiosk disconnected for longer
+// than DISCONNECTED_KIOSK_TTL_MS is forgotten.
+
+const CHECK_IN_OPENS_MINUTES = 30;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const HEARTBEAT_TIMEOUT_MS = 3 * HEARTBEAT_INTERVAL_MS;
+const DISCONNECTED_KIOSK_TTL_MS = 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+const REASONS = {
+    CHECKED_IN: 'checked_in',
+    ALREADY_CHECKED_IN: 'already_checked_in',
+    UNKNOWN_MEMBER: 'unknown_member',
+    NO_REGISTRATION: 'no_registration',
+    TOO_EARLY: 'too_early',
+    TOO_LATE: 'too_late',
+    WAITLISTED: 'waitlisted'
+};
+
+// Statuses a registration can be checked in from
+const CHECKABLE_STATUSES = [STATUSES.SCHEDULED, STATUSES.CONFIRMED];
+
+function opensAt(registration) {
+    return new Date(registration.startTime.getTime() - CHECK_IN_OPENS_MINUTES * MINUTE_MS);
+}
+
+function closesAt(registration) {
+    return registration.endTime && registration.endTime > registration.startTime
+        ? registration.endTime
+        : registration.startTime;
+}
+
+function isOpen(registration, at) {
+    return opensAt(registration) <= at && at <= closesAt(registration);
+}
+
+function createCheckIns(prisma) {
+    // Decides on a scan of `traineeId`'s card at `at` and checks the matching
+    // registration in. Returns { accepted, reason, message, registration,
+    // before } where `before` is set when the registration was changed.
+    async function checkIn(traineeId, at, include) {
+        const trainee = traineeId
+            ? await prisma.trainee.findUnique({ where: { id: traineeId }, select: { id: true, timezone: true } })
+            : null;
+        if (!trainee) {
+            return { accepted: false, reason: REASONS.UNKNOWN_MEMBER, message: 'Card not recognised', registration: null };
+        }
+
+        const timezone = zoneOrUtc(trainee.timezone);
+        const { date } = wallClock(at, timezone);
+        const registrations = await prisma.registration.findMany({
+            where: {
+                userId: trainee.id,
+                status: { notIn: RELEASED_STATUSES },
+                startTime: { gte: zonedTimeToUtc(date, '00:00', timezone), lt: zonedTimeToUtc(date, '24:00', timezone) }
+            },
+            include,
+            orderBy: { startTime: 'asc' }
+        });
+
+        const open = registrations.filter(registration => isOpen(registration, at));
+        const checkedIn = open.find(registration => normalizeStatus(registration.status) === STATUSES.CHECKED_IN);
+        const checkable = open.find(registration => CHECKABLE_STATUSES.includes(normalizeStatus(registration.status)));
+
+        if (checkable) {
+            // Another kiosk may be checking the same registration in; only one wins
+            const changed = await prisma.$transaction(async (tx) => {
+                const { count } = await tx.registration.updateMany({
+                    where: { id: checkable.id, status: { in: CHECKABLE_STATUSES } },
+                    data: { status: STATUSES.CHECKED_IN }
+                });
+                if (count === 0) return false;
+
+                await tx.registrationStatusChange.create({
+                    data: { registrationId: checkable.id, fromStatus: checkable.status, toStatus: STATUSES.CHECKED_IN }
+                });
+                return true;
+            });
+            const registration = await prisma.registration.findUnique({ where: { id: checkable.id }, include });
+
+            if (changed) {
+                return { accepted: true, reason: REASONS.CHECKED_IN, message: 'Checked in', registration, before: checkable };
+            }
+            return { accepted: true, reason: REASONS.ALREADY_CHECKED_IN, message: 'Already checked in', registration };
+        }
+        if (checkedIn) {
+            return { accepted: true, reason: REASONS.ALREADY_CHECKED_IN, message: 'Already checked in', registration: checkedIn };
+        }
+
+        const upcoming = registrations.find(registration =>
+            opensAt(registration) > at && CHECKABLE_STATUSES.includes(normalizeStatus(registration.status)));
+        if (upcoming) {
+            return {
+                accepted: false,
+                reason: REASONS.TOO_EARLY,
+                message: `Check-in opens at ${wallClock(opensAt(upcoming), timezone).time}`,
+                registration: upcoming
+            };
+        }
+
+        const waitlisted = registrations.find(registration =>
+            normalizeStatus(registration.status) === STATUSES.WAITLISTED && closesAt(registration) >= at);
+        if (waitlisted) {
+            return { accepted: false, reason: REASONS.WAITLISTED, message: 'Still on the waitlist', registration: waitlisted };
+        }
+
+        const missed = registrations.filter(registration => closesAt(registration) < at);
+        if (missed.length > 0) {
+            return {
+                accepted: false,
+                reason: REASONS.TOO_LATE,
+                message: 'Check-in for today has closed',
+                registration: missed[missed.length - 1]
+            };
+        }
+
+        return { accepted: false, reason: REASONS.NO_REGISTRATION, message: 'No registration today', registration: null };
+    }
+
+    return { checkIn };
+}
+
+// Kiosks seen since the server started, by kiosk id. Each connected stream
+// claims its kiosk; a later stream with the same id takes over, and the
+// earlier one is told through its onReplaced(). Kiosks disconnected for longer
+// than `ttlMs` are dropped whenever a kiosk connects or the list is read.
+function createKioskRegistry({ ttlMs = DISCONNECTED_KIOSK_TTL_MS } = {}) {
+    const kiosks = new Map();
+
+    function expire(now) {
+        for (const [kioskId, kiosk] of kiosks) {
+            if (!kiosk.connected && now - kiosk.disconnectedAt > ttlMs) kiosks.delete(kioskId);
+        }
+    }
+
+    // Returns the handle the stream identifies itself with from now on
+    function connect(kioskId, staffId, onReplaced, now = new Date()) {
+        expire(now);
+        const previous = kiosks.get(kioskId);
+        const stream = Symbol(kioskId);
+        kiosks.set(kioskId, {
+            kioskId,
+            staffId,
+            stream,
+            onReplaced,
+            connected: true,
+            connectedAt: now,
+            disconnectedAt: null,
+            lastSeenAt: now,
+            scans: 0,
+            accepted: 0
+        });
+        if (previous && previous.connected) previous.onReplaced();
+        return stream;
+    }
+
+    // Applies `update` to the kiosk while `stream` still owns it
+    function touch(kioskId, stream, update = {}, now = new Date()) {
+        const kiosk = kiosks.get(kioskId);
+        if (!kiosk || kiosk.stream !== stream) return;
+        Object.assign(kiosk, update, { lastSeenAt: now });
+    }
+
+    function recordScan(kioskId, stream, accepted, now = new Date()) {
+        const kiosk = kiosks.get(kioskId);
+        if (!kiosk || kiosk.stream !== stream) return;
+        touch(kioskId, stream, { scans: kiosk.scans + 1, accepted: kiosk.accepted + (accepted ? 1 : 0) }, now);
+    }
+
+    function disconnect(kioskId, stream, now = new Date()) {
+        const kiosk = kiosks.get(kioskId);
+        if (kiosk && kiosk.stream === stream) Object.assign(kiosk, { connected: false, disconnectedAt: now });
+    }
+
+    function isAlive(kiosk, now = new Date()) {
+        return kiosk.connected && now - kiosk.lastSeenAt <= HEARTBEAT_TIMEOUT_MS;
+    }
+
+    // Every kiosk with `alive`, most recently seen first
+    function list(now = new Date()) {
+        expire(now);
+        return [...kiosks.values()]
+            .map(({ stream, onReplaced, disconnectedAt, ...kiosk }) => ({ ...kiosk, alive: isAlive(kiosk, now) }))
+            .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    }
+
+    return { connect, touch, recordScan, disconnect, list };
+}
+
+module.exports = {
+    createCheckIns,
+    createKioskRegistry,
+    REASONS,
+    CHECK_IN_OPENS_MINUTES,
+    HEARTBEAT_INTERVAL_MS,
+    HEARTBEAT_TIMEOUT_MS,
+    DISCONNECTED_KIOSK_TTL_MS
+};
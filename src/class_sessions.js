@@ -0,0 +1,239 @@
+const { isStaff } = require('./access_policy');
+const { STATUSES, RELEASED_STATUSES, recordStatusChange } = require('./registration_status');
+const { findOverlaps } = require('./registration_overlaps');
+
+// Class sessions are scheduled occurrences of a workout with a room, an
+// instructor and a head count limit. Shared by the gRPC and REST servers: input
+// validation, seat-limited booking and the waitlist live here, plain CRUD in
+// the handlers.
+//
+// Bookings for a full session are accepted with status `waitlisted`. Whenever a
+// seat frees up (a registration is cancelled or deleted, or the capacity grows)
+// the oldest waitlisted registrations are promoted to `scheduled` in the same
+// transaction.
+
+const WAITLISTED = STATUSES.WAITLISTED;
+const PROMOTED_STATUS = STATUSES.SCHEDULED;
+
+const HOLDS_SEAT = { status: { notIn: [...RELEASED_STATUSES, WAITLISTED] } };
+
+// Waitlist order: first come, first served
+const WAITLIST_ORDER = [{ createdAt: 'asc' }, { id: 'asc' }];
+
+// Include for class session queries; `_count.registrations` is the number of
+// booked seats
+const CLASS_SESSION_INCLUDE = {
+    workout: true,
+    _count: { select: { registrations: { where: HOLDS_SEAT } } }
+};
+
+function sessionEndTime(session) {
+    return new Date(session.startTime.getTime() + session.workout.duration * 60 * 1000);
+}
+
+// A registration for a session runs exactly when the session does. Times the
+// client sent along may only repeat them; returns null, or { reason, message }
+// with reason 'invalid' for the first one that differs.
+function checkBookingTimes(times, requested) {
+    for (const [field, key] of [['start_time', 'startTime'], ['end_time', 'endTime']]) {
+        const value = requested[key];
+        if (value && value.getTime() !== times[key].getTime()) {
+            return {
+                reason: 'invalid',
+                message: `${field} must be left out or match the class session (${times[key].toISOString()})`
+            };
+        }
+    }
+    return null;
+}
+
+function bookedSeats(session) {
+    return session._count ? session._count.registrations : 0;
+}
+
+function createClassSessions(prisma) {
+    // Checks the fields present in `input` (all of them when creating). Returns
+    // null, or { reason, message } where reason is 'invalid' or 'not_found'.
+    async function validate(input, { creating = false } = {}) {
+        const { workoutId, startTime, instructorId, capacity } = input;
+
+        if (creating && (!workoutId || !startTime || capacity === undefined)) {
+            return { reason: 'invalid', message: 'workout_id, start_time and capacity are required' };
+        }
+        if (startTime !== undefined && (!(startTime instanceof Date) || isNaN(startTime.getTime()))) {
+            return { reason: 'invalid', message: 'start_time must be a valid date' };
+        }
+        if (capacity !== undefined && (!Number.isInteger(capacity) || capacity < 1)) {
+            return { reason: 'invalid', message: 'capacity must be a positive integer' };
+        }
+
+        if (workoutId !== undefined) {
+            const workout = await prisma.workout.findUnique({ where: { id: workoutId } });
+            if (!workout) return { reason: 'not_found', message: 'Workout not found' };
+        }
+
+        if (instructorId) {
+            const instructor = await prisma.trainee.findUnique({ where: { id: instructorId } });
+            if (!instructor) return { reason: 'not_found', message: 'Instructor not found' };
+            if (!isStaff(instructor)) {
+                return { reason: 'invalid', message: 'Instructor must be a trainer or an admin' };
+            }
+        }
+
+        return null;
+    }
+
+    // Creates a registration for the session; when every seat is taken it goes
+    // onto the waitlist instead. Returns { ok: true, registration } or
+    // { ok: false, reason } with reason 'not_found', or 'overlap' together with
+    // conflictingIds unless `allowOverlap` is set. Checking and inserting share
+    // a transaction so two concurrent bookings cannot both take the last seat.
+    async function book(classSessionId, data, include, options) {
+        return prisma.$transaction((tx) => bookWithin(tx, classSessionId, data, include, options));
+    }
+
+    // book() inside a transaction the caller already holds, for bookings that
+    // must succeed or fail together
+    async function bookWithin(tx, classSessionId, data, include, { allowOverlap = false } = {}) {
+        const session = await tx.classSession.findUnique({
+            where: { id: classSessionId },
+            include: { workout: true }
+        });
+
+        if (!session) return { ok: false, reason: 'not_found' };
+
+        const startTime = data.startTime || session.startTime;
+        const endTime = data.endTime || sessionEndTime(session);
+
+        if (!allowOverlap) {
+            const conflictingIds = await findOverlaps(tx, { userId: data.userId, startTime, endTime });
+            if (conflictingIds.length > 0) return { ok: false, reason: 'overlap', conflictingIds };
+        }
+
+        const taken = await tx.registration.count({
+            where: { classSessionId, ...HOLDS_SEAT }
+        });
+
+        const status = taken >= session.capacity ? WAITLISTED : data.status;
+        const registration = await tx.registration.create({
+            data: {
+                ...data,
+                status,
+                statusChanges: recordStatusChange(null, status),
+                classSessionId,
+                eventId: data.eventId || classSessionId,
+                startTime,
+                endTime
+            },
+            include
+        });
+
+        return { ok: true, registration };
+    }
+
+    // Start and end time a booking of the session gets; null when the session
+    // does not exist
+    async function bookingTimes(classSessionId) {
+        const session = await prisma.classSession.findUnique({
+            where: { id: classSessionId },
+            include: { workout: true }
+        });
+        if (!session) return null;
+
+        return { startTime: session.startTime, endTime: sessionEndTime(session) };
+    }
+
+    // Promotes waitlisted registrations into free seats, oldest first, and
+    // returns them as updated. `tx` must be a transaction client.
+    async function promoteWaitlisted(tx, classSessionId) {
+        const session = await tx.classSession.findUnique({ where: { id: classSessionId } });
+        if (!session) return [];
+
+        const taken = await tx.registration.count({
+            where: { classSessionId, ...HOLDS_SEAT }
+        });
+        const freeSeats = session.capacity - taken;
+        if (freeSeats <= 0) return [];
+
+        const next = await tx.registration.findMany({
+            where: { classSessionId, status: WAITLISTED },
+            orderBy: WAITLIST_ORDER,
+            take: freeSeats
+        });
+
+        const promoted = [];
+        for (const registration of next) {
+            promoted.push(await tx.registration.update({
+                where: { id: registration.id },
+                data: {
+                    status: PROMOTED_STATUS,
+                    statusChanges: recordStatusChange(WAITLISTED, PROMOTED_STATUS)
+                }
+            }));
+        }
+        return promoted;
+    }
+
+    // Applies `change(tx)` - an update or delete that returns the registration -
+    // and fills any seat it freed from the waitlist, all in one transaction.
+    // Returns { registration, promoted }.
+    async function changeBooking(change) {
+        const { registrations, promoted } = await changeBookings(async (tx) => [await change(tx)]);
+        return { registration: registrations[0], promoted };
+    }
+
+    // changeBooking() for a change that returns several registrations, e.g.
+    // every occurrence of a recurring booking. Returns { registrations, promoted }.
+    async function changeBookings(change) {
+        return prisma.$transaction(async (tx) => {
+            const registrations = await change(tx);
+            const sessionIds = [...new Set(registrations.map(registration => registration.classSessionId).filter(Boolean))];
+
+            const promoted = [];
+            for (const classSessionId of sessionIds) {
+                promoted.push(...await promoteWaitlisted(tx, classSessionId));
+            }
+            return { registrations, promoted };
+        });
+    }
+
+    // Fills seats added by a capacity increase; returns the promoted registrations
+    async function fillSeats(classSessionId) {
+        return prisma.$transaction((tx) => promoteWaitlisted(tx, classSessionId));
+    }
+
+    // 1-based place in the waitlist, or 0 if the registration is not waitlisted
+    async function waitlistPosition(registration) {
+        const length = registration.classSessionId
+            ? await prisma.registration.count({
+                where: { classSessionId: registration.classSessionId, status: WAITLISTED }
+            })
+            : 0;
+
+        if (registration.status !== WAITLISTED) return { position: 0, length };
+
+        const ahead = await prisma.registration.count({
+            where: {
+                classSessionId: registration.classSessionId,
+                status: WAITLISTED,
+                OR: [
+                    { createdAt: { lt: registration.createdAt } },
+                    { createdAt: registration.createdAt, id: { lt: registration.id } }
+                ]
+            }
+        });
+
+        return { position: ahead + 1, length };
+    }
+
+    return { validate, book, bookWithin, bookingTimes, changeBooking, changeBookings, fillSeats, waitlistPosition };
+}
+
+module.exports = {
+    createClassSessions,
+    sessionEndTime,
+    checkBookingTimes,
+    bookedSeats,
+    CLASS_SESSION_INCLUDE,
+    WAITLISTED
+};
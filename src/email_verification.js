@@ -0,0 +1,79 @@
+const { PURPOSES } = require('./account_tokens');
+
+// Email verification shared by the gRPC and REST servers.
+//
+// EMAIL_VERIFICATION_POLICY decides what an unverified account may do:
+//   off          - nothing is blocked (default)
+//   registration - can log in, but cannot be registered for workouts
+//   login        - cannot log in at all (and therefore cannot register)
+
+const POLICIES = ['off', 'registration', 'login'];
+
+function currentPolicy() {
+    const policy = process.env.EMAIL_VERIFICATION_POLICY || 'off';
+    return POLICIES.includes(policy) ? policy : 'off';
+}
+
+function blocksLogin(trainee) {
+    return !trainee.emailVerified && currentPolicy() === 'login';
+}
+
+function blocksRegistration(trainee) {
+    return !trainee.emailVerified && currentPolicy() !== 'off';
+}
+
+function verificationInstructions(token) {
+    const baseUrl = process.env.EMAIL_VERIFICATION_URL;
+    const link = baseUrl ? `\n\n${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : '';
+    return `Welcome to the gym!
+
+Use this code to confirm your email address: ${token}${link}
+
+If you did not create an account, ignore this message.`;
+}
+
+function createEmailVerification({ prisma, accountTokens, mailer }) {
+    async function send(trainee) {
+        const token = await accountTokens.issue(trainee.id, PURPOSES.EMAIL_VERIFICATION);
+        await mailer.send({
+            to: trainee.email,
+            subject: 'Confirm your email address',
+            text: verificationInstructions(token)
+        });
+    }
+
+    // Account creation must not fail because the mail could not be sent; the
+    // trainee can ask for a new code with resend()
+    async function sendQuietly(trainee) {
+        try {
+            await send(trainee);
+        } catch (error) {
+            console.error('Verification mail error:', error);
+        }
+    }
+
+    // Silently ignores unknown and already verified emails
+    async function resend(email) {
+        const trainee = await prisma.trainee.findUnique({ where: { email } });
+        if (!trainee || trainee.emailVerified) return;
+        await send(trainee);
+    }
+
+    // Returns the trainee as { before, after } verification, or null if the
+    // token is not usable
+    async function verify(token) {
+        const traineeId = await accountTokens.consume(token, PURPOSES.EMAIL_VERIFICATION);
+        if (!traineeId) return null;
+
+        const before = await prisma.trainee.findUnique({ where: { id: traineeId } });
+        const after = await prisma.trainee.update({
+            where: { id: traineeId },
+            data: { emailVerified: true }
+        });
+        return { before, after };
+    }
+
+    return { send, sendQuietly, resend, verify };
+}
+
+module.exports = { createEmailVerification, blocksLogin, blocksRegistration };
@@ -1,10 +1,34 @@
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const { PrismaClient } = require('@prisma/client');
-const jwt = require('jsonwebtoken');
 const path = require('path');
 require('dotenv').config();
 
+// Local modules read their configuration from the environment on load
+const { hashPassword, verifyPassword } = require('./passwords');
+const { createTokenStore, ACCESS_TOKEN_TTL_SECONDS } = require('./token_store');
+const { createLoginThrottle, addressFromPeer } = require('./login_throttle');
+const { createMailer } = require('./mailer');
+const { createAccountTokens } = require('./account_tokens');
+const { createPasswordReset } = require('./password_reset');
+const { createEmailVerification, blocksLogin, blocksRegistration } = require('./email_verification');
+const { createServerCredentials, describeServerTls } = require('./tls_credentials');
+const { createClassSessions, sessionEndTime, checkBookingTimes, bookedSeats, CLASS_SESSION_INCLUDE, WAITLISTED } = require('./class_sessions');
+const { createAuditLog, isValidEntity, ENTITIES, PROTOCOLS } = require('./audit_log');
+const { STATUSES, RELEASED_STATUSES, normalizeStatus, checkStatusChange, checkStatusRole, recordStatusChange, toProtoStatus, fromProtoStatus } = require('./registration_status');
+const { findOverlaps, overlapMessage } = require('./registration_overlaps');
+const { createAvailabilityCheck, rejects } = require('./availability');
+const { validateAvailability, normalizeSlot } = require('./routine_slots');
+const { createScheduling } = require('./scheduling');
+const { checkTimeZone, formatInZone } = require('./timezones');
+const { createRegistrationSeries, describeSeries, fromProtoScope, isValidScope, SCOPES } = require('./registration_series');
+const { createRegistrationFeed, parseResumeToken } = require('./registration_feed');
+const { createCheckIns, createKioskRegistry, HEARTBEAT_INTERVAL_MS, HEARTBEAT_TIMEOUT_MS } = require('./check_ins');
+const { parseListQuery, andWhere } = require('./list_query');
+const { createListPages } = require('./list_pages');
+const { maskedChanges } = require('./update_masks');
+const { isRpcAllowed, isPublicRpc, canAccessTrainee, isStaff, isValidRole, roleOf, bootstrapRole, ROLES } = require('./access_policy');
+
 // Initialize Prisma client
 const prisma = new PrismaClient();
 
@@ -27,14 +51,48 @@ const gymProto = grpc.loadPackageDefinition(packageDefinition).gym_registration;
 const port = process.env.GRPC_PORT || 50051;
 const JWT_SECRET = process.env.JWT_SECRET;
 
-// Track revoked tokens
-const revokedTokens = new Set();
+// Access tokens and their revocations (shared with the REST server)
+const tokenStore = createTokenStore(prisma, JWT_SECRET);
+
+// Failed login counters and lockouts (shared with the REST server)
+const loginThrottle = createLoginThrottle(prisma);
+
+// Mail and single-use account tokens for the forgot-password flow
+const mailer = createMailer();
+const accountTokens = createAccountTokens(prisma);
+const passwordReset = createPasswordReset({ prisma, accountTokens, tokenStore, mailer });
+const emailVerification = createEmailVerification({ prisma, accountTokens, mailer });
+
+// Audit trail of every write (shared with the REST server)
+const auditLog = createAuditLog(prisma);
+
+// Class schedule validation and seat-limited booking (shared with the REST server)
+const classSessions = createClassSessions(prisma);
+
+// Bookings compared with the trainee's routine (shared with the REST server)
+const availabilityCheck = createAvailabilityCheck(prisma);
+
+// Slot suggestions from routines (shared with the REST server)
+const scheduling = createScheduling(prisma);
+
+// Recurring registrations (shared with the REST server)
+const registrationSeries = createRegistrationSeries({ prisma, classSessions, availabilityCheck });
+
+// Live registration changes for WatchRegistrations (written by both servers)
+const registrationFeed = createRegistrationFeed(prisma);
+
+// Door kiosk check-ins; the kiosks connected to this process
+const checkIns = createCheckIns(prisma);
+const kiosks = createKioskRegistry();
+
+// Page tokens and page numbers for the list RPCs (shared with the REST server)
+const listPages = createListPages(prisma);
 
 // ============================================================================
 // Helper Functions
 // ============================================================================
 
-function authenticateToken(token) {
+async function authenticateToken(token, rpcName) {
     if (!token) {
         throw {
             code: grpc.status.UNAUTHENTICATED,
@@ -42,28 +100,151 @@ function authenticateToken(token) {
         };
     }
 
-    if (revokedTokens.has(token)) {
+    let userData;
+    try {
+        userData = tokenStore.verifyAccessToken(token);
+    } catch (err) {
         throw {
             code: grpc.status.UNAUTHENTICATED,
-            message: 'Token is revoked'
+            message: 'Invalid token'
         };
     }
 
-    try {
-        return jwt.verify(token, JWT_SECRET);
-    } catch (err) {
+    if (await tokenStore.isRevoked(token, userData)) {
         throw {
             code: grpc.status.UNAUTHENTICATED,
-            message: 'Invalid token'
+            message: 'Token is revoked'
+        };
+    }
+
+    if (!isRpcAllowed(rpcName, userData)) {
+        throw {
+            code: grpc.status.PERMISSION_DENIED,
+            message: 'Insufficient permissions'
+        };
+    }
+
+    return userData;
+}
+
+function tooManyLoginAttempts(retryAfter) {
+    const metadata = new grpc.Metadata();
+    metadata.set('retry-after', String(retryAfter));
+    return {
+        code: grpc.status.RESOURCE_EXHAUSTED,
+        message: `Too many failed login attempts. Try again in ${retryAfter} seconds`,
+        metadata
+    };
+}
+
+// Methods that already logged a warning about the deprecated `token` request field
+const legacyTokenWarnings = new Set();
+
+// Prefers `authorization: Bearer <jwt>` metadata and falls back to the deprecated
+// `token` request field during the deprecation window
+function extractToken(call, rpcName) {
+    const [header] = call.metadata.get('authorization');
+    if (header) {
+        const match = /^Bearer\s+(\S+)$/i.exec(String(header));
+        return match ? match[1] : null;
+    }
+
+    const legacyToken = call.request && call.request.token;
+    if (legacyToken && !legacyTokenWarnings.has(rpcName)) {
+        legacyTokenWarnings.add(rpcName);
+        console.warn(`${rpcName}: the token request field is deprecated, send authorization metadata instead`);
+    }
+    return legacyToken || null;
+}
+
+// Wraps every handler of a service so authentication and the role check happen
+// in one place. The decoded token is attached to the call as `call.user` (and
+// the raw token as `call.token`) before the handler runs. Streaming handlers
+// get no callback; their errors are emitted on the call.
+function withAuth(serviceName, handlers) {
+    const wrapped = {};
+
+    for (const [method, handler] of Object.entries(handlers)) {
+        const rpcName = `${serviceName}.${method}`;
+
+        if (isPublicRpc(rpcName)) {
+            wrapped[method] = handler;
+            continue;
+        }
+
+        wrapped[method] = async (call, callback) => {
+            try {
+                const token = extractToken(call, rpcName);
+                call.user = await authenticateToken(token, rpcName);
+                call.token = token;
+            } catch (error) {
+                if (!error.code) console.error(`${rpcName} authentication error:`, error);
+                const fail = callback || (failure => call.emit('error', failure));
+                return fail(error.code ? error : {
+                    code: grpc.status.INTERNAL,
+                    message: 'Internal server error'
+                });
+            }
+            return handler(call, callback);
+        };
+    }
+
+    return wrapped;
+}
+
+// Ownership rule: trainees may only act on their own profile, routine and registrations
+function assertTraineeAccess(userData, traineeId, resource) {
+    if (!canAccessTrainee(userData, traineeId, resource)) {
+        throw {
+            code: grpc.status.PERMISSION_DENIED,
+            message: `You may only access your own ${resource}`
         };
     }
 }
 
+// Records a create/update/delete made by the caller. For updates pass the merged
+// record as `after`; only the fields that differ are stored. Registration
+// changes also go to the feed behind WatchRegistrations.
+async function audit(call, { actorId, action, entity, entityId, before, after }) {
+    if (entity === 'registration') await registrationFeed.publish(action, before, after);
+    return auditLog.record({
+        actorId: actorId || call.user?.traineeId,
+        action,
+        entity,
+        entityId,
+        before,
+        after,
+        protocol: PROTOCOLS.GRPC
+    });
+}
+
+// Registrations deleted or detached by a cascading delete, from
+// registrationFeed.deleteCascading(), are recorded as changes by its caller
+async function auditCascaded(call, cascaded) {
+    for (const { action, before, after } of cascaded) {
+        await audit(call, { action, entity: 'registration', entityId: before.id, before, after });
+    }
+}
+
+// Waitlist promotions are recorded as updates by whoever freed the seat
+async function auditPromotions(call, promoted) {
+    for (const registration of promoted) {
+        await audit(call, {
+            action: 'update',
+            entity: 'registration',
+            entityId: registration.id,
+            before: { ...registration, status: WAITLISTED },
+            after: registration
+        });
+    }
+}
+
 function formatTrainee(trainee) {
     if (!trainee) return null;
     const { password, ...traineeWithoutPassword } = trainee;
     return {
         ...traineeWithoutPassword,
+        email_verified: trainee.emailVerified,
         created_at: trainee.createdAt,
         updated_at: trainee.updatedAt
     };
@@ -83,6 +264,94 @@ function convertFromTimestamp(timestamp) {
     return new Date(timestamp.seconds * 1000 + timestamp.nanos / 1000000);
 }
 
+// Canonical name of the zone a list request wants its times rendered in, or
+// '' when it asked for none
+function requestedTimeZone(timeZone) {
+    if (!timeZone) return '';
+
+    const zone = checkTimeZone(timeZone);
+    if (zone.problem) {
+        throw {
+            code: grpc.status.INVALID_ARGUMENT,
+            message: zone.problem.message
+        };
+    }
+    return zone.timeZone;
+}
+
+// Prisma where/orderBy for the request's filter and order_by
+function listQuery(resource, request) {
+    const query = parseListQuery(resource, { filter: request.filter, orderBy: request.order_by });
+    if (query.problem) {
+        throw {
+            code: grpc.status.INVALID_ARGUMENT,
+            message: query.problem.message
+        };
+    }
+    return query;
+}
+
+// The fields an Update RPC changes: those in its update_mask, or the non-empty
+// ones without a mask. Cleared fields are null.
+function requestedChanges(resource, request) {
+    const { changes, problem } = maskedChanges(resource, request);
+    if (problem) {
+        throw {
+            code: grpc.status.INVALID_ARGUMENT,
+            message: problem.message
+        };
+    }
+    return changes;
+}
+
+// PaginationResponse for a listPages.list() result; total stays unset when skipped
+function formatPagination(pagination) {
+    if (!pagination) return null;
+    return {
+        page: pagination.page,
+        page_size: pagination.pageSize,
+        total: pagination.total,
+        next_page_token: pagination.nextPageToken
+    };
+}
+
+// One page of `resource` for a list request with filter, order_by and
+// pagination; `where` holds the RPC's own conditions. Returns { rows,
+// pagination } with pagination null when the request asked for no page.
+async function listPage(resource, request, { where = {}, findArgs, defaultPageSize } = {}) {
+    const query = listQuery(resource, request);
+    const { pagination } = request;
+    const result = await listPages.list(resource, {
+        where: andWhere(where, query.where),
+        orderBy: query.orderBy,
+        filter: request.filter,
+        findArgs,
+        request: pagination ? {
+            page: pagination.page,
+            pageSize: pagination.page_size,
+            pageToken: pagination.page_token,
+            skipTotal: pagination.skip_total
+        } : {},
+        defaultPageSize
+    });
+    if (result.problem) {
+        throw {
+            code: grpc.status.INVALID_ARGUMENT,
+            message: result.problem.message
+        };
+    }
+    return { rows: result.rows, pagination: formatPagination(result.pagination) };
+}
+
+// local_start_time / local_end_time fields for a list entry
+function localTimes(startTime, endTime, timeZone) {
+    if (!timeZone) return {};
+    return {
+        local_start_time: formatInZone(startTime, timeZone),
+        local_end_time: endTime ? formatInZone(endTime, timeZone) : ''
+    };
+}
+
 // ============================================================================
 // Session Service Implementation
 // ============================================================================
@@ -99,26 +368,68 @@ const sessionService = {
                 });
             }
 
+            const address = addressFromPeer(call.getPeer());
+            const lockout = await loginThrottle.check(email, address);
+            if (lockout.locked) {
+                return callback(tooManyLoginAttempts(lockout.retryAfter));
+            }
+
             const trainee = await prisma.trainee.findUnique({
                 where: { email }
             });
 
-            if (!trainee || trainee.password !== password) {
+            const { valid, needsRehash } = await verifyPassword(password, trainee?.password);
+
+            if (!valid) {
+                const failure = await loginThrottle.recordFailure(email, address);
+                if (failure.locked) {
+                    return callback(tooManyLoginAttempts(failure.retryAfter));
+                }
                 return callback({
                     code: grpc.status.UNAUTHENTICATED,
                     message: 'Invalid credentials'
                 });
             }
 
-            const token = jwt.sign(
-                { traineeId: trainee.id, email: trainee.email },
-                JWT_SECRET,
-                { expiresIn: '2h' }
-            );
+            await loginThrottle.recordSuccess(email);
+
+            if (blocksLogin(trainee)) {
+                return callback({
+                    code: grpc.status.FAILED_PRECONDITION,
+                    message: 'Email address has not been verified'
+                });
+            }
+
+            // Upgrade legacy plaintext (or weaker) passwords transparently
+            if (needsRehash) {
+                await prisma.trainee.update({
+                    where: { id: trainee.id },
+                    data: { password: await hashPassword(password) }
+                });
+            }
+
+            // Promote accounts listed in ADMIN_EMAILS
+            const role = bootstrapRole(trainee);
+            if (role !== trainee.role) {
+                const promoted = await prisma.trainee.update({
+                    where: { id: trainee.id },
+                    data: { role }
+                });
+                await audit(call, { actorId: trainee.id, action: 'update', entity: 'trainee', entityId: trainee.id, before: trainee, after: promoted });
+                trainee.role = role;
+            }
+
+            const token = tokenStore.signAccessToken(trainee);
+            const { token: refreshToken } = await tokenStore.issueRefreshToken(trainee.id);
+
+            // Sessions are keyed by the trainee they belong to
+            await audit(call, { actorId: trainee.id, action: 'create', entity: 'session', entityId: trainee.id });
 
             callback(null, {
                 token,
-                trainee: formatTrainee(trainee)
+                trainee: formatTrainee(trainee),
+                refresh_token: refreshToken,
+                expires_in: ACCESS_TOKEN_TTL_SECONDS
             });
         } catch (error) {
             console.error('CreateSession error:', error);
@@ -129,11 +440,130 @@ const sessionService = {
         }
     },
 
+    async RefreshSession(call, callback) {
+        try {
+            const { refresh_token } = call.request;
+
+            if (!refresh_token) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'refresh_token is required'
+                });
+            }
+
+            const result = await tokenStore.rotateRefreshToken(refresh_token);
+
+            if (!result.ok) {
+                return callback({
+                    code: grpc.status.UNAUTHENTICATED,
+                    message: result.reason === 'reused'
+                        ? 'Refresh token reuse detected; session revoked'
+                        : 'Invalid refresh token'
+                });
+            }
+
+            callback(null, {
+                token: tokenStore.signAccessToken(result.trainee),
+                refresh_token: result.refreshToken,
+                expires_in: ACCESS_TOKEN_TTL_SECONDS
+            });
+        } catch (error) {
+            console.error('RefreshSession error:', error);
+            callback({
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async RequestPasswordReset(call, callback) {
+        try {
+            const { email } = call.request;
+
+            if (!email) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'email is required'
+                });
+            }
+
+            await passwordReset.request(email);
+
+            callback(null, { message: 'If the email belongs to an account, a reset code has been sent' });
+        } catch (error) {
+            console.error('RequestPasswordReset error:', error);
+            callback({
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async ConfirmPasswordReset(call, callback) {
+        try {
+            const { reset_token, new_password } = call.request;
+
+            if (!reset_token || !new_password) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'reset_token and new_password are required'
+                });
+            }
+
+            const changed = await passwordReset.confirm(reset_token, new_password);
+
+            if (!changed) {
+                return callback({
+                    code: grpc.status.FAILED_PRECONDITION,
+                    message: 'Reset token is invalid, expired or already used'
+                });
+            }
+
+            // No session here; the trainee holding the code made the change
+            const { before, after } = changed;
+            await audit(call, { actorId: after.id, action: 'update', entity: 'trainee', entityId: after.id, before, after });
+
+            callback(null, { message: 'Password has been reset' });
+        } catch (error) {
+            console.error('ConfirmPasswordReset error:', error);
+            callback({
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async UnlockAccount(call, callback) {
+        try {
+            const { email } = call.request;
+
+            if (!email) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'email is required'
+                });
+            }
+
+            const { wasLocked, lockout } = await loginThrottle.unlock(email);
+
+            await audit(call, { action: 'delete', entity: 'login_lockout', entityId: email, before: lockout });
+
+            callback(null, { success: true, was_locked: wasLocked });
+        } catch (error) {
+            console.error('UnlockAccount error:', error);
+            callback({
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
     async DeleteSession(call, callback) {
         try {
-            const { token } = call.request;
-            authenticateToken(token);
-            revokedTokens.add(token);
+            const { refresh_token } = call.request;
+            await tokenStore.revoke(call.token, call.user);
+            await tokenStore.revokeRefreshToken(refresh_token);
+            await audit(call, { action: 'delete', entity: 'session', entityId: call.user.traineeId });
 
             callback(null, { message: 'Successfully logged out' });
         } catch (error) {
@@ -143,8 +573,7 @@ const sessionService = {
 
     async CheckSession(call, callback) {
         try {
-            const { token } = call.request;
-            const userData = authenticateToken(token);
+            const userData = call.user;
 
             const trainee = await prisma.trainee.findUnique({
                 where: { id: userData.traineeId }
@@ -174,36 +603,26 @@ const sessionService = {
 const traineeService = {
     async ListTrainees(call, callback) {
         try {
-            const { token, pagination } = call.request;
-            authenticateToken(token);
-
-            const page = pagination?.page || 1;
-            const pageSize = pagination?.page_size || 20;
-            const skip = (page - 1) * pageSize;
-
-            const [trainees, total] = await prisma.$transaction([
-                prisma.trainee.findMany({
-                    skip,
-                    take: pageSize,
+            // Always paginated, 20 trainees per page unless asked otherwise
+            const { rows: trainees, pagination } = await listPage('trainees', call.request, {
+                defaultPageSize: 20,
+                findArgs: {
                     select: {
                         id: true,
                         name: true,
                         email: true,
                         timezone: true,
+                        role: true,
+                        emailVerified: true,
                         createdAt: true,
                         updatedAt: true
                     }
-                }),
-                prisma.trainee.count()
-            ]);
+                }
+            });
 
             callback(null, {
                 data: trainees.map(formatTrainee),
-                pagination: {
-                    page,
-                    page_size: pageSize,
-                    total
-                }
+                pagination
             });
         } catch (error) {
             console.error('ListTrainees error:', error);
@@ -225,6 +644,14 @@ const traineeService = {
                 });
             }
 
+            const zone = timezone ? checkTimeZone(timezone) : {};
+            if (zone.problem) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: zone.problem.message
+                });
+            }
+
             const existingTrainee = await prisma.trainee.findUnique({
                 where: { email }
             });
@@ -237,17 +664,29 @@ const traineeService = {
             }
 
             const newTrainee = await prisma.trainee.create({
-                data: { name, email, password, timezone },
+                data: { name, email, password: await hashPassword(password), timezone: zone.timeZone },
                 select: {
                     id: true,
                     name: true,
                     email: true,
                     timezone: true,
+                    role: true,
+                    emailVerified: true,
                     createdAt: true,
                     updatedAt: true
                 }
             });
 
+            // Sign-ups are anonymous, so they are attributed to the new account
+            await audit(call, {
+                actorId: newTrainee.id,
+                action: 'create',
+                entity: 'trainee',
+                entityId: newTrainee.id,
+                after: newTrainee
+            });
+            await emailVerification.sendQuietly(newTrainee);
+
             callback(null, { trainee: formatTrainee(newTrainee) });
         } catch (error) {
             console.error('CreateTrainee error:', error);
@@ -260,8 +699,13 @@ const traineeService = {
 
     async GetTrainee(call, callback) {
         try {
-            const { token, trainee_id } = call.request;
-            authenticateToken(token);
+            const { trainee_id } = call.request;
+            const userData = call.user;
+
+            // Staff may look up any trainee; trainees only themselves
+            if (!isStaff(userData)) {
+                assertTraineeAccess(userData, trainee_id, 'profile');
+            }
 
             const trainee = await prisma.trainee.findUnique({
                 where: { id: trainee_id },
@@ -270,6 +714,8 @@ const traineeService = {
                     name: true,
                     email: true,
                     timezone: true,
+                    role: true,
+                    emailVerified: true,
                     createdAt: true,
                     updatedAt: true
                 }
@@ -293,14 +739,55 @@ const traineeService = {
 
     async UpdateTrainee(call, callback) {
         try {
-            const { token, trainee_id, name, email, password, timezone } = call.request;
-            authenticateToken(token);
+            const { trainee_id } = call.request;
+            const userData = call.user;
+            assertTraineeAccess(userData, trainee_id, 'profile');
+            const { name, email, password, timezone, role } = requestedChanges('trainee', call.request);
+
+            if (role !== undefined) {
+                if (roleOf(userData) !== ROLES.ADMIN) {
+                    return callback({
+                        code: grpc.status.PERMISSION_DENIED,
+                        message: 'Only admins can change roles'
+                    });
+                }
+                if (!isValidRole(role)) {
+                    return callback({
+                        code: grpc.status.INVALID_ARGUMENT,
+                        message: 'role must be one of admin, trainer, trainee'
+                    });
+                }
+            }
+
+            const zone = timezone ? checkTimeZone(timezone) : {};
+            if (zone.problem) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: zone.problem.message
+                });
+            }
+
+            const current = await prisma.trainee.findUnique({ where: { id: trainee_id } });
+
+            if (!current) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Trainee not found'
+                });
+            }
 
             const updateData = {};
-            if (name !== undefined && name !== '') updateData.name = name;
-            if (email !== undefined && email !== '') updateData.email = email;
-            if (password !== undefined && password !== '') updateData.password = password;
-            if (timezone !== undefined && timezone !== '') updateData.timezone = timezone;
+            if (name !== undefined) updateData.name = name;
+            if (email !== undefined) {
+                // A new address has to be verified again
+                if (current.email !== email) {
+                    updateData.email = email;
+                    updateData.emailVerified = false;
+                }
+            }
+            if (password !== undefined) updateData.password = await hashPassword(password);
+            if (timezone !== undefined) updateData.timezone = zone.timeZone || null;
+            if (role !== undefined) updateData.role = role;
 
             const updatedTrainee = await prisma.trainee.update({
                 where: { id: trainee_id },
@@ -310,11 +797,30 @@ const traineeService = {
                     name: true,
                     email: true,
                     timezone: true,
+                    role: true,
+                    emailVerified: true,
                     createdAt: true,
                     updatedAt: true
                 }
             });
 
+            // Other devices have to log in with the new password
+            if (password !== undefined) {
+                await tokenStore.revokeAllRefreshTokens(trainee_id);
+            }
+
+            await audit(call, {
+                action: 'update',
+                entity: 'trainee',
+                entityId: trainee_id,
+                before: current,
+                after: { ...current, ...updateData }
+            });
+
+            if (updateData.emailVerified === false) {
+                await emailVerification.sendQuietly(updatedTrainee);
+            }
+
             callback(null, { trainee: formatTrainee(updatedTrainee) });
         } catch (error) {
             if (error.code === 'P2025') {
@@ -323,55 +829,108 @@ const traineeService = {
                     message: 'Trainee not found'
                 });
             }
-            callback({
+            callback(error.code ? error : {
                 code: grpc.status.INTERNAL,
                 message: 'Internal server error'
             });
         }
     },
 
-    async DeleteTrainee(call, callback) {
+    async VerifyEmail(call, callback) {
         try {
-            const { token, trainee_id } = call.request;
-            authenticateToken(token);
+            const { verification_token } = call.request;
 
-            await prisma.trainee.delete({
-                where: { id: trainee_id }
-            });
-
-            callback(null, { success: true });
-        } catch (error) {
-            if (error.code === 'P2025') {
+            if (!verification_token) {
                 return callback({
-                    code: grpc.status.NOT_FOUND,
-                    message: 'Trainee not found'
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'verification_token is required'
                 });
             }
-            callback(error.code ? error : {
-                code: grpc.status.INTERNAL,
-                message: 'Internal server error'
-            });
-        }
-    }
-};
 
-// ============================================================================
-// Workout Service Implementation
-// ============================================================================
+            const verified = await emailVerification.verify(verification_token);
 
-const workoutService = {
-    async ListWorkouts(call, callback) {
-        try {
-            const { token } = call.request;
-            authenticateToken(token);
+            if (!verified) {
+                return callback({
+                    code: grpc.status.FAILED_PRECONDITION,
+                    message: 'Verification token is invalid, expired or already used'
+                });
+            }
 
-            const workouts = await prisma.workout.findMany({
-                orderBy: { createdAt: 'desc' }
-            });
+            // No session here; the trainee holding the code made the change
+            const { before, after: trainee } = verified;
+            await audit(call, { actorId: trainee.id, action: 'update', entity: 'trainee', entityId: trainee.id, before, after: trainee });
 
-            callback(null, { workouts });
+            callback(null, { trainee: formatTrainee(trainee) });
         } catch (error) {
-            callback(error.code ? error : {
+            console.error('VerifyEmail error:', error);
+            callback({
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async ResendVerificationEmail(call, callback) {
+        try {
+            const { email } = call.request;
+
+            if (!email) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'email is required'
+                });
+            }
+
+            await emailVerification.resend(email);
+
+            callback(null, { message: 'If the email belongs to an unverified account, a verification code has been sent' });
+        } catch (error) {
+            console.error('ResendVerificationEmail error:', error);
+            callback({
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async DeleteTrainee(call, callback) {
+        try {
+            const { trainee_id } = call.request;
+
+            const { deleted: deletedTrainee, cascaded } = await registrationFeed.deleteCascading('trainee', trainee_id, tx =>
+                tx.trainee.delete({ where: { id: trainee_id } }));
+
+            await audit(call, { action: 'delete', entity: 'trainee', entityId: trainee_id, before: deletedTrainee });
+            await auditCascaded(call, cascaded);
+
+            callback(null, { success: true });
+        } catch (error) {
+            if (error.code === 'P2025') {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Trainee not found'
+                });
+            }
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    }
+};
+
+// ============================================================================
+// Workout Service Implementation
+// ============================================================================
+
+const workoutService = {
+    async ListWorkouts(call, callback) {
+        try {
+            const { rows: workouts, pagination } = await listPage('workouts', call.request);
+
+            callback(null, { workouts, pagination });
+        } catch (error) {
+            callback(error.code ? error : {
                 code: grpc.status.INTERNAL,
                 message: 'Internal server error'
             });
@@ -380,8 +939,7 @@ const workoutService = {
 
     async CreateWorkout(call, callback) {
         try {
-            const { token, name, duration, description, color } = call.request;
-            authenticateToken(token);
+            const { name, duration, description, color } = call.request;
 
             if (!name || !duration) {
                 return callback({
@@ -394,6 +952,8 @@ const workoutService = {
                 data: { name, duration, description, color }
             });
 
+            await audit(call, { action: 'create', entity: 'workout', entityId: newWorkout.id, after: newWorkout });
+
             callback(null, { workout: newWorkout });
         } catch (error) {
             callback(error.code ? error : {
@@ -405,8 +965,7 @@ const workoutService = {
 
     async GetWorkout(call, callback) {
         try {
-            const { token, workout_id } = call.request;
-            authenticateToken(token);
+            const { workout_id } = call.request;
 
             const workout = await prisma.workout.findUnique({
                 where: { id: workout_id }
@@ -430,20 +989,44 @@ const workoutService = {
 
     async UpdateWorkout(call, callback) {
         try {
-            const { token, workout_id, name, duration, description, color } = call.request;
-            authenticateToken(token);
+            const { workout_id } = call.request;
+            const { name, duration, description, color } = requestedChanges('workout', call.request);
+
+            if (duration !== undefined && !(Number.isInteger(duration) && duration > 0)) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'duration must be a positive number of minutes'
+                });
+            }
 
             const updateData = {};
-            if (name !== undefined && name !== '') updateData.name = name;
+            if (name !== undefined) updateData.name = name;
             if (duration !== undefined) updateData.duration = duration;
-            if (description !== undefined && description !== '') updateData.description = description;
-            if (color !== undefined && color !== '') updateData.color = color;
+            if (description !== undefined) updateData.description = description;
+            if (color !== undefined) updateData.color = color;
+
+            const current = await prisma.workout.findUnique({ where: { id: workout_id } });
+
+            if (!current) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Workout not found'
+                });
+            }
 
             const updatedWorkout = await prisma.workout.update({
                 where: { id: workout_id },
                 data: updateData
             });
 
+            await audit(call, {
+                action: 'update',
+                entity: 'workout',
+                entityId: workout_id,
+                before: current,
+                after: { ...current, ...updateData }
+            });
+
             callback(null, { workout: updatedWorkout });
         } catch (error) {
             if (error.code === 'P2025') {
@@ -452,7 +1035,7 @@ const workoutService = {
                     message: 'Workout not found'
                 });
             }
-            callback({
+            callback(error.code ? error : {
                 code: grpc.status.INTERNAL,
                 message: 'Internal server error'
             });
@@ -461,12 +1044,13 @@ const workoutService = {
 
     async DeleteWorkout(call, callback) {
         try {
-            const { token, workout_id } = call.request;
-            authenticateToken(token);
+            const { workout_id } = call.request;
 
-            await prisma.workout.delete({
-                where: { id: workout_id }
-            });
+            const { deleted: deletedWorkout, cascaded } = await registrationFeed.deleteCascading('workout', workout_id, tx =>
+                tx.workout.delete({ where: { id: workout_id } }));
+
+            await audit(call, { action: 'delete', entity: 'workout', entityId: workout_id, before: deletedWorkout });
+            await auditCascaded(call, cascaded);
 
             callback(null, { success: true });
         } catch (error) {
@@ -484,6 +1068,225 @@ const workoutService = {
     }
 };
 
+// ============================================================================
+// Class Session Service Implementation
+// ============================================================================
+
+function formatClassSession(session) {
+    return {
+        id: session.id,
+        workout_id: session.workoutId,
+        workout: session.workout,
+        start_time: convertTimestamp(session.startTime),
+        end_time: convertTimestamp(sessionEndTime(session)),
+        room: session.room || '',
+        instructor_id: session.instructorId || '',
+        capacity: session.capacity,
+        booked: bookedSeats(session),
+        created_at: convertTimestamp(session.createdAt),
+        updated_at: convertTimestamp(session.updatedAt)
+    };
+}
+
+function classSessionError(problem) {
+    return {
+        code: problem.reason === 'not_found' ? grpc.status.NOT_FOUND : grpc.status.INVALID_ARGUMENT,
+        message: problem.message
+    };
+}
+
+const classSessionService = {
+    async ListClassSessions(call, callback) {
+        try {
+            const { from, to, workout_id } = call.request;
+            const timeZone = requestedTimeZone(call.request.time_zone);
+
+            const whereClause = {};
+            if (workout_id) whereClause.workoutId = workout_id;
+            if (from || to) {
+                whereClause.startTime = {};
+                if (from) whereClause.startTime.gte = convertFromTimestamp(from);
+                if (to) whereClause.startTime.lt = convertFromTimestamp(to);
+            }
+
+            const { rows: sessions, pagination } = await listPage('class_sessions', call.request, {
+                where: whereClause,
+                findArgs: { include: CLASS_SESSION_INCLUDE }
+            });
+
+            callback(null, {
+                class_sessions: sessions.map(session => ({
+                    ...formatClassSession(session),
+                    ...localTimes(session.startTime, sessionEndTime(session), timeZone)
+                })),
+                time_zone: timeZone,
+                pagination
+            });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async CreateClassSession(call, callback) {
+        try {
+            const { workout_id, start_time, room, instructor_id, capacity } = call.request;
+
+            const data = {
+                workoutId: workout_id,
+                startTime: start_time ? convertFromTimestamp(start_time) : undefined,
+                room: room || null,
+                instructorId: instructor_id || null,
+                capacity: capacity || undefined
+            };
+
+            const problem = await classSessions.validate(data, { creating: true });
+            if (problem) return callback(classSessionError(problem));
+
+            const newSession = await prisma.classSession.create({
+                data,
+                include: CLASS_SESSION_INCLUDE
+            });
+
+            await audit(call, { action: 'create', entity: 'class_session', entityId: newSession.id, after: newSession });
+
+            callback(null, { class_session: formatClassSession(newSession) });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async GetClassSession(call, callback) {
+        try {
+            const { class_session_id } = call.request;
+
+            const session = await prisma.classSession.findUnique({
+                where: { id: class_session_id },
+                include: CLASS_SESSION_INCLUDE
+            });
+
+            if (!session) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Class session not found'
+                });
+            }
+
+            callback(null, { class_session: formatClassSession(session) });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async UpdateClassSession(call, callback) {
+        try {
+            const { class_session_id } = call.request;
+            const { workout_id, start_time, room, instructor_id, capacity } = requestedChanges('class_session', call.request);
+
+            const current = await prisma.classSession.findUnique({
+                where: { id: class_session_id },
+                include: CLASS_SESSION_INCLUDE
+            });
+
+            if (!current) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Class session not found'
+                });
+            }
+
+            const updateData = {};
+            if (workout_id !== undefined) updateData.workoutId = workout_id;
+            if (start_time !== undefined) updateData.startTime = convertFromTimestamp(start_time);
+            if (room !== undefined) updateData.room = room;
+            if (instructor_id !== undefined) updateData.instructorId = instructor_id;
+            if (capacity !== undefined) updateData.capacity = capacity;
+
+            const problem = await classSessions.validate(updateData);
+            if (problem) return callback(classSessionError(problem));
+
+            if (updateData.capacity !== undefined && updateData.capacity < bookedSeats(current)) {
+                return callback({
+                    code: grpc.status.FAILED_PRECONDITION,
+                    message: `capacity cannot be lower than the ${bookedSeats(current)} seats already booked`
+                });
+            }
+
+            let updatedSession = await prisma.classSession.update({
+                where: { id: class_session_id },
+                data: updateData,
+                include: CLASS_SESSION_INCLUDE
+            });
+
+            await audit(call, {
+                action: 'update',
+                entity: 'class_session',
+                entityId: class_session_id,
+                before: current,
+                after: { ...current, ...updateData }
+            });
+
+            // Extra seats go to the waitlist first
+            if (updateData.capacity > current.capacity) {
+                const promoted = await classSessions.fillSeats(class_session_id);
+                await auditPromotions(call, promoted);
+                if (promoted.length > 0) {
+                    updatedSession = await prisma.classSession.findUnique({
+                        where: { id: class_session_id },
+                        include: CLASS_SESSION_INCLUDE
+                    });
+                }
+            }
+
+            callback(null, { class_session: formatClassSession(updatedSession) });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    // Registrations of a deleted session are kept, detached from it
+    async DeleteClassSession(call, callback) {
+        try {
+            const { class_session_id } = call.request;
+
+            const { deleted: deletedSession, cascaded } = await registrationFeed.deleteCascading('class_session', class_session_id, tx =>
+                tx.classSession.delete({ where: { id: class_session_id } }));
+
+            await audit(call, {
+                action: 'delete',
+                entity: 'class_session',
+                entityId: class_session_id,
+                before: deletedSession
+            });
+            await auditCascaded(call, cascaded);
+
+            callback(null, { success: true });
+        } catch (error) {
+            if (error.code === 'P2025') {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Class session not found'
+                });
+            }
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    }
+};
+
 // ============================================================================
 // Routine Service Implementation
 // ============================================================================
@@ -492,39 +1295,56 @@ function formatRoutine(routine) {
     return {
         id: routine.id,
         user_id: routine.userId,
-        availability: JSON.parse(routine.availability),
+        availability: JSON.parse(routine.availability).map(normalizeSlot),
         trainee: routine.trainee ? formatTrainee(routine.trainee) : null,
         created_at: convertTimestamp(routine.createdAt),
         updated_at: convertTimestamp(routine.updatedAt)
     };
 }
 
+// The violations are in the message and, as a JSON array of { field,
+// description }, in the `field-violations` trailer
+function availabilityValidationError(problem) {
+    const metadata = new grpc.Metadata();
+    metadata.set('field-violations', JSON.stringify(problem.violations));
+    return {
+        code: grpc.status.INVALID_ARGUMENT,
+        message: problem.message,
+        metadata
+    };
+}
+
 const routineService = {
     async ListRoutines(call, callback) {
         try {
-            const { token, trainee_id } = call.request;
-            authenticateToken(token);
+            const { trainee_id } = call.request;
+            const userData = call.user;
 
-            const whereClause = trainee_id ? { userId: trainee_id } : {};
+            // Trainees only see their own routine
+            if (trainee_id) assertTraineeAccess(userData, trainee_id, 'routine');
+            const ownerId = trainee_id || (isStaff(userData) ? null : userData.traineeId);
+            const whereClause = ownerId ? { userId: ownerId } : {};
 
-            const routines = await prisma.routine.findMany({
+            const { rows: routines, pagination } = await listPage('routines', call.request, {
                 where: whereClause,
-                include: {
-                    trainee: {
-                        select: {
-                            id: true,
-                            name: true,
-                            email: true,
-                            createdAt: true,
-                            updatedAt: true
+                findArgs: {
+                    include: {
+                        trainee: {
+                            select: {
+                                id: true,
+                                name: true,
+                                email: true,
+                                createdAt: true,
+                                updatedAt: true
+                            }
                         }
                     }
-                },
-                orderBy: { createdAt: 'desc' }
+                }
             });
 
             callback(null, {
-                routines: routines.map(formatRoutine)
+                routines: routines.map(formatRoutine),
+                pagination
             });
         } catch (error) {
             callback(error.code ? error : {
@@ -536,16 +1356,21 @@ const routineService = {
 
     async CreateRoutine(call, callback) {
         try {
-            const { token, user_id, availability } = call.request;
-            authenticateToken(token);
+            const { user_id, availability } = call.request;
+            const userData = call.user;
 
-            if (!user_id || !availability || availability.length === 0) {
+            if (!user_id) {
                 return callback({
                     code: grpc.status.INVALID_ARGUMENT,
-                    message: 'user_id and availability are required'
+                    message: 'user_id is required'
                 });
             }
 
+            const { slots, problem } = validateAvailability(availability);
+            if (problem) return callback(availabilityValidationError(problem));
+
+            assertTraineeAccess(userData, user_id, 'routine');
+
             const trainee = await prisma.trainee.findUnique({
                 where: { id: user_id }
             });
@@ -560,7 +1385,7 @@ const routineService = {
             const newRoutine = await prisma.routine.create({
                 data: {
                     userId: user_id,
-                    availability: JSON.stringify(availability)
+                    availability: JSON.stringify(slots)
                 },
                 include: {
                     trainee: {
@@ -575,6 +1400,8 @@ const routineService = {
                 }
             });
 
+            await audit(call, { action: 'create', entity: 'routine', entityId: newRoutine.id, after: newRoutine });
+
             callback(null, { routine: formatRoutine(newRoutine) });
         } catch (error) {
             callback(error.code ? error : {
@@ -586,8 +1413,9 @@ const routineService = {
 
     async GetTraineeRoutine(call, callback) {
         try {
-            const { token, trainee_id } = call.request;
-            authenticateToken(token);
+            const { trainee_id } = call.request;
+            const userData = call.user;
+            assertTraineeAccess(userData, trainee_id, 'routine');
 
             const routine = await prisma.routine.findFirst({
                 where: { userId: trainee_id },
@@ -622,20 +1450,23 @@ const routineService = {
 
     async UpdateTraineeRoutine(call, callback) {
         try {
-            const { token, trainee_id, availability } = call.request;
-            authenticateToken(token);
+            const { trainee_id, availability } = call.request;
+            const userData = call.user;
+            assertTraineeAccess(userData, trainee_id, 'routine');
 
-            if (!availability || availability.length === 0) {
-                return callback({
-                    code: grpc.status.INVALID_ARGUMENT,
-                    message: 'availability is required'
-                });
-            }
+            // availability is the only field, and it is always replaced; this
+            // only rejects a mask naming anything else
+            requestedChanges('routine', call.request);
+
+            const { slots, problem } = validateAvailability(availability);
+            if (problem) return callback(availabilityValidationError(problem));
+
+            const current = await prisma.routine.findFirst({ where: { userId: trainee_id } });
 
             const updatedRoutine = await prisma.routine.updateMany({
                 where: { userId: trainee_id },
                 data: {
-                    availability: JSON.stringify(availability)
+                    availability: JSON.stringify(slots)
                 }
             });
 
@@ -661,9 +1492,11 @@ const routineService = {
                 }
             });
 
+            await audit(call, { action: 'update', entity: 'routine', entityId: routine.id, before: current, after: routine });
+
             callback(null, { routine: formatRoutine(routine) });
         } catch (error) {
-            callback({
+            callback(error.code ? error : {
                 code: grpc.status.INTERNAL,
                 message: 'Internal server error'
             });
@@ -672,8 +1505,11 @@ const routineService = {
 
     async DeleteTraineeRoutine(call, callback) {
         try {
-            const { token, trainee_id } = call.request;
-            authenticateToken(token);
+            const { trainee_id } = call.request;
+            const userData = call.user;
+            assertTraineeAccess(userData, trainee_id, 'routine');
+
+            const routines = await prisma.routine.findMany({ where: { userId: trainee_id } });
 
             const deletedRoutine = await prisma.routine.deleteMany({
                 where: { userId: trainee_id }
@@ -686,6 +1522,10 @@ const routineService = {
                 });
             }
 
+            for (const routine of routines) {
+                await audit(call, { action: 'delete', entity: 'routine', entityId: routine.id, before: routine });
+            }
+
             callback(null, { success: true });
         } catch (error) {
             callback(error.code ? error : {
@@ -708,60 +1548,275 @@ function formatRegistration(registration) {
         invitee_email: registration.inviteeEmail,
         start_time: convertTimestamp(registration.startTime),
         end_time: convertTimestamp(registration.endTime),
-        status: registration.status,
+        status: normalizeStatus(registration.status) || registration.status,
+        registration_status: toProtoStatus(registration.status),
+        class_session_id: registration.classSessionId || '',
         trainee: registration.trainee ? formatTrainee(registration.trainee) : null,
         created_at: convertTimestamp(registration.createdAt),
-        updated_at: convertTimestamp(registration.updatedAt)
+        updated_at: convertTimestamp(registration.updatedAt),
+        status_history: (registration.statusChanges || []).map(change => ({
+            from_status: toProtoStatus(change.fromStatus),
+            to_status: toProtoStatus(change.toStatus),
+            changed_at: convertTimestamp(change.changedAt)
+        })),
+        series_id: registration.seriesId || '',
+        occurrence_date: registration.occurrenceDate || ''
     };
 }
 
-const registrationService = {
-    async ListRegistrations(call, callback) {
-        try {
-            const { token } = call.request;
-            authenticateToken(token);
+function formatSeries(series, occurrences = series.registrations || []) {
+    const recurrence = describeSeries(series);
+    return {
+        id: series.id,
+        user_id: series.userId,
+        rrule: series.rrule,
+        recurrence: {
+            frequency: recurrence.frequency,
+            by_day: recurrence.byDay,
+            until: recurrence.until || '',
+            count: recurrence.count || 0,
+            exception_dates: recurrence.exceptionDates
+        },
+        timezone: series.timezone,
+        occurrences: occurrences.map(formatRegistration),
+        created_at: convertTimestamp(series.createdAt)
+    };
+}
 
-            const registrations = await prisma.registration.findMany({
-                include: {
-                    trainee: {
-                        select: {
-                            id: true,
-                            name: true,
-                            email: true,
-                            createdAt: true,
-                            updatedAt: true
-                        }
-                    }
-                },
-                orderBy: { createdAt: 'desc' }
-            });
+// Scope of an update or delete; anything but THIS needs a recurring registration
+function requestedScope(scope) {
+    const name = fromProtoScope(scope);
+    if (!isValidScope(name)) {
+        throw {
+            code: grpc.status.INVALID_ARGUMENT,
+            message: `Unknown recurrence scope ${scope}`
+        };
+    }
+    return name;
+}
 
-            callback(null, {
-                registrations: registrations.map(formatRegistration)
-            });
-        } catch (error) {
-            callback(error.code ? error : {
-                code: grpc.status.INTERNAL,
-                message: 'Internal server error'
-            });
-        }
-    },
+// Unknown statuses are bad input; known but unreachable ones are illegal moves
+const STATUS_PROBLEM_CODES = {
+    invalid: grpc.status.INVALID_ARGUMENT,
+    forbidden: grpc.status.PERMISSION_DENIED,
+    illegal: grpc.status.FAILED_PRECONDITION
+};
 
-    async CreateRegistration(call, callback) {
-        try {
-            const { token, event_id, user_id, invitee_email, start_time, end_time, status } = call.request;
-            authenticateToken(token);
+function statusError(problem) {
+    return {
+        code: STATUS_PROBLEM_CODES[problem.reason] || grpc.status.FAILED_PRECONDITION,
+        message: problem.message
+    };
+}
 
-            if (!event_id || !user_id || !invitee_email || !start_time) {
-                return callback({
-                    code: grpc.status.INVALID_ARGUMENT,
-                    message: 'event_id, user_id, invitee_email, and start_time are required'
-                });
-            }
+// Status asked for in a registration request: the registration_status enum,
+// or else the deprecated lowercase string `status`. Null when neither is set.
+function requestedRegistrationStatus(registrationStatus, status) {
+    return fromProtoStatus(registrationStatus) || fromProtoStatus(status);
+}
 
-            const trainee = await prisma.trainee.findUnique({
-                where: { id: user_id }
-            });
+// The conflicting ids are in the message and, comma separated, in the
+// `conflicting-registration-ids` trailer
+function overlapError(conflictingIds) {
+    const metadata = new grpc.Metadata();
+    metadata.set('conflicting-registration-ids', conflictingIds.join(','));
+    return {
+        code: grpc.status.ALREADY_EXISTS,
+        message: overlapMessage(conflictingIds),
+        metadata
+    };
+}
+
+function formatAvailabilityCheck(availability) {
+    if (!availability) return null;
+    return {
+        result: availability.result.toUpperCase(),
+        policy: availability.policy,
+        timezone: availability.timezone,
+        requested_slot: availability.requestedSlot,
+        matching_slot: availability.matchingSlot,
+        message: availability.message
+    };
+}
+
+function assertCanAllowOverlap(userData, allowOverlap) {
+    if (allowOverlap && roleOf(userData) !== ROLES.ADMIN) {
+        throw {
+            code: grpc.status.PERMISSION_DENIED,
+            message: 'Only admins may set allow_overlap'
+        };
+    }
+}
+
+// Checks ownership of an existing registration; unknown ids fall through so the
+// handler reports NOT_FOUND as before
+async function assertRegistrationAccess(userData, registrationId) {
+    if (isStaff(userData)) return;
+
+    const registration = await prisma.registration.findUnique({
+        where: { id: registrationId },
+        select: { userId: true }
+    });
+
+    if (registration) {
+        assertTraineeAccess(userData, registration.userId, 'registration');
+    }
+}
+
+// CreateRegistration with a recurrence: books every occurrence or none of them
+async function createRecurringRegistration(call, request, initialStatus) {
+    const { event_id, user_id, invitee_email, start_time, end_time, class_session_id, allow_overlap, recurrence } = request;
+
+    if (start_time || end_time) {
+        throw {
+            code: grpc.status.INVALID_ARGUMENT,
+            message: 'start_time and end_time cannot be combined with recurrence'
+        };
+    }
+
+    const result = await registrationSeries.create({
+        classSessionId: class_session_id,
+        data: {
+            eventId: event_id,
+            userId: user_id,
+            inviteeEmail: invitee_email,
+            status: normalizeStatus(initialStatus)
+        },
+        recurrence: {
+            frequency: recurrence.frequency,
+            byDay: recurrence.by_day,
+            until: recurrence.until,
+            count: recurrence.count,
+            exceptionDates: recurrence.exception_dates
+        },
+        include: {
+            trainee: {
+                select: {
+                    id: true,
+                    name: true,
+                    email: true,
+                    createdAt: true,
+                    updatedAt: true
+                }
+            }
+        },
+        allowOverlap: allow_overlap
+    });
+
+    if (!result.ok) {
+        if (result.reason === 'overlap') throw overlapError(result.conflictingIds);
+        if (result.reason === 'unavailable') {
+            throw {
+                code: grpc.status.FAILED_PRECONDITION,
+                message: result.availability.message
+            };
+        }
+        throw {
+            code: result.reason === 'not_found' ? grpc.status.NOT_FOUND : grpc.status.INVALID_ARGUMENT,
+            message: result.message
+        };
+    }
+
+    await audit(call, {
+        action: 'create',
+        entity: 'registration_series',
+        entityId: result.series.id,
+        after: result.series
+    });
+    for (const registration of result.registrations) {
+        await audit(call, {
+            action: 'create',
+            entity: 'registration',
+            entityId: registration.id,
+            after: registration
+        });
+    }
+
+    return {
+        registration: formatRegistration(result.registrations[0]),
+        availability_check: formatAvailabilityCheck(result.availability),
+        series: formatSeries(result.series, result.registrations),
+        unmatched_dates: result.unmatchedDates
+    };
+}
+
+// Audits the { before, after } pairs of a change to several occurrences
+async function auditOccurrenceChanges(call, changes) {
+    for (const { before, after } of changes) {
+        await audit(call, {
+            action: 'update',
+            entity: 'registration',
+            entityId: after.id,
+            before,
+            after
+        });
+    }
+}
+
+const registrationService = {
+    async ListRegistrations(call, callback) {
+        try {
+            const userData = call.user;
+            const timeZone = requestedTimeZone(call.request.time_zone);
+
+            // Trainees only see their own registrations
+            const whereClause = isStaff(userData) ? {} : { userId: userData.traineeId };
+
+            const { rows: registrations, pagination } = await listPage('registrations', call.request, {
+                where: whereClause,
+                findArgs: {
+                    include: {
+                        trainee: {
+                            select: {
+                                id: true,
+                                name: true,
+                                email: true,
+                                createdAt: true,
+                                updatedAt: true
+                            }
+                        }
+                    }
+                }
+            });
+
+            callback(null, {
+                registrations: registrations.map(registration => ({
+                    ...formatRegistration(registration),
+                    ...localTimes(registration.startTime, registration.endTime, timeZone)
+                })),
+                time_zone: timeZone,
+                pagination
+            });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async CreateRegistration(call, callback) {
+        try {
+            const { event_id, user_id, invitee_email, start_time, end_time, status, registration_status, class_session_id, allow_overlap } = call.request;
+            const userData = call.user;
+
+            if (!class_session_id || !user_id || !invitee_email) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'class_session_id, user_id, and invitee_email are required'
+                });
+            }
+
+            assertTraineeAccess(userData, user_id, 'registration');
+            assertCanAllowOverlap(userData, allow_overlap);
+
+            const initialStatus = requestedRegistrationStatus(registration_status, status) || STATUSES.SCHEDULED;
+            const statusProblem = checkStatusChange(null, initialStatus);
+            if (statusProblem) return callback(statusError(statusProblem));
+
+            const trainee = await prisma.trainee.findUnique({
+                where: { id: user_id }
+            });
 
             if (!trainee) {
                 return callback({
@@ -770,29 +1825,85 @@ const registrationService = {
                 });
             }
 
-            const newRegistration = await prisma.registration.create({
-                data: {
-                    eventId: event_id,
-                    userId: user_id,
-                    inviteeEmail: invitee_email,
-                    startTime: convertFromTimestamp(start_time),
-                    endTime: end_time ? convertFromTimestamp(end_time) : null,
-                    status: status || 'scheduled'
-                },
-                include: {
-                    trainee: {
-                        select: {
-                            id: true,
-                            name: true,
-                            email: true,
-                            createdAt: true,
-                            updatedAt: true
-                        }
+            if (blocksRegistration(trainee)) {
+                return callback({
+                    code: grpc.status.FAILED_PRECONDITION,
+                    message: 'Trainee has not verified their email address'
+                });
+            }
+
+            if (call.request.recurrence) {
+                return callback(null, await createRecurringRegistration(call, call.request, initialStatus));
+            }
+
+            const times = await classSessions.bookingTimes(class_session_id);
+
+            if (!times) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Class session not found'
+                });
+            }
+
+            const timesProblem = checkBookingTimes(times, {
+                startTime: convertFromTimestamp(start_time),
+                endTime: convertFromTimestamp(end_time)
+            });
+            if (timesProblem) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: timesProblem.message
+                });
+            }
+
+            const availability = await availabilityCheck.check(user_id, times.startTime, times.endTime);
+            if (rejects(availability)) {
+                return callback({
+                    code: grpc.status.FAILED_PRECONDITION,
+                    message: availability.message
+                });
+            }
+
+            const booking = await classSessions.book(class_session_id, {
+                eventId: event_id,
+                userId: user_id,
+                inviteeEmail: invitee_email,
+                startTime: times.startTime,
+                endTime: times.endTime,
+                status: normalizeStatus(initialStatus)
+            }, {
+                trainee: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true,
+                        createdAt: true,
+                        updatedAt: true
                     }
                 }
+            }, { allowOverlap: allow_overlap });
+
+            // A full session still accepts the booking, as `waitlisted`
+            if (!booking.ok) {
+                return callback(booking.reason === 'overlap' ? overlapError(booking.conflictingIds) : {
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Class session not found'
+                });
+            }
+
+            const newRegistration = booking.registration;
+
+            await audit(call, {
+                action: 'create',
+                entity: 'registration',
+                entityId: newRegistration.id,
+                after: newRegistration
             });
 
-            callback(null, { registration: formatRegistration(newRegistration) });
+            callback(null, {
+                registration: formatRegistration(newRegistration),
+                availability_check: formatAvailabilityCheck(availability)
+            });
         } catch (error) {
             callback(error.code ? error : {
                 code: grpc.status.INTERNAL,
@@ -803,8 +1914,8 @@ const registrationService = {
 
     async GetRegistration(call, callback) {
         try {
-            const { token, registration_id } = call.request;
-            authenticateToken(token);
+            const { registration_id } = call.request;
+            const userData = call.user;
 
             const registration = await prisma.registration.findUnique({
                 where: { id: registration_id },
@@ -817,7 +1928,8 @@ const registrationService = {
                             createdAt: true,
                             updatedAt: true
                         }
-                    }
+                    },
+                    statusChanges: { orderBy: { changedAt: 'asc' } }
                 }
             });
 
@@ -828,6 +1940,8 @@ const registrationService = {
                 });
             }
 
+            assertTraineeAccess(userData, registration.userId, 'registration');
+
             callback(null, { registration: formatRegistration(registration) });
         } catch (error) {
             callback(error.code ? error : {
@@ -839,21 +1953,44 @@ const registrationService = {
 
     async UpdateRegistration(call, callback) {
         try {
-            const { token, registration_id, event_id, user_id, invitee_email, start_time, end_time, status } = call.request;
-            authenticateToken(token);
+            const { registration_id, allow_overlap } = call.request;
+            const userData = call.user;
+            await assertRegistrationAccess(userData, registration_id);
+            assertCanAllowOverlap(userData, allow_overlap);
+            const { event_id, user_id, invitee_email, start_time, end_time, status, registration_status } = requestedChanges('registration', call.request);
+            const requestedStatus = requestedRegistrationStatus(registration_status, status);
 
-            const updateData = {};
-            if (event_id !== undefined && event_id !== '') updateData.eventId = event_id;
-            if (user_id !== undefined && user_id !== '') updateData.userId = user_id;
-            if (invitee_email !== undefined && invitee_email !== '') updateData.inviteeEmail = invitee_email;
-            if (start_time !== undefined) updateData.startTime = convertFromTimestamp(start_time);
-            if (end_time !== undefined) updateData.endTime = end_time ? convertFromTimestamp(end_time) : null;
-            if (status !== undefined && status !== '') updateData.status = status;
+            const current = await prisma.registration.findUnique({ where: { id: registration_id } });
 
-            const updatedRegistration = await prisma.registration.update({
-                where: { id: registration_id },
-                data: updateData,
-                include: {
+            if (!current) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Registration not found'
+                });
+            }
+
+            // A trainee cannot hand their registration over to someone else
+            if (user_id !== undefined) {
+                assertTraineeAccess(userData, user_id, 'registration');
+            }
+
+            const roleProblem = requestedStatus && checkStatusRole(requestedStatus, isStaff(userData));
+            if (roleProblem) return callback(statusError(roleProblem));
+
+            const scope = requestedScope(call.request.scope);
+            if (scope !== SCOPES.THIS && current.seriesId) {
+                const reschedules = [event_id, user_id, start_time, end_time].some(value => value !== undefined);
+                if (reschedules) {
+                    return callback({
+                        code: grpc.status.INVALID_ARGUMENT,
+                        message: 'Only status and invitee_email can be changed on several occurrences'
+                    });
+                }
+
+                const result = await registrationSeries.updateOccurrences(current, scope, {
+                    status: requestedStatus || undefined,
+                    inviteeEmail: invitee_email
+                }, {
                     trainee: {
                         select: {
                             id: true,
@@ -863,10 +2000,111 @@ const registrationService = {
                             updatedAt: true
                         }
                     }
+                });
+                if (!result.ok) return callback(statusError(result));
+
+                await auditOccurrenceChanges(call, result.changes);
+                await auditPromotions(call, result.promoted);
+
+                const updated = result.changes.map(change => change.after);
+                return callback(null, {
+                    registration: formatRegistration(updated.find(registration => registration.id === registration_id) || current),
+                    updated_occurrences: updated.map(formatRegistration)
+                });
+            }
+
+            const updateData = {};
+            if (event_id !== undefined) updateData.eventId = event_id;
+            if (user_id !== undefined) updateData.userId = user_id;
+            if (invitee_email !== undefined) updateData.inviteeEmail = invitee_email;
+            if (start_time !== undefined) updateData.startTime = convertFromTimestamp(start_time);
+            if (end_time !== undefined) updateData.endTime = end_time ? convertFromTimestamp(end_time) : null;
+
+            // A class session booking keeps the session's times
+            const sessionTimes = current.classSessionId && (start_time !== undefined || end_time !== undefined)
+                ? await classSessions.bookingTimes(current.classSessionId)
+                : null;
+            if (sessionTimes) {
+                const timesProblem = checkBookingTimes(sessionTimes, updateData);
+                if (timesProblem) {
+                    return callback({
+                        code: grpc.status.INVALID_ARGUMENT,
+                        message: timesProblem.message
+                    });
+                }
+                if (start_time !== undefined) updateData.startTime = sessionTimes.startTime;
+                if (end_time !== undefined) updateData.endTime = sessionTimes.endTime;
+            }
+
+            if (requestedStatus) {
+                const statusProblem = checkStatusChange(current.status, requestedStatus);
+                if (statusProblem) return callback(statusError(statusProblem));
+
+                updateData.status = normalizeStatus(requestedStatus);
+                if (updateData.status !== normalizeStatus(current.status)) {
+                    updateData.statusChanges = recordStatusChange(current.status, updateData.status);
                 }
+            }
+
+            // Moving the registration in time or to another trainee must not
+            // double-book; cancelled registrations never conflict
+            const merged = { ...current, ...updateData };
+            const moved = updateData.userId !== undefined || updateData.startTime !== undefined || updateData.endTime !== undefined;
+            const active = !RELEASED_STATUSES.includes(merged.status);
+            const checkOverlap = !allow_overlap && active && moved;
+
+            const availability = active && moved
+                ? await availabilityCheck.check(merged.userId, merged.startTime, merged.endTime)
+                : null;
+            if (rejects(availability)) {
+                return callback({
+                    code: grpc.status.FAILED_PRECONDITION,
+                    message: availability.message
+                });
+            }
+
+            // Cancelling hands the seat to the waitlist in the same transaction
+            const { registration: updatedRegistration, promoted } = await classSessions.changeBooking(async (tx) => {
+                if (checkOverlap) {
+                    const conflictingIds = await findOverlaps(tx, {
+                        userId: merged.userId,
+                        startTime: merged.startTime,
+                        endTime: merged.endTime,
+                        excludeId: registration_id
+                    });
+                    if (conflictingIds.length > 0) throw overlapError(conflictingIds);
+                }
+
+                return tx.registration.update({
+                    where: { id: registration_id },
+                    data: updateData,
+                    include: {
+                        trainee: {
+                            select: {
+                                id: true,
+                                name: true,
+                                email: true,
+                                createdAt: true,
+                                updatedAt: true
+                            }
+                        }
+                    }
+                });
+            });
+
+            await audit(call, {
+                action: 'update',
+                entity: 'registration',
+                entityId: registration_id,
+                before: current,
+                after: { ...current, ...updateData }
             });
+            await auditPromotions(call, promoted);
 
-            callback(null, { registration: formatRegistration(updatedRegistration) });
+            callback(null, {
+                registration: formatRegistration(updatedRegistration),
+                availability_check: formatAvailabilityCheck(availability)
+            });
         } catch (error) {
             if (error.code === 'P2025') {
                 return callback({
@@ -874,7 +2112,7 @@ const registrationService = {
                     message: 'Registration not found'
                 });
             }
-            callback({
+            callback(error.code ? error : {
                 code: grpc.status.INTERNAL,
                 message: 'Internal server error'
             });
@@ -883,14 +2121,51 @@ const registrationService = {
 
     async DeleteRegistration(call, callback) {
         try {
-            const { token, registration_id } = call.request;
-            authenticateToken(token);
+            const { registration_id } = call.request;
+            const userData = call.user;
+            await assertRegistrationAccess(userData, registration_id);
+
+            const scope = requestedScope(call.request.scope);
+            if (scope !== SCOPES.THIS) {
+                const current = await prisma.registration.findUnique({ where: { id: registration_id } });
+
+                if (!current) {
+                    return callback({
+                        code: grpc.status.NOT_FOUND,
+                        message: 'Registration not found'
+                    });
+                }
 
-            await prisma.registration.delete({
-                where: { id: registration_id }
+                if (current.seriesId) {
+                    const { deleted, promoted } = await registrationSeries.deleteOccurrences(current, scope);
+
+                    for (const registration of deleted) {
+                        await audit(call, {
+                            action: 'delete',
+                            entity: 'registration',
+                            entityId: registration.id,
+                            before: registration
+                        });
+                    }
+                    await auditPromotions(call, promoted);
+
+                    return callback(null, { success: true, deleted_count: deleted.length });
+                }
+            }
+
+            const { registration: deletedRegistration, promoted } = await classSessions.changeBooking((tx) =>
+                tx.registration.delete({ where: { id: registration_id } })
+            );
+
+            await audit(call, {
+                action: 'delete',
+                entity: 'registration',
+                entityId: registration_id,
+                before: deletedRegistration
             });
+            await auditPromotions(call, promoted);
 
-            callback(null, { success: true });
+            callback(null, { success: true, deleted_count: 1 });
         } catch (error) {
             if (error.code === 'P2025') {
                 return callback({
@@ -903,6 +2178,491 @@ const registrationService = {
                 message: 'Internal server error'
             });
         }
+    },
+
+    async GetWaitlistPosition(call, callback) {
+        try {
+            const { registration_id } = call.request;
+
+            const registration = await prisma.registration.findUnique({
+                where: { id: registration_id }
+            });
+
+            if (!registration) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Registration not found'
+                });
+            }
+
+            assertTraineeAccess(call.user, registration.userId, 'registration');
+
+            const { position, length } = await classSessions.waitlistPosition(registration);
+
+            callback(null, {
+                registration_id: registration.id,
+                status: normalizeStatus(registration.status) || registration.status,
+                registration_status: toProtoStatus(registration.status),
+                position,
+                waitlist_length: length
+            });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async GetRegistrationSeries(call, callback) {
+        try {
+            const { series_id } = call.request;
+
+            const series = await registrationSeries.get(series_id, {
+                trainee: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true,
+                        createdAt: true,
+                        updatedAt: true
+                    }
+                }
+            });
+
+            if (!series) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Registration series not found'
+                });
+            }
+
+            assertTraineeAccess(call.user, series.userId, 'registration');
+
+            callback(null, { series: formatSeries(series) });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    // Holidays and other skipped dates; occurrences on them are cancelled
+    async AddRecurrenceExceptions(call, callback) {
+        try {
+            const { series_id, dates } = call.request;
+
+            const current = await prisma.registrationSeries.findUnique({ where: { id: series_id } });
+
+            if (!current) {
+                return callback({
+                    code: grpc.status.NOT_FOUND,
+                    message: 'Registration series not found'
+                });
+            }
+
+            assertTraineeAccess(call.user, current.userId, 'registration');
+
+            const result = await registrationSeries.addExceptions(series_id, dates);
+            if (!result.ok) {
+                return callback({
+                    code: result.reason === 'not_found' ? grpc.status.NOT_FOUND : grpc.status.INVALID_ARGUMENT,
+                    message: result.message
+                });
+            }
+
+            await audit(call, {
+                action: 'update',
+                entity: 'registration_series',
+                entityId: series_id,
+                before: current,
+                after: result.series
+            });
+            await auditOccurrenceChanges(call, result.changes);
+            await auditPromotions(call, result.promoted);
+
+            const series = await registrationSeries.get(series_id);
+            callback(null, {
+                series: formatSeries(series),
+                cancelled: result.changes.map(change => formatRegistration(change.after))
+            });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    // Server-streaming: registration changes as they happen, until the client
+    // cancels. With a resume_token the events after it are replayed first.
+    async WatchRegistrations(call) {
+        let stop = null;
+        let cancelled = false;
+        call.on('cancelled', () => {
+            cancelled = true;
+            if (stop) stop();
+        });
+
+        try {
+            const { trainee_id, event_id, from, to, resume_token } = call.request;
+            const userData = call.user;
+
+            // Trainees only see their own registrations
+            if (trainee_id) assertTraineeAccess(userData, trainee_id, 'registration');
+            const traineeId = trainee_id || (isStaff(userData) ? null : userData.traineeId);
+
+            if (resume_token && parseResumeToken(resume_token) === null) {
+                throw {
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'Invalid resume_token'
+                };
+            }
+
+            const filter = {
+                traineeId,
+                eventId: event_id,
+                from: convertFromTimestamp(from),
+                to: convertFromTimestamp(to),
+                resumeToken: resume_token
+            };
+            stop = await registrationFeed.watch(filter, (event) => {
+                call.write({
+                    type: `REGISTRATION_EVENT_TYPE_${event.type.toUpperCase()}`,
+                    registration: formatRegistration(event.registration),
+                    resume_token: event.resumeToken,
+                    occurred_at: convertTimestamp(event.occurredAt)
+                });
+            }, (error) => {
+                console.error('WatchRegistrations error:', error);
+                call.emit('error', {
+                    code: grpc.status.INTERNAL,
+                    message: 'Internal server error'
+                });
+            });
+            if (cancelled) return stop();
+
+            // Headers go out once the watch is in place (right away when nothing
+            // was replayed), so a client knows later changes will reach it
+            call.sendMetadata(new grpc.Metadata());
+        } catch (error) {
+            call.emit('error', error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    }
+};
+
+// ============================================================================
+// Scheduling Service Implementation
+// ============================================================================
+
+function schedulingError(problem) {
+    return {
+        code: problem.reason === 'not_found' ? grpc.status.NOT_FOUND : grpc.status.INVALID_ARGUMENT,
+        message: problem.message
+    };
+}
+
+const schedulingService = {
+    async RecommendSlots(call, callback) {
+        try {
+            const { trainee_id, from, to, workout_id, limit } = call.request;
+
+            if (!trainee_id) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'trainee_id is required'
+                });
+            }
+
+            assertTraineeAccess(call.user, trainee_id, 'routine');
+
+            const result = await scheduling.recommendSlots({
+                traineeId: trainee_id,
+                from: convertFromTimestamp(from),
+                to: convertFromTimestamp(to),
+                workoutId: workout_id || undefined,
+                limit
+            });
+
+            if (!result.ok) return callback(schedulingError(result));
+
+            callback(null, {
+                timezone: result.timezone,
+                slots: result.slots.map(slot => ({
+                    workout: slot.workout,
+                    start_time: convertTimestamp(slot.startTime),
+                    end_time: convertTimestamp(slot.endTime),
+                    availability_slot: slot.availabilitySlot,
+                    slack_before_minutes: slot.slackBeforeMinutes,
+                    slack_after_minutes: slot.slackAfterMinutes,
+                    fit_score: slot.fitScore,
+                    duration_minutes: slot.workout.duration,
+                    class_session_id: slot.classSession.id
+                }))
+            });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    },
+
+    async FindCommonAvailability(call, callback) {
+        try {
+            const { trainee_ids, from, to, min_duration_minutes, limit } = call.request;
+
+            const result = await scheduling.findCommonAvailability({
+                traineeIds: trainee_ids,
+                from: convertFromTimestamp(from),
+                to: convertFromTimestamp(to),
+                minDuration: min_duration_minutes,
+                limit
+            });
+
+            if (!result.ok) return callback(schedulingError(result));
+
+            callback(null, {
+                windows: result.windows.map(window => ({
+                    start_time: convertTimestamp(window.startTime),
+                    end_time: convertTimestamp(window.endTime),
+                    duration_minutes: window.durationMinutes,
+                    available_trainee_ids: window.availableTraineeIds,
+                    unavailable_trainee_ids: window.unavailableTraineeIds,
+                    available_count: window.availableTraineeIds.length
+                })),
+                trainees_without_routine: result.withoutRoutine
+            });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    }
+};
+
+// ============================================================================
+// Audit Service Implementation
+// ============================================================================
+
+function formatAuditEvent(event) {
+    return {
+        id: event.id,
+        actor_id: event.actorId || '',
+        action: event.action,
+        entity: event.entity,
+        entity_id: event.entityId,
+        before: event.before || '',
+        after: event.after || '',
+        protocol: event.protocol,
+        created_at: convertTimestamp(event.createdAt)
+    };
+}
+
+const auditService = {
+    async ListAuditEvents(call, callback) {
+        try {
+            const { actor_id, entity, entity_id, from, to, pagination } = call.request;
+
+            if (entity && !isValidEntity(entity)) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: `entity must be one of ${ENTITIES.join(', ')}`
+                });
+            }
+
+            const fromDate = convertFromTimestamp(from);
+            const toDate = convertFromTimestamp(to);
+
+            if (fromDate && toDate && fromDate > toDate) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'from must not be after to'
+                });
+            }
+
+            if (pagination?.page_token) {
+                return callback({
+                    code: grpc.status.INVALID_ARGUMENT,
+                    message: 'ListAuditEvents pages by number; page_token is not supported'
+                });
+            }
+
+            const page = pagination?.page || 1;
+            const pageSize = pagination?.page_size || 20;
+
+            const { events, total } = await auditLog.list({
+                actorId: actor_id,
+                entity,
+                entityId: entity_id,
+                from: fromDate,
+                to: toDate,
+                page,
+                pageSize
+            });
+
+            callback(null, {
+                events: events.map(formatAuditEvent),
+                pagination: {
+                    page,
+                    page_size: pageSize,
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('ListAuditEvents error:', error);
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
+    }
+};
+
+// ============================================================================
+// Check-in Service Implementation
+// ============================================================================
+
+function formatKiosk(kiosk) {
+    return {
+        kiosk_id: kiosk.kioskId,
+        staff_id: kiosk.staffId || '',
+        alive: kiosk.alive,
+        connected_at: convertTimestamp(kiosk.connectedAt),
+        last_seen_at: convertTimestamp(kiosk.lastSeenAt),
+        scans: kiosk.scans,
+        accepted: kiosk.accepted
+    };
+}
+
+const checkInService = {
+    // Bidirectional: the kiosk sends card scans and heartbeats, the server
+    // answers every scan with a decision (in scan order) and every heartbeat
+    // with an ack. A kiosk that sends nothing for three heartbeat intervals is
+    // disconnected with DEADLINE_EXCEEDED.
+    Stream(call) {
+        let kioskId = null;
+        let stream = null;
+        let lastSeen = Date.now();
+        let scans = Promise.resolve();
+        let closed = false;
+
+        const watchdog = setInterval(() => {
+            if (Date.now() - lastSeen > HEARTBEAT_TIMEOUT_MS) {
+                close({
+                    code: grpc.status.DEADLINE_EXCEEDED,
+                    message: `No heartbeat for ${HEARTBEAT_TIMEOUT_MS / 1000} seconds`
+                });
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+
+        // Ends the stream, with `error` when given; a cancelled call is only cleaned up
+        function close(error, cancelled = false) {
+            if (closed) return;
+            closed = true;
+            clearInterval(watchdog);
+            if (kioskId) kiosks.disconnect(kioskId, stream);
+            if (cancelled) return;
+            if (error) {
+                call.emit('error', error);
+            } else {
+                call.end();
+            }
+        }
+
+        async function decide(scan) {
+            if (!scan) {
+                return close({ code: grpc.status.INVALID_ARGUMENT, message: 'A scan event must carry the scan' });
+            }
+
+            const result = await checkIns.checkIn(scan.trainee_id, convertFromTimestamp(scan.scanned_at) || new Date(), {
+                trainee: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true,
+                        createdAt: true,
+                        updatedAt: true
+                    }
+                }
+            });
+
+            if (result.before) {
+                await audit(call, {
+                    action: 'update',
+                    entity: 'registration',
+                    entityId: result.registration.id,
+                    before: result.before,
+                    after: result.registration
+                });
+            }
+            kiosks.recordScan(kioskId, stream, result.accepted);
+
+            if (closed) return;
+            call.write({
+                decision: {
+                    scan_id: scan.scan_id,
+                    accepted: result.accepted,
+                    reason: `CHECK_IN_REASON_${result.reason.toUpperCase()}`,
+                    message: result.message,
+                    registration: result.registration ? formatRegistration(result.registration) : null
+                }
+            });
+        }
+
+        call.on('data', (message) => {
+            if (closed) return;
+            lastSeen = Date.now();
+
+            if (!message.kiosk_id) {
+                return close({ code: grpc.status.INVALID_ARGUMENT, message: 'kiosk_id is required' });
+            }
+            if (!kioskId) {
+                kioskId = message.kiosk_id;
+                stream = kiosks.connect(kioskId, call.user.traineeId, () => close({
+                    code: grpc.status.ABORTED,
+                    message: `Kiosk ${kioskId} connected on another stream`
+                }));
+            } else if (message.kiosk_id !== kioskId) {
+                return close({ code: grpc.status.INVALID_ARGUMENT, message: 'kiosk_id must stay the same within a stream' });
+            }
+
+            if (message.event === 'heartbeat') {
+                kiosks.touch(kioskId, stream);
+                call.write({
+                    heartbeat_ack: {
+                        server_time: convertTimestamp(new Date()),
+                        heartbeat_interval_seconds: HEARTBEAT_INTERVAL_MS / 1000
+                    }
+                });
+            } else if (message.event === 'scan') {
+                scans = scans.then(() => decide(message.scan)).catch((error) => {
+                    console.error('CheckInService.Stream error:', error);
+                    close({ code: grpc.status.INTERNAL, message: 'Internal server error' });
+                });
+            } else {
+                close({ code: grpc.status.INVALID_ARGUMENT, message: 'Expected a scan or a heartbeat' });
+            }
+        });
+        call.on('end', () => scans.then(() => close()));
+        call.on('cancelled', () => close(null, true));
+        call.on('error', () => close(null, true));
+    },
+
+    async ListKiosks(call, callback) {
+        try {
+            callback(null, { kiosks: kiosks.list().map(formatKiosk) });
+        } catch (error) {
+            callback(error.code ? error : {
+                code: grpc.status.INTERNAL,
+                message: 'Internal server error'
+            });
+        }
     }
 };
 
@@ -910,27 +2670,35 @@ const registrationService = {
 // Create and Start Server
 // ============================================================================
 
-function main() {
+async function main() {
     const server = new grpc.Server();
 
     // Add services to the server
-    server.addService(gymProto.SessionService.service, sessionService);
-    server.addService(gymProto.TraineeService.service, traineeService);
-    server.addService(gymProto.WorkoutService.service, workoutService);
-    server.addService(gymProto.RoutineService.service, routineService);
-    server.addService(gymProto.RegistrationService.service, registrationService);
-
-    // Start the server
+    server.addService(gymProto.SessionService.service, withAuth('SessionService', sessionService));
+    server.addService(gymProto.TraineeService.service, withAuth('TraineeService', traineeService));
+    server.addService(gymProto.WorkoutService.service, withAuth('WorkoutService', workoutService));
+    server.addService(gymProto.ClassSessionService.service, withAuth('ClassSessionService', classSessionService));
+    server.addService(gymProto.RoutineService.service, withAuth('RoutineService', routineService));
+    server.addService(gymProto.RegistrationService.service, withAuth('RegistrationService', registrationService));
+    server.addService(gymProto.SchedulingService.service, withAuth('SchedulingService', schedulingService));
+    server.addService(gymProto.AuditService.service, withAuth('AuditService', auditService));
+    server.addService(gymProto.CheckInService.service, withAuth('CheckInService', checkInService));
+
+    // Start the server (TLS settings come from GRPC_TLS_* variables); with TLS
+    // the certificates are loaded before the port opens
+    const credentials = await createServerCredentials();
     server.bindAsync(
         `0.0.0.0:${port}`,
-        grpc.ServerCredentials.createInsecure(),
+        credentials,
         (error, port) => {
             if (error) {
                 console.error('Failed to start gRPC server:', error);
                 return;
             }
-            console.log(`gRPC server running on port ${port}`);
+            console.log(`gRPC server running on port ${port} (${describeServerTls()})`);
             server.start();
+            tokenStore.startPruning();
+            loginThrottle.startPruning();
         }
     );
 }
@@ -949,7 +2717,10 @@ process.on('SIGTERM', async () => {
 });
 
 if (require.main === module) {
-    main();
+    main().catch((error) => {
+        console.error('Failed to start gRPC server:', error);
+        process.exit(1);
+    });
 }
 
 module.exports = main;
\ No newline at end of file
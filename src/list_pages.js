@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { RESOURCES, andWhere } = require('./list_query');
+
+// Pagination of the list RPCs and their REST routes, shared by the gRPC and
+// REST servers.
+//
+// A page is asked for with the previous page's next_page_token, or by number
+// (page / page_size, the older offset mode). Tokens are opaque to clients:
+// they hold the page number and the sort key of the last row sent, and the
+// next page starts right after that row, so rows inserted or deleted meanwhile
+// do not shift rows between pages the way offsets do. The row id breaks ties
+// in the requested order. A token only fits the list, filter and order_by it
+// was issued for.
+//
+// total needs a second (count) query; skip_total leaves it out.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Prisma model of each list in RESOURCES
+const MODELS = {
+    trainees: 'trainee',
+    workouts: 'workout',
+    class_sessions: 'classSession',
+    routines: 'routine',
+    registrations: 'registration'
+};
+
+class PageError extends Error {}
+
+// A page number or size as sent by either protocol; 0 when unset
+function toCount(value, name) {
+    if (value === undefined || value === null || value === '' || value === 0) return 0;
+    if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+        throw new PageError(`${name} must be a positive whole number`);
+    }
+    return Number(value);
+}
+
+// The requested order as [{ column, direction }], ending with the id
+function keyOrder(orderBy) {
+    const order = orderBy.map(entry => {
+        const [column, direction] = Object.entries(entry)[0];
+        return { column, direction };
+    });
+    return order.some(({ column }) => column === 'id') ? order : [...order, { column: 'id', direction: 'asc' }];
+}
+
+function isTimestampColumn(resource, column) {
+    return Object.values(RESOURCES[resource].fields).some(field => field.column === column && field.type === 'timestamp');
+}
+
+// Ties a token to the list, filter and order it was issued for
+function fingerprint(resource, filter, order) {
+    return crypto.createHash('sha256').update(JSON.stringify([resource, filter || '', order])).digest('base64url').slice(0, 16);
+}
+
+function encodeToken(page, row, order, print) {
+    const key = order.map(({ column }) => row[column] === undefined ? null : row[column]);
+    return Buffer.from(JSON.stringify({ p: page, k: key, f: print })).toString('base64url');
+}
+
+// { page, key } from a token, with timestamps revived as dates
+function decodeToken(token, resource, order, print) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new PageError('page_token is not a token from this list');
+    }
+
+    if (!decoded || !Number.isInteger(decoded.p) || decoded.p < 2 ||
+        !Array.isArray(decoded.k) || decoded.k.length !== order.length) {
+        throw new PageError('page_token is not a token from this list');
+    }
+    if (decoded.f !== print) {
+        throw new PageError('page_token was issued for a different filter or order_by');
+    }
+
+    const key = decoded.k.map((value, index) => {
+        if (value === null || !isTimestampColumn(resource, order[index].column)) return value;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) throw new PageError('page_token is not a token from this list');
+        return date;
+    });
+    return { page: decoded.p, key };
+}
+
+// Rows sorting after `value` in `column`. SQLite sorts nulls first ascending
+// and last descending.
+function beyond(column, direction, value) {
+    if (value === null) return direction === 'asc' ? { [column]: { not: null } } : null;
+    return direction === 'asc'
+        ? { [column]: { gt: value } }
+        : { OR: [{ [column]: { lt: value } }, { [column]: null }] };
+}
+
+// Rows sorting after the row with sort key `key`: equal in the first columns
+// and beyond it in the next one
+function afterKey(order, key) {
+    const alternatives = order.map(({ column, direction }, index) => {
+        const next = beyond(column, direction, key[index]);
+        if (!next) return null;
+        const equal = order.slice(0, index).map((previous, j) => ({ [previous.column]: key[j] }));
+        return { AND: [...equal, next] };
+    }).filter(Boolean);
+    return { OR: alternatives };
+}
+
+function createListPages(prisma) {
+    // Rows of `resource` (a RESOURCES key) matching `where` in `orderBy`, both
+    // from parseListQuery() with `filter` the request's filter string. The
+    // page comes from `request` ({ page, pageSize, pageToken, skipTotal });
+    // lists without a defaultPageSize return every row unless a page is asked
+    // for. `findArgs` (select or include) are passed on to findMany.
+    //
+    // Returns { rows, pagination } where pagination is { page, pageSize, total,
+    // nextPageToken } (total undefined when skipped, nextPageToken '' on the
+    // last page) or null for unpaginated lists, or { problem: { reason:
+    // 'invalid', message } }.
+    async function list(resource, { where, orderBy, filter, findArgs = {}, request = {}, defaultPageSize = 0 }) {
+        const model = prisma[MODELS[resource]];
+        const order = keyOrder(orderBy);
+        const print = fingerprint(resource, filter, order);
+
+        let page, pageSize, after;
+        try {
+            page = toCount(request.page, 'page');
+            pageSize = toCount(request.pageSize, 'page_size');
+            if (request.pageToken) {
+                if (page) throw new PageError('page and page_token cannot be combined');
+                ({ page, key: after } = decodeToken(request.pageToken, resource, order, print));
+            }
+        } catch (error) {
+            if (!(error instanceof PageError)) throw error;
+            return { problem: { reason: 'invalid', message: `Invalid pagination: ${error.message}` } };
+        }
+
+        if (!page && !pageSize && !defaultPageSize) {
+            const rows = await model.findMany({ where, orderBy: order.map(({ column, direction }) => ({ [column]: direction })), ...findArgs });
+            return { rows, pagination: null };
+        }
+
+        page = page || 1;
+        pageSize = Math.min(pageSize || defaultPageSize || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+        // One row more than the page tells whether there is a next page
+        const find = model.findMany({
+            where: after ? andWhere(where, afterKey(order, after)) : where,
+            orderBy: order.map(({ column, direction }) => ({ [column]: direction })),
+            skip: after ? 0 : (page - 1) * pageSize,
+            take: pageSize + 1,
+            ...findArgs
+        });
+
+        const skipTotal = request.skipTotal === true || request.skipTotal === 'true';
+        const [found, total] = skipTotal
+            ? [await find, undefined]
+            : await prisma.$transaction([find, model.count({ where })]);
+
+        const rows = found.slice(0, pageSize);
+        return {
+            rows,
+            pagination: {
+                page,
+                pageSize,
+                total,
+                nextPageToken: found.length > pageSize ? encodeToken(page + 1, rows[rows.length - 1], order, print) : ''
+            }
+        };
+    }
+
+    return { list };
+}
+
+module.exports = { createListPages, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
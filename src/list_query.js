@@ -0,0 +1,357 @@
+const { STATUSES, RELEASED_STATUSES, normalizeStatus, fromProtoStatus } = require('./registration_status');
+const { ROLES } = require('./access_policy');
+
+// Filtering and ordering of the list RPCs and their REST routes, shared by the
+// gRPC and REST servers; both take the same strings (`filter` / `order_by`,
+// REST `?filter=` / `?orderBy=`).
+//
+// A filter compares fields with values and combines the comparisons:
+//
+//   status = "scheduled" AND start_time >= "2030-01-07T00:00:00Z"
+//   duration >= 30 AND duration <= 60
+//   name : "ann" OR email : "ann"
+//   NOT (role = "trainee")
+//
+// Operators are = != < <= > >= and `:` (contains, for text fields); AND binds
+// tighter than OR, and parentheses group. Values are "quoted" or bare words;
+// timestamps are RFC 3339. A quoted value on its own searches the resource's
+// text fields ("ann" matches names and e-mails containing it). Text matches
+// ignore the case of ASCII letters.
+//
+// order_by is a comma-separated list of fields, each optionally followed by
+// `asc` or `desc`: "start_time desc, status".
+//
+// Field names are those of the gRPC messages; the camelCase REST names are
+// accepted too (`start_time` or `startTime`). Anything else is rejected.
+
+const MAX_FILTER_LENGTH = 2000;
+
+const TYPES = {
+    TEXT: 'text',
+    ENUM: 'enum',
+    INTEGER: 'integer',
+    TIMESTAMP: 'timestamp',
+    BOOLEAN: 'boolean'
+};
+
+const OPERATORS_BY_TYPE = {
+    [TYPES.TEXT]: ['=', '!=', ':'],
+    [TYPES.ENUM]: ['=', '!='],
+    [TYPES.INTEGER]: ['=', '!=', '<', '<=', '>', '>='],
+    [TYPES.TIMESTAMP]: ['=', '!=', '<', '<=', '>', '>='],
+    [TYPES.BOOLEAN]: ['=', '!=']
+};
+
+const COMPARISONS = { '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+
+// Stored values a registration status filter matches ('canceled' from older rows)
+function storedStatuses(status) {
+    return status === STATUSES.CANCELLED ? RELEASED_STATUSES : [status];
+}
+
+// Filterable and sortable fields of each list: `column` is the Prisma field,
+// `search` marks the text fields a bare quoted value searches
+const RESOURCES = {
+    trainees: {
+        fields: {
+            name: { column: 'name', type: TYPES.TEXT, search: true },
+            email: { column: 'email', type: TYPES.TEXT, search: true },
+            role: { column: 'role', type: TYPES.ENUM, values: Object.values(ROLES) },
+            timezone: { column: 'timezone', type: TYPES.TEXT },
+            email_verified: { column: 'emailVerified', type: TYPES.BOOLEAN },
+            created_at: { column: 'createdAt', type: TYPES.TIMESTAMP },
+            updated_at: { column: 'updatedAt', type: TYPES.TIMESTAMP }
+        },
+        defaultOrder: [{ column: 'createdAt', direction: 'desc' }]
+    },
+    workouts: {
+        fields: {
+            name: { column: 'name', type: TYPES.TEXT, search: true },
+            duration: { column: 'duration', type: TYPES.INTEGER },
+            description: { column: 'description', type: TYPES.TEXT, search: true },
+            color: { column: 'color', type: TYPES.TEXT },
+            created_at: { column: 'createdAt', type: TYPES.TIMESTAMP },
+            updated_at: { column: 'updatedAt', type: TYPES.TIMESTAMP }
+        },
+        defaultOrder: [{ column: 'createdAt', direction: 'desc' }]
+    },
+    class_sessions: {
+        fields: {
+            workout_id: { column: 'workoutId', type: TYPES.TEXT },
+            start_time: { column: 'startTime', type: TYPES.TIMESTAMP },
+            room: { column: 'room', type: TYPES.TEXT, search: true },
+            instructor_id: { column: 'instructorId', type: TYPES.TEXT },
+            capacity: { column: 'capacity', type: TYPES.INTEGER },
+            created_at: { column: 'createdAt', type: TYPES.TIMESTAMP },
+            updated_at: { column: 'updatedAt', type: TYPES.TIMESTAMP }
+        },
+        defaultOrder: [{ column: 'startTime', direction: 'asc' }]
+    },
+    routines: {
+        fields: {
+            user_id: { column: 'userId', type: TYPES.TEXT },
+            created_at: { column: 'createdAt', type: TYPES.TIMESTAMP },
+            updated_at: { column: 'updatedAt', type: TYPES.TIMESTAMP }
+        },
+        defaultOrder: [{ column: 'createdAt', direction: 'desc' }]
+    },
+    registrations: {
+        fields: {
+            event_id: { column: 'eventId', type: TYPES.TEXT },
+            user_id: { column: 'userId', type: TYPES.TEXT },
+            invitee_email: { column: 'inviteeEmail', type: TYPES.TEXT, search: true },
+            start_time: { column: 'startTime', type: TYPES.TIMESTAMP },
+            end_time: { column: 'endTime', type: TYPES.TIMESTAMP },
+            status: {
+                column: 'status',
+                type: TYPES.ENUM,
+                values: Object.values(STATUSES),
+                normalize: value => normalizeStatus(fromProtoStatus(value)),
+                stored: storedStatuses
+            },
+            class_session_id: { column: 'classSessionId', type: TYPES.TEXT },
+            series_id: { column: 'seriesId', type: TYPES.TEXT },
+            created_at: { column: 'createdAt', type: TYPES.TIMESTAMP },
+            updated_at: { column: 'updatedAt', type: TYPES.TIMESTAMP }
+        },
+        defaultOrder: [{ column: 'createdAt', direction: 'desc' }]
+    }
+};
+
+function camelCase(name) {
+    return name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// The field definition for `name` in either spelling, or null
+function lookupField(resource, name) {
+    const { fields } = RESOURCES[resource];
+    const key = Object.keys(fields).find(field => field === name || camelCase(field) === name);
+    return key ? { name: key, ...fields[key] } : null;
+}
+
+function unknownField(resource, name) {
+    return `unknown field "${name}" for ${resource}; expected one of ${Object.keys(RESOURCES[resource].fields).join(', ')}`;
+}
+
+// Thrown inside the parser and turned into a problem by parseListQuery()
+class QueryError extends Error {}
+
+// Recursive descent over the filter string:
+//
+//   expression := conjunction { "OR" conjunction }
+//   conjunction := term { "AND" term }
+//   term := "NOT" term | "(" expression ")" | quoted | field operator value
+function parseFilter(resource, filter) {
+    let position = 0;
+
+    const fail = (message) => {
+        throw new QueryError(`${message} at position ${position + 1}`);
+    };
+
+    function skipSpace() {
+        while (position < filter.length && /\s/.test(filter[position])) position++;
+    }
+
+    function atEnd() {
+        skipSpace();
+        return position >= filter.length;
+    }
+
+    // Consumes `keyword` when it is next as a whole word
+    function keyword(word) {
+        skipSpace();
+        const candidate = filter.slice(position, position + word.length);
+        const after = filter[position + word.length];
+        if (candidate !== word || (after !== undefined && !/[\s(]/.test(after))) return false;
+        position += word.length;
+        return true;
+    }
+
+    function quoted() {
+        const quote = filter[position++];
+        let value = '';
+        while (position < filter.length && filter[position] !== quote) {
+            if (filter[position] === '\\' && position + 1 < filter.length) position++;
+            value += filter[position++];
+        }
+        if (position >= filter.length) fail('unterminated string');
+        position++;
+        return value;
+    }
+
+    // A quoted value, or a bare word running up to whitespace or ")"
+    function value() {
+        skipSpace();
+        if (filter[position] === '"' || filter[position] === "'") return quoted();
+
+        const match = /^[^\s()"']+/.exec(filter.slice(position));
+        if (!match) fail('expected a value');
+        position += match[0].length;
+        return match[0];
+    }
+
+    function operator() {
+        skipSpace();
+        const match = /^(<=|>=|!=|=|<|>|:)/.exec(filter.slice(position));
+        if (!match) fail('expected an operator (= != < <= > >= :)');
+        position += match[0].length;
+        return match[0];
+    }
+
+    function term() {
+        skipSpace();
+        if (keyword('NOT')) return { not: term() };
+
+        if (filter[position] === '(') {
+            position++;
+            const inner = expression();
+            skipSpace();
+            if (filter[position] !== ')') fail('expected ")"');
+            position++;
+            return inner;
+        }
+
+        if (filter[position] === '"' || filter[position] === "'") return { search: quoted() };
+
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(filter.slice(position));
+        if (!match) fail('expected a field name');
+        const field = lookupField(resource, match[0]);
+        if (!field) fail(unknownField(resource, match[0]));
+        position += match[0].length;
+
+        return { field, operator: operator(), value: value() };
+    }
+
+    function conjunction() {
+        const terms = [term()];
+        while (keyword('AND')) terms.push(term());
+        return terms.length === 1 ? terms[0] : { and: terms };
+    }
+
+    function expression() {
+        const conjunctions = [conjunction()];
+        while (keyword('OR')) conjunctions.push(conjunction());
+        return conjunctions.length === 1 ? conjunctions[0] : { or: conjunctions };
+    }
+
+    const parsed = expression();
+    if (!atEnd()) fail(`unexpected "${filter.slice(position, position + 10)}"`);
+    return parsed;
+}
+
+// The comparison value converted to the field's type
+function typedValue(field, raw) {
+    switch (field.type) {
+    case TYPES.INTEGER:
+        if (!/^-?\d+$/.test(raw)) throw new QueryError(`${field.name} must be compared with a whole number, not "${raw}"`);
+        return Number(raw);
+    case TYPES.TIMESTAMP: {
+        const date = new Date(raw);
+        if (!/^\d{4}-\d{2}-\d{2}/.test(raw) || Number.isNaN(date.getTime())) {
+            throw new QueryError(`${field.name} must be compared with an RFC 3339 timestamp, not "${raw}"`);
+        }
+        return date;
+    }
+    case TYPES.BOOLEAN:
+        if (raw !== 'true' && raw !== 'false') throw new QueryError(`${field.name} must be compared with true or false`);
+        return raw === 'true';
+    case TYPES.ENUM: {
+        const normalized = field.normalize ? field.normalize(raw) : String(raw).toLowerCase();
+        if (!field.values.includes(normalized)) {
+            throw new QueryError(`unknown ${field.name} "${raw}"; expected one of ${field.values.join(', ')}`);
+        }
+        return normalized;
+    }
+    default:
+        return raw;
+    }
+}
+
+function comparisonWhere({ field, operator, value: raw }) {
+    if (!OPERATORS_BY_TYPE[field.type].includes(operator)) {
+        throw new QueryError(`operator ${operator} cannot be used with ${field.name}`);
+    }
+
+    const value = typedValue(field, raw);
+    const { column } = field;
+    if (field.stored) {
+        const stored = field.stored(value);
+        return { [column]: operator === '=' ? { in: stored } : { notIn: stored } };
+    }
+
+    switch (operator) {
+    case '=': return { [column]: value };
+    case '!=': return { [column]: { not: value } };
+    case ':': return { [column]: { contains: value } };
+    default: return { [column]: { [COMPARISONS[operator]]: value } };
+    }
+}
+
+function toWhere(resource, node) {
+    if (node.and) return { AND: node.and.map(child => toWhere(resource, child)) };
+    if (node.or) return { OR: node.or.map(child => toWhere(resource, child)) };
+    if (node.not) return { NOT: toWhere(resource, node.not) };
+
+    if (node.search !== undefined) {
+        const columns = Object.values(RESOURCES[resource].fields).filter(field => field.search).map(field => field.column);
+        if (columns.length === 0) throw new QueryError(`${resource} cannot be searched; compare a field instead`);
+        return { OR: columns.map(column => ({ [column]: { contains: node.search } })) };
+    }
+
+    return comparisonWhere(node);
+}
+
+function parseOrderBy(resource, orderBy) {
+    return orderBy.split(',').map(part => {
+        const [name, direction = 'asc', ...rest] = part.trim().split(/\s+/);
+        if (!name) throw new QueryError('empty entry');
+
+        const field = lookupField(resource, name);
+        if (!field) throw new QueryError(unknownField(resource, name));
+
+        const lower = direction.toLowerCase();
+        if ((lower !== 'asc' && lower !== 'desc') || rest.length > 0) {
+            throw new QueryError(`"${part.trim()}" must be a field optionally followed by asc or desc`);
+        }
+        return { column: field.column, direction: lower };
+    });
+}
+
+// Prisma `where` and `orderBy` for a list of `resource` (a RESOURCES key).
+// Returns { where, orderBy } or { problem: { reason: 'invalid', message } };
+// `where` is {} without a filter and orderBy defaults to the list's usual order.
+function parseListQuery(resource, { filter, orderBy } = {}) {
+    let part = 'filter';
+    try {
+        if (filter && typeof filter !== 'string') throw new QueryError('must be given once, as a string');
+        if (filter && filter.length > MAX_FILTER_LENGTH) {
+            throw new QueryError(`longer than ${MAX_FILTER_LENGTH} characters`);
+        }
+        const where = filter && filter.trim() ? toWhere(resource, parseFilter(resource, filter)) : {};
+
+        part = 'order_by';
+        if (orderBy && typeof orderBy !== 'string') throw new QueryError('must be given once, as a string');
+        const order = orderBy && orderBy.trim() ? parseOrderBy(resource, orderBy) : RESOURCES[resource].defaultOrder;
+
+        return {
+            where,
+            orderBy: order.map(({ column, direction }) => ({ [column]: direction }))
+        };
+    } catch (error) {
+        if (!(error instanceof QueryError)) throw error;
+        return { problem: { reason: 'invalid', message: `Invalid ${part}: ${error.message}` } };
+    }
+}
+
+// Both conditions; either may be empty
+function andWhere(first, second) {
+    if (Object.keys(first).length === 0) return second;
+    if (Object.keys(second).length === 0) return first;
+    return { AND: [first, second] };
+}
+
+module.exports = {
+    parseListQuery,
+    andWhere,
+    RESOURCES
+};
@@ -0,0 +1,163 @@
+// Brute-force protection for CreateSession / POST /sessions, shared by the gRPC
+// and REST servers. Failed attempts are counted per email and per client address
+// in a sliding window; crossing the limit locks the key out, and every further
+// lockout of the same key doubles the lockout time. State lives in the database
+// so both servers see the same counters.
+
+const WINDOW_MS = (parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000;
+const MAX_ATTEMPTS_PER_EMAIL = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_EMAIL) || 5;
+const MAX_ATTEMPTS_PER_ADDRESS = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ADDRESS) || 20;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+// A key that stays clean this long starts again from the base lockout time
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+function emailKey(email) {
+    return `email:${String(email).trim().toLowerCase()}`;
+}
+
+function addressKey(address) {
+    return `address:${address}`;
+}
+
+// gRPC peers look like "ipv4:127.0.0.1:51234" or "ipv6:[::1]:51234"
+function addressFromPeer(peer) {
+    if (!peer) return 'unknown';
+    const withoutScheme = peer.replace(/^(ipv4|ipv6|unix):/, '');
+    const bracketed = /^\[([^\]]+)\]/.exec(withoutScheme);
+    if (bracketed) return bracketed[1];
+    const lastColon = withoutScheme.lastIndexOf(':');
+    return lastColon > 0 ? withoutScheme.slice(0, lastColon) : withoutScheme;
+}
+
+function lockoutDuration(lockoutCount) {
+    return Math.min(LOCKOUT_BASE_MS * 2 ** (lockoutCount - 1), LOCKOUT_MAX_MS);
+}
+
+function retryAfterSeconds(lockedUntil) {
+    return Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+}
+
+function createLoginThrottle(prisma) {
+    function keysFor(email, address) {
+        return [
+            { key: emailKey(email), limit: MAX_ATTEMPTS_PER_EMAIL },
+            { key: addressKey(address), limit: MAX_ATTEMPTS_PER_ADDRESS }
+        ];
+    }
+
+    // Returns { locked: false } or { locked: true, retryAfter } (seconds)
+    async function check(email, address) {
+        const lockouts = await prisma.loginLockout.findMany({
+            where: {
+                key: { in: keysFor(email, address).map(({ key }) => key) },
+                lockedUntil: { gt: new Date() }
+            }
+        });
+
+        if (lockouts.length === 0) return { locked: false };
+
+        const latest = lockouts.reduce((a, b) => (a.lockedUntil > b.lockedUntil ? a : b));
+        return { locked: true, retryAfter: retryAfterSeconds(latest.lockedUntil) };
+    }
+
+    async function lockOut(key, now) {
+        const existing = await prisma.loginLockout.findUnique({ where: { key } });
+        const remembered = existing && now - existing.lockedUntil < LOCKOUT_MEMORY_MS;
+        const lockoutCount = remembered ? existing.lockoutCount + 1 : 1;
+        const lockedUntil = new Date(now.getTime() + lockoutDuration(lockoutCount));
+
+        await prisma.$transaction([
+            prisma.loginLockout.upsert({
+                where: { key },
+                update: { lockoutCount, lockedUntil },
+                create: { key, lockoutCount, lockedUntil }
+            }),
+            // The next window starts once the lockout is over
+            prisma.loginAttempt.deleteMany({ where: { key } })
+        ]);
+
+        return lockedUntil;
+    }
+
+    // Records a failed attempt; returns the same shape as check()
+    async function recordFailure(email, address) {
+        const now = new Date();
+        const windowStart = new Date(now.getTime() - WINDOW_MS);
+        let lockedUntil = null;
+
+        for (const { key, limit } of keysFor(email, address)) {
+            await prisma.loginAttempt.create({ data: { key } });
+            const attempts = await prisma.loginAttempt.count({
+                where: { key, createdAt: { gt: windowStart } }
+            });
+
+            if (attempts >= limit) {
+                const until = await lockOut(key, now);
+                if (!lockedUntil || until > lockedUntil) lockedUntil = until;
+            }
+        }
+
+        return lockedUntil
+            ? { locked: true, retryAfter: retryAfterSeconds(lockedUntil) }
+            : { locked: false };
+    }
+
+    // Only the email counter is reset: a successful login on one account must
+    // not clear the counter of an address that is guessing at others
+    async function recordSuccess(email) {
+        const key = emailKey(email);
+        await prisma.$transaction([
+            prisma.loginAttempt.deleteMany({ where: { key } }),
+            prisma.loginLockout.deleteMany({ where: { key } })
+        ]);
+    }
+
+    // Admin unlock: clears the counter and the backoff history. Returns
+    // { wasLocked, lockout } where wasLocked tells whether the account was locked
+    // at the time and lockout is the cleared lockout record (null when none).
+    async function unlock(email) {
+        const key = emailKey(email);
+        const [lockout, , lockouts] = await prisma.$transaction([
+            prisma.loginLockout.findUnique({ where: { key } }),
+            prisma.loginAttempt.deleteMany({ where: { key } }),
+            prisma.loginLockout.deleteMany({ where: { key, lockedUntil: { gt: new Date() } } }),
+            prisma.loginLockout.deleteMany({ where: { key } })
+        ]);
+        return { wasLocked: lockouts.count > 0, lockout };
+    }
+
+    async function pruneExpired() {
+        const now = Date.now();
+        await prisma.$transaction([
+            prisma.loginAttempt.deleteMany({
+                where: { createdAt: { lt: new Date(now - WINDOW_MS) } }
+            }),
+            prisma.loginLockout.deleteMany({
+                where: { lockedUntil: { lt: new Date(now - LOCKOUT_MEMORY_MS) } }
+            })
+        ]);
+    }
+
+    function startPruning(intervalMs = PRUNE_INTERVAL_MS) {
+        const timer = setInterval(() => {
+            pruneExpired().catch((error) => {
+                console.error('Login attempt pruning error:', error);
+            });
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+
+    return {
+        check,
+        recordFailure,
+        recordSuccess,
+        unlock,
+        pruneExpired,
+        startPruning
+    };
+}
+
+module.exports = { createLoginThrottle, addressFromPeer };
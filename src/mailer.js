@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Outgoing mail for both servers. A transport is any object with an async
+// send({ to, subject, text }) method; the default writes every message as a JSON
+// file into a local outbox directory so mail works offline and in tests.
+// Register other transports (SMTP, an API client, ...) with registerTransport()
+// and select them with MAIL_TRANSPORT.
+
+const transports = {
+    outbox: createOutboxTransport
+};
+
+function createOutboxTransport() {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+    return {
+        async send(message) {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            const sentAt = new Date();
+            const fileName = `${sentAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`;
+            const filePath = path.join(outboxDir, fileName);
+            await fs.promises.writeFile(
+                filePath,
+                JSON.stringify({ ...message, sentAt: sentAt.toISOString() }, null, 2)
+            );
+            return { id: fileName };
+        }
+    };
+}
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+function createMailer(name = process.env.MAIL_TRANSPORT || 'outbox') {
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    const transport = factory();
+    const from = process.env.MAIL_FROM || 'no-reply@gym.local';
+
+    return {
+        send({ to, subject, text }) {
+            return transport.send({ from, to, subject, text });
+        }
+    };
+}
+
+module.exports = { createMailer, registerTransport };
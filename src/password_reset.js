@@ -0,0 +1,50 @@
+const { hashPassword } = require('./passwords');
+const { PURPOSES } = require('./account_tokens');
+
+// Forgot-password flow shared by the gRPC and REST servers
+
+function resetInstructions(token) {
+    const baseUrl = process.env.PASSWORD_RESET_URL;
+    const link = baseUrl ? `\n\n${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : '';
+    return `Someone asked to reset the password of your gym account.
+
+Use this code to choose a new password: ${token}${link}
+
+The code expires soon and can be used once. If you did not ask for a reset, ignore this message.`;
+}
+
+function createPasswordReset({ prisma, accountTokens, tokenStore, mailer }) {
+    // Always resolves the same way whether or not the email exists, so the
+    // response cannot be used to find out which emails have accounts
+    async function request(email) {
+        const trainee = await prisma.trainee.findUnique({ where: { email } });
+        if (!trainee) return;
+
+        const token = await accountTokens.issue(trainee.id, PURPOSES.PASSWORD_RESET);
+        await mailer.send({
+            to: trainee.email,
+            subject: 'Reset your password',
+            text: resetInstructions(token)
+        });
+    }
+
+    // Returns the trainee as { before, after } the password change, or null if
+    // the token is not usable. Existing refresh tokens are revoked, so other
+    // devices have to log in with the new password.
+    async function confirm(token, newPassword) {
+        const traineeId = await accountTokens.consume(token, PURPOSES.PASSWORD_RESET);
+        if (!traineeId) return null;
+
+        const before = await prisma.trainee.findUnique({ where: { id: traineeId } });
+        const after = await prisma.trainee.update({
+            where: { id: traineeId },
+            data: { password: await hashPassword(newPassword) }
+        });
+        await tokenStore.revokeAllRefreshTokens(traineeId);
+        return { before, after };
+    }
+
+    return { request, confirm };
+}
+
+module.exports = { createPasswordReset };
@@ -0,0 +1,46 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+// Shared password hashing used by both the gRPC and the REST server
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+
+// bcrypt hashes look like $2b$10$<53 chars>; anything else is a legacy plaintext row
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+function isPasswordHash(stored) {
+    return typeof stored === 'string' && BCRYPT_HASH_PATTERN.test(stored);
+}
+
+async function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Returns { valid, needsRehash }. needsRehash is set for legacy plaintext rows and
+// for hashes created with fewer rounds than currently configured, so callers can
+// upgrade the stored value after a successful login.
+async function verifyPassword(password, stored) {
+    if (!password || !stored) {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (isPasswordHash(stored)) {
+        const valid = await bcrypt.compare(password, stored);
+        return {
+            valid,
+            needsRehash: valid && bcrypt.getRounds(stored) < BCRYPT_ROUNDS
+        };
+    }
+
+    // Legacy plaintext row: compare in constant time
+    const given = Buffer.from(password);
+    const expected = Buffer.from(stored);
+    const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    return { valid, needsRehash: valid };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    isPasswordHash
+};
@@ -0,0 +1,173 @@
+const { DAYS } = require('./timezones');
+
+// Recurrence rules for recurring registrations: the weekly subset of RFC 5545
+// RRULE that gym bookings need, stored as the RRULE text, e.g.
+//
+//   FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261231
+//
+// The first occurrence (DTSTART) is the booked class session. Weeks start on
+// Monday; `interval` 2 books every other week. A rule ends after `count`
+// occurrences (the first one included) or on the `until` date, inclusive;
+// exactly one of the two must be given. Exception dates (EXDATE, e.g. holidays)
+// are skipped after counting, as in RFC 5545. All dates are calendar dates
+// ("YYYY-MM-DD") in the trainee's timezone.
+
+const FREQUENCIES = {
+    WEEKLY: 1,
+    BIWEEKLY: 2
+};
+
+const MAX_OCCURRENCES = 52;
+
+const DAY_CODES = {
+    monday: 'MO',
+    tuesday: 'TU',
+    wednesday: 'WE',
+    thursday: 'TH',
+    friday: 'FR',
+    saturday: 'SA',
+    sunday: 'SU'
+};
+
+// Monday first, the order BYDAY days are visited within a week
+const WEEK_ORDER = [...DAYS.slice(1), DAYS[0]];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(date) {
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+}
+
+function addDays(date, days) {
+    const cursor = new Date(`${date}T00:00:00Z`);
+    cursor.setUTCDate(cursor.getUTCDate() + days);
+    return cursor.toISOString().slice(0, 10);
+}
+
+function dayOf(date) {
+    return DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Validates a recurrence as sent by a client - { frequency, byDay, until,
+// count, exceptionDates } - for a series starting on `startDate`. Returns
+// { rule } or { problem: { reason: 'invalid', message } }.
+function parseRecurrence(recurrence, startDate) {
+    const invalid = (message) => ({ problem: { reason: 'invalid', message } });
+    const frequency = String(recurrence.frequency || '').toUpperCase();
+    const interval = FREQUENCIES[frequency];
+    if (!interval) {
+        return invalid(`Recurrence frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}`);
+    }
+
+    const startDay = dayOf(startDate);
+    const byDay = [...new Set((recurrence.byDay || []).map(day => String(day).toLowerCase()))];
+    if (byDay.some(day => !DAY_CODES[day])) {
+        return invalid('Recurrence days must be weekday names (monday ... sunday)');
+    }
+    if (byDay.length > 0 && !byDay.includes(startDay)) {
+        return invalid(`Recurrence days must include ${startDay}, the day of the first occurrence`);
+    }
+
+    const until = recurrence.until || null;
+    const count = recurrence.count || null;
+    if (Boolean(until) === Boolean(count)) {
+        return invalid('A recurrence needs exactly one of until or count');
+    }
+    if (until && (!isValidDate(until) || until < startDate)) {
+        return invalid('Recurrence until must be a date (YYYY-MM-DD) on or after the first occurrence');
+    }
+    if (count && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+        return invalid(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+    }
+
+    const exceptionDates = [...new Set(recurrence.exceptionDates || [])].sort();
+    if (exceptionDates.some(date => !isValidDate(date))) {
+        return invalid('Exception dates must be dates (YYYY-MM-DD)');
+    }
+    if (exceptionDates.includes(startDate)) {
+        return invalid('The first occurrence cannot be an exception date');
+    }
+
+    const rule = {
+        interval,
+        byDay: WEEK_ORDER.filter(day => (byDay.length > 0 ? byDay : [startDay]).includes(day)),
+        until,
+        count,
+        exceptionDates
+    };
+    if (occurrenceDates(rule, startDate, { withExceptions: true }).length > MAX_OCCURRENCES) {
+        return invalid(`A recurrence may produce at most ${MAX_OCCURRENCES} occurrences`);
+    }
+    return { rule };
+}
+
+// Occurrence dates of `rule` starting on `startDate`, exception dates left out
+// unless `withExceptions` is set
+function occurrenceDates(rule, startDate, { withExceptions = false } = {}) {
+    const dates = [];
+    const weekStart = addDays(startDate, -WEEK_ORDER.indexOf(dayOf(startDate)));
+
+    for (let week = 0; ; week += rule.interval) {
+        for (const day of rule.byDay) {
+            const date = addDays(weekStart, week * 7 + WEEK_ORDER.indexOf(day));
+            if (date < startDate) continue;
+            if (rule.until && date > rule.until) return finish();
+            // Guards against rules that would never end
+            if (rule.count ? dates.length >= rule.count : dates.length > MAX_OCCURRENCES) return finish();
+            dates.push(date);
+        }
+    }
+
+    function finish() {
+        return withExceptions ? dates : dates.filter(date => !rule.exceptionDates.includes(date));
+    }
+}
+
+// RRULE text for storage and display; exception dates are kept separately
+function toRRule(rule) {
+    const parts = [
+        'FREQ=WEEKLY',
+        `INTERVAL=${rule.interval}`,
+        `BYDAY=${rule.byDay.map(day => DAY_CODES[day]).join(',')}`
+    ];
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    return parts.join(';');
+}
+
+// The rule stored by toRRule(), with `exceptionDates` from the series
+function fromRRule(rrule, exceptionDates = []) {
+    const fields = Object.fromEntries(rrule.split(';').map(part => part.split('=')));
+    const codes = Object.entries(DAY_CODES);
+    return {
+        interval: Number(fields.INTERVAL) || 1,
+        byDay: fields.BYDAY.split(',').map(code => codes.find(([, value]) => value === code)[0]),
+        until: fields.UNTIL ? `${fields.UNTIL.slice(0, 4)}-${fields.UNTIL.slice(4, 6)}-${fields.UNTIL.slice(6, 8)}` : null,
+        count: fields.COUNT ? Number(fields.COUNT) : null,
+        exceptionDates
+    };
+}
+
+// Client-facing form of a stored rule
+function describeRule(rule) {
+    return {
+        frequency: Object.keys(FREQUENCIES).find(name => FREQUENCIES[name] === rule.interval),
+        byDay: rule.byDay,
+        until: rule.until,
+        count: rule.count,
+        exceptionDates: rule.exceptionDates
+    };
+}
+
+module.exports = {
+    FREQUENCIES,
+    MAX_OCCURRENCES,
+    isValidDate,
+    parseRecurrence,
+    occurrenceDates,
+    toRRule,
+    fromRRule,
+    describeRule
+};
@@ -0,0 +1,181 @@
+const { EventEmitter } = require('events');
+
+// Change feed of registrations behind WatchRegistrations, written by both
+// servers.
+//
+// Every create, update and delete of a registration is stored as an event with
+// a snapshot of the registration (as it was before deletion for deletes).
+// Events are numbered in the order they were stored; that number is the resume
+// token, so a client that reconnects with the token of the last event it saw
+// is sent everything after it before new events.
+//
+// Watchers poll the table, which picks up changes made by the other server
+// process; a change made in this process wakes them right away.
+//
+// Some registrations are changed by the database itself: deleting a trainee
+// deletes their registrations, deleting a class session (or its workout)
+// detaches them. deleteCascading() reads those registrations in the same
+// transaction as the delete so the servers can audit and publish them too.
+
+const TYPES = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    DELETED: 'deleted'
+};
+
+const ACTION_TYPES = {
+    create: TYPES.CREATED,
+    update: TYPES.UPDATED,
+    delete: TYPES.DELETED
+};
+
+// Registrations each delete cascades to, and what happens to them (null: deleted)
+const CASCADES = {
+    trainee: { where: id => ({ userId: id }), changes: null },
+    workout: { where: id => ({ classSession: { workoutId: id } }), changes: { classSessionId: null } },
+    class_session: { where: id => ({ classSessionId: id }), changes: { classSessionId: null } }
+};
+
+const POLL_INTERVAL_MS = 1000;
+const BATCH_SIZE = 100;
+
+// The registration's own columns; included relations are left out
+function columns(record) {
+    if (!record) return null;
+    return Object.fromEntries(Object.entries(record).filter(([, value]) =>
+        value === null || typeof value !== 'object' || value instanceof Date));
+}
+
+// The sequence number in a resume token, or null when it is not one
+function parseResumeToken(token) {
+    return /^\d+$/.test(String(token)) ? Number(token) : null;
+}
+
+function createRegistrationFeed(prisma) {
+    const published = new EventEmitter();
+    published.setMaxListeners(0);
+
+    // Stores the change; `action` is the audit action (create, update or
+    // delete). Never throws, like the audit log: the change is already committed.
+    async function publish(action, before, after) {
+        const registration = columns(action === 'delete' ? before : after);
+        if (!registration || !ACTION_TYPES[action]) return;
+
+        try {
+            await prisma.registrationEvent.create({
+                data: {
+                    type: ACTION_TYPES[action],
+                    registrationId: registration.id,
+                    userId: registration.userId,
+                    eventId: registration.eventId,
+                    startTime: registration.startTime,
+                    registration: JSON.stringify(registration)
+                }
+            });
+            published.emit('event');
+        } catch (error) {
+            console.error('Registration feed error:', error);
+        }
+    }
+
+    // Runs `remove(tx)`, the delete of `entity` (a CASCADES key) `id`, and
+    // returns { deleted, cascaded } where deleted is what remove() returned and
+    // cascaded lists { action, before, after } for every registration the
+    // delete removed or changed, ready for the audit log (which publishes them).
+    async function deleteCascading(entity, id, remove) {
+        const cascade = CASCADES[entity];
+        return prisma.$transaction(async (tx) => {
+            const registrations = await tx.registration.findMany({ where: cascade.where(id) });
+            const deleted = await remove(tx);
+            const cascaded = registrations.map(registration => cascade.changes
+                ? { action: 'update', before: registration, after: { ...registration, ...cascade.changes } }
+                : { action: 'delete', before: registration, after: null });
+            return { deleted, cascaded };
+        });
+    }
+
+    // Sequence number of the newest event, 0 when there is none
+    async function latestSequence() {
+        const latest = await prisma.registrationEvent.findFirst({ orderBy: { sequence: 'desc' } });
+        return latest ? latest.sequence : 0;
+    }
+
+    // Calls onEvent({ type, registration, resumeToken, occurredAt }) for every
+    // matching event after `resumeToken` (from now on when it is unset), in
+    // order, until the returned stop() is called. Filters are optional:
+    // traineeId, eventId and from/to bounding the registration's start time
+    // (from inclusive). onError receives a failed poll; watching stops then.
+    async function watch({ traineeId, eventId, from, to, resumeToken }, onEvent, onError) {
+        const where = {};
+        if (traineeId) where.userId = traineeId;
+        if (eventId) where.eventId = eventId;
+        if (from || to) {
+            where.startTime = {};
+            if (from) where.startTime.gte = from;
+            if (to) where.startTime.lt = to;
+        }
+
+        let cursor = resumeToken ? parseResumeToken(resumeToken) : await latestSequence();
+        let stopped = false;
+        let polling = false;
+        let pollAgain = false;
+        let timer = null;
+
+        async function poll() {
+            if (stopped) return;
+            if (polling) {
+                pollAgain = true;
+                return;
+            }
+            polling = true;
+            clearTimeout(timer);
+
+            try {
+                let batch;
+                do {
+                    batch = await prisma.registrationEvent.findMany({
+                        where: { ...where, sequence: { gt: cursor } },
+                        orderBy: { sequence: 'asc' },
+                        take: BATCH_SIZE
+                    });
+                    for (const event of batch) {
+                        if (stopped) return;
+                        cursor = event.sequence;
+                        onEvent({
+                            type: event.type,
+                            registration: JSON.parse(event.registration),
+                            resumeToken: String(event.sequence),
+                            occurredAt: event.createdAt
+                        });
+                    }
+                } while (batch.length === BATCH_SIZE);
+            } catch (error) {
+                stop();
+                onError(error);
+                return;
+            } finally {
+                polling = false;
+            }
+
+            if (pollAgain) {
+                pollAgain = false;
+                return poll();
+            }
+            timer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+
+        function stop() {
+            stopped = true;
+            clearTimeout(timer);
+            published.off('event', poll);
+        }
+
+        published.on('event', poll);
+        await poll();
+        return stop;
+    }
+
+    return { publish, watch, deleteCascading };
+}
+
+module.exports = { createRegistrationFeed, parseResumeToken, TYPES };
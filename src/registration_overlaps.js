@@ -0,0 +1,37 @@
+const { RELEASED_STATUSES } = require('./registration_status');
+
+// Double-booking detection shared by the gRPC and REST servers: a trainee may
+// not hold two registrations whose time ranges overlap. Ranges are half-open,
+// so back-to-back bookings are fine; a registration without an end time counts
+// as an instant at its start. Cancelled registrations are ignored. Admins can
+// skip the check with `allow_overlap` (REST: `allowOverlap`).
+
+// Ids of the trainee's registrations overlapping [startTime, endTime), oldest
+// start first. `client` is the Prisma client or a transaction client, so the
+// check can run in the same transaction as the write it guards.
+async function findOverlaps(client, { userId, startTime, endTime, excludeId }) {
+    const end = endTime && endTime > startTime ? endTime : new Date(startTime.getTime() + 1);
+
+    const overlapping = await client.registration.findMany({
+        where: {
+            userId,
+            id: excludeId ? { not: excludeId } : undefined,
+            status: { notIn: RELEASED_STATUSES },
+            startTime: { lt: end },
+            OR: [
+                { endTime: { gt: startTime } },
+                { endTime: null, startTime: { gte: startTime } }
+            ]
+        },
+        select: { id: true },
+        orderBy: { startTime: 'asc' }
+    });
+
+    return overlapping.map(registration => registration.id);
+}
+
+function overlapMessage(conflictingIds) {
+    return `Trainee already has overlapping registrations: ${conflictingIds.join(', ')}`;
+}
+
+module.exports = { findOverlaps, overlapMessage };
@@ -0,0 +1,259 @@
+const { zoneOrUtc, wallClock, zonedTimeToUtc } = require('./timezones');
+const { parseRecurrence, occurrenceDates, toRRule, fromRRule, describeRule, isValidDate } = require('./recurrence');
+const { STATUSES, checkStatusChange, normalizeStatus, recordStatusChange } = require('./registration_status');
+const { rejects } = require('./availability');
+
+// Recurring registrations, shared by the gRPC and REST servers.
+//
+// A series is created together with its first registration and books every
+// occurrence of its rule up front. Occurrences are class sessions, so each
+// occurrence date is matched to a session of the same workout starting at the
+// same local time (in the trainee's timezone, the room of the first session
+// preferred); dates without one are reported back as unmatched. All
+// occurrences are booked in one transaction: one double-booking fails the
+// whole series.
+//
+// Changes can target one occurrence, it and the following ones, or all of
+// them (SCOPES). Adding exception dates later cancels the occurrences on them.
+
+const SCOPES = {
+    THIS: 'this',
+    THIS_AND_FOLLOWING: 'this_and_following',
+    ALL: 'all'
+};
+
+const PROTO_SCOPE_PREFIX = 'RECURRENCE_SCOPE_';
+
+// Scope name for a gRPC RecurrenceScope value; unset means this occurrence only
+function fromProtoScope(value) {
+    if (!value || value === `${PROTO_SCOPE_PREFIX}UNSPECIFIED`) return SCOPES.THIS;
+    return String(value).replace(PROTO_SCOPE_PREFIX, '').toLowerCase();
+}
+
+function isValidScope(scope) {
+    return Object.values(SCOPES).includes(scope);
+}
+
+// The series' rule in client-facing form
+function describeSeries(series) {
+    return describeRule(fromRRule(series.rrule, JSON.parse(series.exceptionDates)));
+}
+
+function createRegistrationSeries({ prisma, classSessions, availabilityCheck }) {
+    // Occurrence dates of the recurrence starting at the class session, each
+    // with its matching class session. Returns { ok: true, rule, timezone,
+    // occurrences: [{ date, session }], unmatchedDates } or { ok: false,
+    // reason, message } with reason 'invalid' or 'not_found'.
+    async function plan(classSessionId, userId, recurrence) {
+        const [first, trainee] = await Promise.all([
+            prisma.classSession.findUnique({ where: { id: classSessionId } }),
+            prisma.trainee.findUnique({ where: { id: userId }, select: { timezone: true } })
+        ]);
+        if (!first) return { ok: false, reason: 'not_found', message: 'Class session not found' };
+
+        const timezone = zoneOrUtc(trainee && trainee.timezone);
+        const { date: startDate, time } = wallClock(first.startTime, timezone);
+
+        const { rule, problem } = parseRecurrence(recurrence, startDate);
+        if (problem) return { ok: false, ...problem };
+
+        const occurrences = [];
+        const unmatchedDates = [];
+        for (const date of occurrenceDates(rule, startDate)) {
+            if (date === startDate) {
+                occurrences.push({ date, session: first });
+                continue;
+            }
+
+            const candidates = await prisma.classSession.findMany({
+                where: { workoutId: first.workoutId, startTime: zonedTimeToUtc(date, time, timezone) },
+                orderBy: { createdAt: 'asc' }
+            });
+            const session = candidates.find(candidate => candidate.room === first.room) || candidates[0];
+            if (session) {
+                occurrences.push({ date, session });
+            } else {
+                unmatchedDates.push(date);
+            }
+        }
+
+        return { ok: true, rule, timezone, occurrences, unmatchedDates };
+    }
+
+    // Creates the series and books every occurrence for `data` (eventId,
+    // userId, inviteeEmail, status). Returns { ok: true, series, registrations,
+    // unmatchedDates, availability } where availability is the routine check of
+    // the first occurrence, or { ok: false, reason, ... } with reason
+    // 'invalid' / 'not_found' (message), 'unavailable' (availability of the
+    // rejected occurrence) or 'overlap' (conflictingIds).
+    async function create({ classSessionId, data, recurrence, include, allowOverlap = false }) {
+        const planned = await plan(classSessionId, data.userId, recurrence);
+        if (!planned.ok) return planned;
+
+        let availability = null;
+        for (const { session } of planned.occurrences) {
+            const times = await classSessions.bookingTimes(session.id);
+            const check = await availabilityCheck.check(data.userId, times.startTime, times.endTime);
+            if (rejects(check)) return { ok: false, reason: 'unavailable', availability: check };
+            if (session.id === classSessionId) availability = check;
+        }
+
+        try {
+            const { series, registrations } = await prisma.$transaction(async (tx) => {
+                const series = await tx.registrationSeries.create({
+                    data: {
+                        userId: data.userId,
+                        rrule: toRRule(planned.rule),
+                        timezone: planned.timezone,
+                        exceptionDates: JSON.stringify(planned.rule.exceptionDates)
+                    }
+                });
+
+                const registrations = [];
+                for (const { date, session } of planned.occurrences) {
+                    const booking = await classSessions.bookWithin(tx, session.id, {
+                        ...data,
+                        seriesId: series.id,
+                        occurrenceDate: date
+                    }, include, { allowOverlap });
+
+                    // Thrown to roll back the occurrences booked so far
+                    if (!booking.ok) throw { failedBooking: booking };
+                    registrations.push(booking.registration);
+                }
+                return { series, registrations };
+            });
+
+            return { ok: true, series, registrations, unmatchedDates: planned.unmatchedDates, availability };
+        } catch (error) {
+            if (error.failedBooking) return error.failedBooking;
+            throw error;
+        }
+    }
+
+    // The series with its occurrences in date order, or null
+    async function get(seriesId, include) {
+        return prisma.registrationSeries.findUnique({
+            where: { id: seriesId },
+            include: { registrations: { include, orderBy: { startTime: 'asc' } } }
+        });
+    }
+
+    // The registrations a change with `scope` applies to, in date order
+    async function inScope(registration, scope) {
+        if (!registration.seriesId || scope === SCOPES.THIS) return [registration];
+
+        return prisma.registration.findMany({
+            where: {
+                seriesId: registration.seriesId,
+                ...(scope === SCOPES.THIS_AND_FOLLOWING ? { startTime: { gte: registration.startTime } } : {})
+            },
+            orderBy: { startTime: 'asc' }
+        });
+    }
+
+    // Applies { status, inviteeEmail } to the occurrences in scope. The status
+    // must be allowed for `registration` itself; other occurrences that cannot
+    // take it (e.g. already completed) keep theirs. Returns { ok: true,
+    // changes: [{ before, after }], promoted } or { ok: false, reason, message }
+    // like checkStatusChange().
+    async function updateOccurrences(registration, scope, { status, inviteeEmail }, include) {
+        if (status !== undefined) {
+            const problem = checkStatusChange(registration.status, status);
+            if (problem) return { ok: false, ...problem };
+        }
+
+        const targets = await inScope(registration, scope);
+        const changes = [];
+        const { promoted } = await classSessions.changeBookings(async (tx) => {
+            const updated = [];
+            for (const target of targets) {
+                const data = {};
+                if (inviteeEmail !== undefined) data.inviteeEmail = inviteeEmail;
+                if (status !== undefined && !checkStatusChange(target.status, status)) {
+                    data.status = normalizeStatus(status);
+                    if (data.status !== normalizeStatus(target.status)) {
+                        data.statusChanges = recordStatusChange(target.status, data.status);
+                    }
+                }
+                if (Object.keys(data).length === 0) continue;
+
+                const after = await tx.registration.update({ where: { id: target.id }, data, include });
+                changes.push({ before: target, after });
+                updated.push(after);
+            }
+            return updated;
+        });
+
+        return { ok: true, changes, promoted };
+    }
+
+    // Deletes the occurrences in scope; returns { deleted, promoted }
+    async function deleteOccurrences(registration, scope) {
+        const targets = await inScope(registration, scope);
+        const { registrations: deleted, promoted } = await classSessions.changeBookings(async (tx) => {
+            const removed = [];
+            for (const target of targets) {
+                removed.push(await tx.registration.delete({ where: { id: target.id } }));
+            }
+            return removed;
+        });
+        return { deleted, promoted };
+    }
+
+    // Adds exception dates (e.g. holidays) to the series and cancels its
+    // occurrences on them. Returns { ok: true, series, changes: [{ before,
+    // after }], promoted }, or { ok: false, reason, message } with reason
+    // 'invalid' or 'not_found'.
+    async function addExceptions(seriesId, dates) {
+        if (!Array.isArray(dates) || dates.length === 0 || dates.some(date => !isValidDate(date))) {
+            return { ok: false, reason: 'invalid', message: 'dates must be a non-empty list of dates (YYYY-MM-DD)' };
+        }
+
+        const current = await prisma.registrationSeries.findUnique({ where: { id: seriesId } });
+        if (!current) return { ok: false, reason: 'not_found', message: 'Registration series not found' };
+
+        const exceptionDates = [...new Set([...JSON.parse(current.exceptionDates), ...dates])].sort();
+        const changes = [];
+        let series;
+        const { promoted } = await classSessions.changeBookings(async (tx) => {
+            series = await tx.registrationSeries.update({
+                where: { id: seriesId },
+                data: { exceptionDates: JSON.stringify(exceptionDates) }
+            });
+
+            const onExceptionDates = await tx.registration.findMany({
+                where: { seriesId, occurrenceDate: { in: dates } }
+            });
+
+            const cancelled = [];
+            for (const registration of onExceptionDates) {
+                if (checkStatusChange(registration.status, STATUSES.CANCELLED)) continue;
+                if (normalizeStatus(registration.status) === STATUSES.CANCELLED) continue;
+
+                const after = await tx.registration.update({
+                    where: { id: registration.id },
+                    data: {
+                        status: STATUSES.CANCELLED,
+                        statusChanges: recordStatusChange(registration.status, STATUSES.CANCELLED)
+                    }
+                });
+                changes.push({ before: registration, after });
+                cancelled.push(after);
+            }
+            return cancelled;
+        });
+
+        return { ok: true, series, changes, promoted };
+    }
+
+    return { create, get, inScope, updateOccurrences, deleteOccurrences, addExceptions };
+}
+
+module.exports = {
+    createRegistrationSeries,
+    describeSeries,
+    fromProtoScope,
+    isValidScope,
+    SCOPES
+};
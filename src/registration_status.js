@@ -0,0 +1,137 @@
+// Registration status lifecycle shared by the gRPC and REST servers. The
+// database and REST use the lowercase names below; gRPC exposes them as the
+// RegistrationStatus enum (REGISTRATION_STATUS_<NAME>) in registration_status,
+// and as the lowercase name in the deprecated string `status` fields.
+//
+//   waitlisted -> cancelled                (waitlisted -> scheduled only by promotion)
+//   scheduled  -> confirmed, checked_in, cancelled, no_show
+//   confirmed  -> checked_in, cancelled, no_show
+//   checked_in -> completed
+//   completed, cancelled, no_show are final
+//
+// checked_in, completed and no_show record attendance and are set by staff
+// only; trainees can confirm or cancel their own registrations.
+//
+// Every change, including the initial status, is kept in the registration's
+// status history.
+
+const STATUSES = {
+    SCHEDULED: 'scheduled',
+    CONFIRMED: 'confirmed',
+    CHECKED_IN: 'checked_in',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show',
+    WAITLISTED: 'waitlisted'
+};
+
+const TRANSITIONS = {
+    [STATUSES.WAITLISTED]: [STATUSES.CANCELLED],
+    [STATUSES.SCHEDULED]: [STATUSES.CONFIRMED, STATUSES.CHECKED_IN, STATUSES.CANCELLED, STATUSES.NO_SHOW],
+    [STATUSES.CONFIRMED]: [STATUSES.CHECKED_IN, STATUSES.CANCELLED, STATUSES.NO_SHOW],
+    [STATUSES.CHECKED_IN]: [STATUSES.COMPLETED],
+    [STATUSES.COMPLETED]: [],
+    [STATUSES.CANCELLED]: [],
+    [STATUSES.NO_SHOW]: []
+};
+
+// Statuses only trainers and admins may set
+const STAFF_ONLY_STATUSES = [STATUSES.CHECKED_IN, STATUSES.COMPLETED, STATUSES.NO_SHOW];
+
+// No longer hold a seat or block the trainee's time ('canceled' from older rows)
+const RELEASED_STATUSES = [STATUSES.CANCELLED, 'canceled'];
+
+// A booking starts out as one of these; `waitlisted` is assigned, not requested
+const INITIAL_STATUSES = [STATUSES.SCHEDULED, STATUSES.CONFIRMED];
+
+// Older clients and rows use the American spelling
+const ALIASES = { canceled: STATUSES.CANCELLED };
+
+const PROTO_PREFIX = 'REGISTRATION_STATUS_';
+const PROTO_UNSPECIFIED = `${PROTO_PREFIX}UNSPECIFIED`;
+
+// Canonical name, or null for anything that is not a known status
+function normalizeStatus(status) {
+    if (typeof status !== 'string') return null;
+    const name = status.trim().toLowerCase();
+    const canonical = ALIASES[name] || name;
+    return canonical in TRANSITIONS ? canonical : null;
+}
+
+function canTransition(from, to) {
+    const allowed = TRANSITIONS[normalizeStatus(from)];
+    return Boolean(allowed) && allowed.includes(normalizeStatus(to));
+}
+
+// Returns null when `requested` may be set on a registration currently in
+// `current` (null when creating), or { reason, message } where reason is
+// 'invalid' (unknown status) or 'illegal' (not allowed from the current one)
+function checkStatusChange(current, requested) {
+    const to = normalizeStatus(requested);
+    if (!to) {
+        return {
+            reason: 'invalid',
+            message: `Unknown registration status "${requested}"; expected one of ${Object.values(STATUSES).join(', ')}`
+        };
+    }
+
+    if (current === null) {
+        return INITIAL_STATUSES.includes(to) ? null : {
+            reason: 'illegal',
+            message: `A registration cannot be created as ${to}; use ${INITIAL_STATUSES.join(' or ')}`
+        };
+    }
+
+    const from = normalizeStatus(current) || current;
+    if (from === to || canTransition(from, to)) return null;
+
+    return {
+        reason: 'illegal',
+        message: `Cannot change registration status from ${from} to ${to}`
+    };
+}
+
+// Returns null when the caller may set `requested`, or { reason: 'forbidden',
+// message } when it is a staff-only status and `staff` is false
+function checkStatusRole(requested, staff) {
+    const to = normalizeStatus(requested);
+    if (staff || !STAFF_ONLY_STATUSES.includes(to)) return null;
+    return {
+        reason: 'forbidden',
+        message: `Only trainers and admins can set a registration to ${to}`
+    };
+}
+
+// Nested write for Registration.statusChanges, so the history row is created
+// in the same statement as the registration itself
+function recordStatusChange(from, to) {
+    return { create: { fromStatus: from || null, toStatus: to } };
+}
+
+// gRPC enum name for a stored status
+function toProtoStatus(status) {
+    const name = normalizeStatus(status);
+    return name ? PROTO_PREFIX + name.toUpperCase() : PROTO_UNSPECIFIED;
+}
+
+// Status name for a gRPC enum value, or null when unset/unspecified. Unknown
+// values are passed through for checkStatusChange() to reject.
+function fromProtoStatus(value) {
+    if (!value || value === PROTO_UNSPECIFIED) return null;
+    return String(value).replace(PROTO_PREFIX, '').toLowerCase();
+}
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    RELEASED_STATUSES,
+    INITIAL_STATUSES,
+    STAFF_ONLY_STATUSES,
+    normalizeStatus,
+    canTransition,
+    checkStatusChange,
+    checkStatusRole,
+    recordStatusChange,
+    toProtoStatus,
+    fromProtoStatus
+};
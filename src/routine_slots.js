@@ -0,0 +1,170 @@
+const { DAYS, toMinutes } = require('./timezones');
+
+// Validation of a routine's weekly availability, shared by the gRPC and REST
+// servers.
+//
+// Each slot needs a day (monday ... sunday), and a start and end time as
+// "HH:MM" with start before end; "24:00" may end a slot at midnight. Slots of
+// the same day must not overlap. Slots that touch (09:00-10:00 and
+// 10:00-11:00) are merged, and the routine is stored in week order, Monday
+// first, with the gRPC field names.
+//
+// Every problem is reported as a field violation whose `field` points at the
+// offending slot in the request, e.g. `availability[2].start_time` (REST:
+// `availability[2].startTime`).
+
+// Field names of a slot as sent over each protocol
+const FIELD_NAMES = {
+    grpc: { start: 'start_time', end: 'end_time' },
+    rest: { start: 'startTime', end: 'endTime' }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MIDNIGHT = '24:00';
+
+// Monday first, the order slots are stored in
+const WEEK_ORDER = [...DAYS.slice(1), DAYS[0]];
+
+// Routines that already logged a warning about unreadable availability
+const unreadableRoutineWarnings = new Set();
+
+// Slots are stored as sent: start_time/end_time over gRPC, startTime/endTime over REST
+function normalizeSlot(slot) {
+    return {
+        day: String(slot.day || '').toLowerCase(),
+        start_time: slot.start_time || slot.startTime,
+        end_time: slot.end_time || slot.endTime
+    };
+}
+
+function describeSlot(slot) {
+    return `${slot.day} ${slot.start_time}-${slot.end_time}`;
+}
+
+// Violations of a single slot; `at` is its field path, e.g. "availability[2]"
+function slotViolations(slot, at, names) {
+    if (!slot || typeof slot !== 'object' || Array.isArray(slot)) {
+        return [{ field: at, description: 'Slot must be an object with day, start and end time' }];
+    }
+
+    const violations = [];
+    const day = slot.day;
+    if (typeof day !== 'string' || !DAYS.includes(day.toLowerCase())) {
+        violations.push({ field: `${at}.day`, description: `Day must be one of ${WEEK_ORDER.join(', ')}` });
+    }
+
+    const start = slot[names.start];
+    const end = slot[names.end];
+    const startValid = typeof start === 'string' && TIME_PATTERN.test(start);
+    const endValid = typeof end === 'string' && (TIME_PATTERN.test(end) || end === MIDNIGHT);
+    if (!startValid) {
+        violations.push({ field: `${at}.${names.start}`, description: 'Start time must be HH:MM (00:00-23:59)' });
+    }
+    if (!endValid) {
+        violations.push({ field: `${at}.${names.end}`, description: 'End time must be HH:MM (00:01-24:00)' });
+    }
+    if (startValid && endValid && toMinutes(start) >= toMinutes(end)) {
+        violations.push({ field: `${at}.${names.end}`, description: `End time ${end} must be after start time ${start}` });
+    }
+    return violations;
+}
+
+// Validates availability as sent by a client over `protocol` ('grpc' or
+// 'rest'). Returns { slots } - normalized, merged and in week order - or
+// { problem: { reason: 'invalid', message, violations: [{ field, description }] } }.
+function validateAvailability(availability, protocol = 'grpc') {
+    const names = FIELD_NAMES[protocol];
+    const invalid = (violations) => ({
+        problem: {
+            reason: 'invalid',
+            message: `Invalid availability: ${violations.map(v => `${v.field}: ${v.description}`).join('; ')}`,
+            violations
+        }
+    });
+
+    if (!Array.isArray(availability) || availability.length === 0) {
+        return invalid([{ field: 'availability', description: 'At least one slot is required' }]);
+    }
+
+    const violations = availability.flatMap((slot, index) => slotViolations(slot, `availability[${index}]`, names));
+    if (violations.length > 0) return invalid(violations);
+
+    const slots = availability.map((slot, index) => ({
+        index,
+        day: slot.day.toLowerCase(),
+        start_time: slot[names.start],
+        end_time: slot[names.end]
+    })).sort((a, b) =>
+        WEEK_ORDER.indexOf(a.day) - WEEK_ORDER.indexOf(b.day) ||
+        toMinutes(a.start_time) - toMinutes(b.start_time) ||
+        a.index - b.index);
+
+    // Sorted by start, a slot overlaps the one before it when it starts before
+    // that one ends; it is reported at whichever of the two came later in the
+    // request. `last` is the requested slot a merged slot currently ends with.
+    const merged = [];
+    for (const slot of slots) {
+        const previous = merged[merged.length - 1];
+        if (!previous || previous.day !== slot.day || toMinutes(slot.start_time) > toMinutes(previous.end_time)) {
+            merged.push({ day: slot.day, start_time: slot.start_time, end_time: slot.end_time, last: slot });
+            continue;
+        }
+
+        if (toMinutes(slot.start_time) < toMinutes(previous.end_time)) {
+            const [earlier, later] = previous.last.index < slot.index ? [previous.last, slot] : [slot, previous.last];
+            violations.push({
+                field: `availability[${later.index}]`,
+                description: `Slot ${describeSlot(later)} overlaps availability[${earlier.index}] (${describeSlot(earlier)})`
+            });
+            continue;
+        }
+
+        // Adjacent: extend the previous slot
+        previous.end_time = slot.end_time;
+        previous.last = slot;
+    }
+    if (violations.length > 0) return invalid(violations);
+
+    return {
+        slots: merged.map(({ day, start_time, end_time }) => ({ day, start_time, end_time }))
+    };
+}
+
+// A stored routine's slots with the gRPC field names, or null when the row
+// cannot be read: malformed JSON, or slots saved before validation that would
+// not pass it now. Such routines are logged once so callers can skip them.
+function routineSlots(routine) {
+    let stored;
+    try {
+        stored = JSON.parse(routine.availability);
+    } catch (error) {
+        stored = null;
+    }
+
+    const slots = Array.isArray(stored)
+        ? stored.map(slot => (slot && typeof slot === 'object' ? normalizeSlot(slot) : slot))
+        : null;
+    if (slots && slots.every(slot => slotViolations(slot, 'availability', FIELD_NAMES.grpc).length === 0)) {
+        return slots;
+    }
+
+    if (!unreadableRoutineWarnings.has(routine.id)) {
+        unreadableRoutineWarnings.add(routine.id);
+        console.warn(`Routine ${routine.id} has unreadable availability; skipped`);
+    }
+    return null;
+}
+
+// Stored slots in the field names of the REST API. Routines saved before
+// validation may hold either naming.
+function toRestSlots(slots) {
+    return slots.map(normalizeSlot).map(slot => ({ day: slot.day, startTime: slot.start_time, endTime: slot.end_time }));
+}
+
+module.exports = {
+    validateAvailability,
+    normalizeSlot,
+    routineSlots,
+    toRestSlots,
+    FIELD_NAMES
+};
@@ -0,0 +1,317 @@
+const { zoneOrUtc, wallClock, zonedTimeToUtc, datesBetween } = require('./timezones');
+const { routineSlots } = require('./routine_slots');
+const { RELEASED_STATUSES } = require('./registration_status');
+const { sessionEndTime, bookedSeats, CLASS_SESSION_INCLUDE } = require('./class_sessions');
+
+// Scheduling suggestions built from routines, shared by the gRPC and REST
+// servers.
+//
+// recommendSlots() turns a trainee's weekly availability into concrete free
+// windows for a date range (in the trainee's timezone, DST included), removes
+// the time taken by their registrations, and proposes each class session
+// starting in the range that still has a seat and fits inside a window.
+// Suggestions are ranked by fit score (workout duration / window length, 1 =
+// fills the window exactly), then by the least slack left around them, the
+// longest workout and the earliest start.
+//
+// findCommonAvailability() does the same for a group: each trainee's free
+// windows (in their own timezone) are merged on one timeline and the result is
+// the windows of at least `minDuration` minutes, ranked by how many of the
+// trainees are free for all of it. Trainees without a routine are never free.
+
+const MAX_RANGE_DAYS = 31;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MINUTE_MS = 60 * 1000;
+const MAX_GROUP_SIZE = 20;
+
+function isValidDate(value) {
+    return value instanceof Date && !isNaN(value.getTime());
+}
+
+// null, or { reason: 'invalid', message } for a missing or unusable date range
+function checkRange(from, to) {
+    if (!isValidDate(from) || !isValidDate(to)) {
+        return { reason: 'invalid', message: 'from and to are required' };
+    }
+    if (from >= to) {
+        return { reason: 'invalid', message: 'from must be before to' };
+    }
+    if (to - from > MAX_RANGE_DAYS * 24 * 60 * MINUTE_MS) {
+        return { reason: 'invalid', message: `The date range may span at most ${MAX_RANGE_DAYS} days` };
+    }
+    return null;
+}
+
+function clampLimit(limit) {
+    if (!limit || limit < 1) return DEFAULT_LIMIT;
+    return Math.min(limit, MAX_LIMIT);
+}
+
+// The routine's slots as instants within [from, to], each tagged with the slot
+// it came from
+function availabilityWindows(slots, timeZone, from, to) {
+    const windows = [];
+    for (const { date, day } of datesBetween(wallClock(from, timeZone).date, wallClock(to, timeZone).date)) {
+        for (const slot of slots) {
+            if (slot.day !== day) continue;
+
+            const start = Math.max(zonedTimeToUtc(date, slot.start_time, timeZone).getTime(), from.getTime());
+            const end = Math.min(zonedTimeToUtc(date, slot.end_time, timeZone).getTime(), to.getTime());
+            if (start < end) windows.push({ start, end, slot });
+        }
+    }
+    return windows;
+}
+
+// Cuts the busy intervals out of the windows
+function subtract(windows, busy) {
+    let free = windows;
+    for (const taken of busy) {
+        free = free.flatMap(window => {
+            if (taken.end < window.start || taken.start > window.end) return [window];
+            if (taken.end === window.start || taken.start === window.end) return [window];
+
+            const pieces = [];
+            if (taken.start > window.start) pieces.push({ ...window, end: taken.start });
+            if (taken.end < window.end) pieces.push({ ...window, start: taken.end });
+            return pieces;
+        });
+    }
+    return free;
+}
+
+// The time a registration takes. Without an end time it lasts as long as its
+// class session's workout, the way bookings are timed; one no longer linked to
+// a session counts as an instant at its start.
+function busyInterval(registration) {
+    const start = registration.startTime.getTime();
+    let end = start;
+    if (registration.endTime) {
+        end = registration.endTime.getTime();
+    } else if (registration.classSession) {
+        end = start + registration.classSession.workout.duration * MINUTE_MS;
+    }
+    return { start, end: Math.max(end, start) };
+}
+
+// A trainee's free windows in [from, to): routine slots minus active registrations
+async function freeWindowsFor(prisma, trainee, from, to) {
+    // A registration without an end time that started up to one workout
+    // before `from` may still be running
+    const longest = await prisma.workout.aggregate({ _max: { duration: true } });
+    const earliest = new Date(from.getTime() - (longest._max.duration || 0) * MINUTE_MS);
+
+    const [routines, registrations] = await Promise.all([
+        prisma.routine.findMany({ where: { userId: trainee.id } }),
+        prisma.registration.findMany({
+            where: {
+                userId: trainee.id,
+                status: { notIn: RELEASED_STATUSES },
+                startTime: { lt: to },
+                OR: [{ endTime: { gt: from } }, { endTime: null, startTime: { gte: earliest } }]
+            },
+            select: {
+                startTime: true,
+                endTime: true,
+                classSession: { select: { workout: { select: { duration: true } } } }
+            }
+        })
+    ]);
+
+    const readable = routines.map(routineSlots).filter(Boolean);
+    const windows = availabilityWindows(readable.flat(), zoneOrUtc(trainee.timezone), from, to);
+    return {
+        hasRoutine: readable.length > 0,
+        windows: subtract(windows, registrations.map(busyInterval))
+    };
+}
+
+// Splits the timeline at every window edge into segments, each with the ids
+// of the trainees free for all of it
+function segmentTimeline(freeByTrainee) {
+    const edges = [...new Set(freeByTrainee.flatMap(({ windows }) =>
+        windows.flatMap(window => [window.start, window.end])))].sort((a, b) => a - b);
+
+    const segments = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+        const start = edges[i];
+        const end = edges[i + 1];
+        const free = freeByTrainee
+            .filter(({ windows }) => windows.some(window => window.start <= start && end <= window.end))
+            .map(({ traineeId }) => traineeId);
+        if (free.length > 0) segments.push({ start, end, free });
+    }
+    return segments;
+}
+
+// For every group of trainees free together somewhere, the longest runs of
+// consecutive segments they are all free for. Each run lists everyone free for
+// the whole of it, so a run found for a smaller group that the larger group
+// shares is only reported once.
+function commonWindows(segments) {
+    const windows = new Map();
+    const groups = new Map(segments.map(segment => [segment.free.join(','), segment.free]));
+
+    for (const group of groups.values()) {
+        let run = null;
+        const close = () => {
+            if (!run) return;
+            const key = `${run.start}-${run.end}`;
+            if (!windows.has(key) || windows.get(key).free.length < run.free.length) windows.set(key, run);
+            run = null;
+        };
+
+        for (const segment of segments) {
+            const contiguous = run && run.end === segment.start;
+            if (!group.every(id => segment.free.includes(id))) {
+                close();
+                continue;
+            }
+            if (!contiguous) {
+                close();
+                run = { start: segment.start, end: segment.end, free: segment.free };
+            } else {
+                run = {
+                    start: run.start,
+                    end: segment.end,
+                    free: run.free.filter(id => segment.free.includes(id))
+                };
+            }
+        }
+        close();
+    }
+    return [...windows.values()];
+}
+
+function rankSuggestions(a, b) {
+    return b.fitScore - a.fitScore ||
+        (a.slackBeforeMinutes + a.slackAfterMinutes) - (b.slackBeforeMinutes + b.slackAfterMinutes) ||
+        b.workout.duration - a.workout.duration ||
+        a.startTime - b.startTime;
+}
+
+function createScheduling(prisma) {
+    // Returns { ok: true, timezone, slots } where each slot is
+    // { workout, classSession, startTime, endTime, availabilitySlot,
+    // slackBeforeMinutes, slackAfterMinutes, fitScore }, or { ok: false,
+    // reason, message } with reason 'invalid' or 'not_found'. Sessions
+    // starting before `now` are skipped.
+    async function recommendSlots({ traineeId, from, to, workoutId, limit }, now = new Date()) {
+        const problem = checkRange(from, to);
+        if (problem) return { ok: false, ...problem };
+
+        const trainee = await prisma.trainee.findUnique({
+            where: { id: traineeId },
+            select: { id: true, timezone: true }
+        });
+        if (!trainee) return { ok: false, reason: 'not_found', message: 'Trainee not found' };
+
+        if (workoutId && !(await prisma.workout.findUnique({ where: { id: workoutId } }))) {
+            return { ok: false, reason: 'not_found', message: 'Workout not found' };
+        }
+
+        const timezone = zoneOrUtc(trainee.timezone);
+        const start = from > now ? from : now;
+        if (start >= to) return { ok: true, timezone, slots: [] };
+
+        const sessions = (await prisma.classSession.findMany({
+            where: {
+                startTime: { gte: start, lt: to },
+                ...(workoutId ? { workoutId } : {})
+            },
+            include: CLASS_SESSION_INCLUDE
+        })).filter(session => session.workout.duration > 0 && bookedSeats(session) < session.capacity);
+        if (sessions.length === 0) return { ok: true, timezone, slots: [] };
+
+        // A session starting just before `to` may end after it
+        const until = new Date(Math.max(to.getTime(), ...sessions.map(session => sessionEndTime(session).getTime())));
+        const { windows: freeWindows } = await freeWindowsFor(prisma, trainee, start, until);
+
+        const suggestions = [];
+        for (const session of sessions) {
+            const sessionStart = session.startTime.getTime();
+            const sessionEnd = sessionEndTime(session).getTime();
+            const window = freeWindows.find(free => free.start <= sessionStart && sessionEnd <= free.end);
+            if (!window) continue;
+
+            const windowMinutes = (window.end - window.start) / MINUTE_MS;
+            suggestions.push({
+                workout: session.workout,
+                classSession: session,
+                startTime: session.startTime,
+                endTime: new Date(sessionEnd),
+                availabilitySlot: window.slot,
+                slackBeforeMinutes: Math.round((sessionStart - window.start) / MINUTE_MS),
+                slackAfterMinutes: Math.round((window.end - sessionEnd) / MINUTE_MS),
+                fitScore: Math.round((session.workout.duration / windowMinutes) * 1000) / 1000
+            });
+        }
+
+        return { ok: true, timezone, slots: suggestions.sort(rankSuggestions).slice(0, clampLimit(limit)) };
+    }
+
+    // Returns { ok: true, windows, withoutRoutine } where each window is
+    // { startTime, endTime, durationMinutes, availableTraineeIds,
+    // unavailableTraineeIds }, most trainees first, then longest, then
+    // earliest; withoutRoutine lists the trainees that have no routine.
+    // Otherwise { ok: false, reason, message } like recommendSlots().
+    async function findCommonAvailability({ traineeIds, from, to, minDuration, limit }, now = new Date()) {
+        const ids = [...new Set((traineeIds || []).filter(Boolean))];
+        if (ids.length === 0) {
+            return { ok: false, reason: 'invalid', message: 'At least one trainee id is required' };
+        }
+        if (ids.length > MAX_GROUP_SIZE) {
+            return { ok: false, reason: 'invalid', message: `At most ${MAX_GROUP_SIZE} trainees can be compared` };
+        }
+        if (!Number.isInteger(minDuration) || minDuration <= 0) {
+            return { ok: false, reason: 'invalid', message: 'The minimum duration must be a positive number of minutes' };
+        }
+
+        const problem = checkRange(from, to);
+        if (problem) return { ok: false, ...problem };
+
+        const trainees = await prisma.trainee.findMany({
+            where: { id: { in: ids } },
+            select: { id: true, timezone: true }
+        });
+        if (trainees.length !== ids.length) {
+            const found = trainees.map(trainee => trainee.id);
+            const missing = ids.filter(id => !found.includes(id));
+            return { ok: false, reason: 'not_found', message: `Trainees not found: ${missing.join(', ')}` };
+        }
+
+        const start = from > now ? from : now;
+        if (start >= to) return { ok: true, windows: [], withoutRoutine: [] };
+
+        const freeByTrainee = [];
+        for (const trainee of trainees) {
+            freeByTrainee.push({ traineeId: trainee.id, ...await freeWindowsFor(prisma, trainee, start, to) });
+        }
+
+        const windows = commonWindows(segmentTimeline(freeByTrainee))
+            .filter(window => window.end - window.start >= minDuration * MINUTE_MS)
+            .sort((a, b) =>
+                b.free.length - a.free.length ||
+                (b.end - b.start) - (a.end - a.start) ||
+                a.start - b.start)
+            .slice(0, clampLimit(limit))
+            .map(window => ({
+                startTime: new Date(window.start),
+                endTime: new Date(window.end),
+                durationMinutes: Math.round((window.end - window.start) / MINUTE_MS),
+                availableTraineeIds: ids.filter(id => window.free.includes(id)),
+                unavailableTraineeIds: ids.filter(id => !window.free.includes(id))
+            }));
+
+        return {
+            ok: true,
+            windows,
+            withoutRoutine: freeByTrainee.filter(trainee => !trainee.hasRoutine).map(trainee => trainee.traineeId)
+        };
+    }
+
+    return { recommendSlots, findCommonAvailability };
+}
+
+module.exports = { createScheduling, MAX_RANGE_DAYS, MAX_GROUP_SIZE };
@@ -0,0 +1,156 @@
+// Wall-clock conversions for IANA timezones, using the ICU data built into
+// Node (no timezone library). Routines are stored as weekly wall-clock slots,
+// so anything comparing them with instants goes through here; DST shifts are
+// handled by asking Intl for the offset at the instant in question.
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            weekday: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// IANA Area/Location names, e.g. "Europe/Tallinn" or "America/Argentina/Salta"
+const AREA_LOCATION_PATTERN = /^(Africa|America|Antarctica|Arctic|Asia|Atlantic|Australia|Europe|Indian|Pacific)(\/[A-Za-z0-9_+-]+){1,2}$/i;
+
+// Only Area/Location names and "UTC" are accepted. Abbreviations and legacy
+// names that ICU would quietly map to some other zone ("EST" to
+// America/Panama, "US/Eastern"), Etc/ zones and UTC offsets such as "+02:00"
+// are rejected. Returns { timeZone } or { problem: { reason: 'invalid', message } };
+// the name is stored as sent, only with ICU's capitalization when it names the
+// same zone ("europe/tallinn" becomes "Europe/Tallinn").
+function checkTimeZone(timeZone) {
+    if (typeof timeZone === 'string' && timeZone.toUpperCase() === 'UTC') return { timeZone: 'UTC' };
+
+    if (!isValidTimeZone(timeZone) || !AREA_LOCATION_PATTERN.test(timeZone)) {
+        return {
+            problem: {
+                reason: 'invalid',
+                message: `Unknown timezone "${timeZone}"; expected UTC or an IANA Area/Location name such as Europe/Tallinn`
+            }
+        };
+    }
+    const resolved = formatterFor(timeZone).resolvedOptions().timeZone;
+    return { timeZone: resolved.toLowerCase() === timeZone.toLowerCase() ? resolved : timeZone };
+}
+
+function zoneOrUtc(timeZone) {
+    return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Local date, day name, "HH:MM" and minutes since midnight of `date` in `timeZone`
+function wallClock(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    const time = `${parts.hour}:${parts.minute}`;
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: parts.weekday.toLowerCase(),
+        time,
+        minutes: toMinutes(time),
+        seconds: Number(parts.second)
+    };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `instant`
+function offsetAt(instant, timeZone) {
+    const local = wallClock(new Date(instant), timeZone);
+    const [year, month, day] = local.date.split('-').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, 0, local.minutes, local.seconds);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+// ISO 8601 local time with the zone's offset at that instant, e.g.
+// "2030-03-31T04:30:00+03:00"
+function formatInZone(date, timeZone) {
+    const instant = date.getTime();
+    const { date: localDate, time, seconds } = wallClock(date, timeZone);
+    const offsetMinutes = Math.round(offsetAt(instant, timeZone) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+    return `${localDate}T${time}:${pad(seconds)}${offset}`;
+}
+
+// The instant at which the wall clock in `timeZone` shows `date` ("YYYY-MM-DD")
+// and `time` ("HH:MM", "24:00" is the following midnight). Times skipped by a
+// DST change resolve to the same offset as just before the change; times that
+// occur twice resolve to the second occurrence.
+//
+// The answer is one of two candidates: the wall clock read with the offset in
+// force a day before and a day after it. A candidate is right when the zone
+// shows the wall clock at that instant; if both are (a repeated time) the later
+// one wins, if neither is (a skipped time) the earlier offset applies.
+function zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const naive = Date.UTC(year, month - 1, day, 0, toMinutes(time));
+
+    const before = naive - offsetAt(naive - DAY_MS, timeZone);
+    const after = naive - offsetAt(naive + DAY_MS, timeZone);
+    const shows = instant => instant + offsetAt(instant, timeZone) === naive;
+
+    if (shows(before) && shows(after)) return new Date(Math.max(before, after));
+    if (shows(after)) return new Date(after);
+    return new Date(before);
+}
+
+// Calendar dates ("YYYY-MM-DD") from `fromDate` to `toDate` inclusive, with their day names
+function datesBetween(fromDate, toDate) {
+    const dates = [];
+    const [year, month, day] = fromDate.split('-').map(Number);
+    for (let cursor = new Date(Date.UTC(year, month - 1, day)); ; cursor.setUTCDate(cursor.getUTCDate() + 1)) {
+        const date = `${cursor.getUTCFullYear()}-${pad(cursor.getUTCMonth() + 1)}-${pad(cursor.getUTCDate())}`;
+        if (date > toDate) break;
+        dates.push({ date, day: DAYS[cursor.getUTCDay()] });
+    }
+    return dates;
+}
+
+module.exports = {
+    DAYS,
+    isValidTimeZone,
+    checkTimeZone,
+    zoneOrUtc,
+    toMinutes,
+    wallClock,
+    zonedTimeToUtc,
+    formatInZone,
+    datesBetween
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+
+// Transport security for the gRPC server and its clients (the bundled client and
+// the test scripts). Without certificates everything stays on plaintext, as before.
+//
+// Server:
+//   GRPC_TLS_CERT_FILE / GRPC_TLS_KEY_FILE  - server certificate chain and key (enable TLS)
+//   GRPC_TLS_CLIENT_CA_FILE                 - CA used to verify client certificates (enables mTLS)
+//   GRPC_TLS_REQUIRE_CLIENT_CERT            - "false" accepts clients without a certificate
+//                                             even when a client CA is set (default true)
+//   GRPC_TLS_RELOAD_INTERVAL_SECONDS        - how often the files are re-read (default 60)
+//
+// The files are watched, so renewed certificates are picked up without a restart.
+// Replace them atomically (write elsewhere, then rename): if a read finds an
+// unusable pair, new connections are refused until the next good read. The
+// first read happens before the server binds; if it fails, startup fails.
+//
+// Client:
+//   GRPC_SERVER_ADDRESS                     - default localhost:50051
+//   GRPC_TLS_CA_FILE                        - CA used to verify the server (enables TLS)
+//   GRPC_TLS                                - "true" enables TLS with the system CAs
+//   GRPC_TLS_CLIENT_CERT_FILE / GRPC_TLS_CLIENT_KEY_FILE - client certificate for mTLS
+//   GRPC_TLS_SERVER_NAME                    - expected name in the server certificate,
+//                                             when it differs from the address host
+
+const DEFAULT_SERVER_ADDRESS = 'localhost:50051';
+const DEFAULT_RELOAD_INTERVAL_SECONDS = 60;
+
+function serverTlsOptionsFromEnv(env = process.env) {
+    return {
+        certFile: env.GRPC_TLS_CERT_FILE || null,
+        keyFile: env.GRPC_TLS_KEY_FILE || null,
+        clientCaFile: env.GRPC_TLS_CLIENT_CA_FILE || null,
+        requireClientCert: env.GRPC_TLS_REQUIRE_CLIENT_CERT !== 'false',
+        reloadIntervalSeconds: parseInt(env.GRPC_TLS_RELOAD_INTERVAL_SECONDS) || DEFAULT_RELOAD_INTERVAL_SECONDS
+    };
+}
+
+function clientTlsOptionsFromEnv(env = process.env) {
+    return {
+        address: env.GRPC_SERVER_ADDRESS || DEFAULT_SERVER_ADDRESS,
+        tls: env.GRPC_TLS === 'true',
+        caFile: env.GRPC_TLS_CA_FILE || null,
+        certFile: env.GRPC_TLS_CLIENT_CERT_FILE || null,
+        keyFile: env.GRPC_TLS_CLIENT_KEY_FILE || null,
+        serverName: env.GRPC_TLS_SERVER_NAME || null
+    };
+}
+
+// Misconfigured paths should stop the process at startup, not surface as
+// failed handshakes later on
+function assertReadable(files) {
+    for (const file of files) {
+        if (!file) continue;
+        try {
+            fs.accessSync(file, fs.constants.R_OK);
+        } catch (error) {
+            throw new Error(`TLS file is not readable: ${file}`);
+        }
+    }
+}
+
+function assertPair(certFile, keyFile, certName, keyName) {
+    if (Boolean(certFile) !== Boolean(keyFile)) {
+        throw new Error(`${certName} and ${keyName} must be set together`);
+    }
+}
+
+// Short description for the startup log line
+function describeServerTls(options = serverTlsOptionsFromEnv()) {
+    if (!options.certFile) return 'plaintext';
+    if (!options.clientCaFile) return 'TLS';
+    return options.requireClientCert ? 'mutual TLS' : 'TLS, optional client certificates';
+}
+
+// Resolves once `provider` has read its files for the first time (the identity
+// and, with `withCa`, the CA); rejects when that read found no usable files
+function firstCertificates(provider, withCa) {
+    return new Promise((resolve, reject) => {
+        const loaded = { identity: undefined, ca: withCa ? undefined : true };
+        const settle = () => {
+            if (loaded.identity === undefined || loaded.ca === undefined) return;
+            if (loaded.identity && loaded.ca) {
+                resolve();
+            } else {
+                reject(new Error(`TLS ${loaded.identity ? 'client CA' : 'certificate or key'} could not be loaded`));
+            }
+        };
+
+        // The listeners stay registered; they keep the first read for the server
+        provider.addIdentityCertificateListener((update) => {
+            if (loaded.identity !== undefined) return;
+            loaded.identity = update;
+            settle();
+        });
+        if (withCa) {
+            provider.addCaCertificateListener((update) => {
+                if (loaded.ca !== undefined) return;
+                loaded.ca = update;
+                settle();
+            });
+        }
+    });
+}
+
+// Resolves with the server credentials once the certificates have been read,
+// so no connection is accepted before the server can complete a handshake
+async function createServerCredentials(options = serverTlsOptionsFromEnv()) {
+    const { certFile, keyFile, clientCaFile, requireClientCert, reloadIntervalSeconds } = options;
+
+    assertPair(certFile, keyFile, 'GRPC_TLS_CERT_FILE', 'GRPC_TLS_KEY_FILE');
+    if (!certFile) {
+        if (clientCaFile) {
+            throw new Error('GRPC_TLS_CLIENT_CA_FILE requires GRPC_TLS_CERT_FILE and GRPC_TLS_KEY_FILE');
+        }
+        return grpc.ServerCredentials.createInsecure();
+    }
+    assertReadable([certFile, keyFile, clientCaFile]);
+
+    // One watcher serves both the server identity and the client CA
+    const provider = new grpc.experimental.FileWatcherCertificateProvider({
+        certificateFile: certFile,
+        privateKeyFile: keyFile,
+        caCertificateFile: clientCaFile || undefined,
+        refreshIntervalMs: reloadIntervalSeconds * 1000
+    });
+
+    await firstCertificates(provider, Boolean(clientCaFile));
+
+    return grpc.experimental.createCertificateProviderServerCredentials(
+        provider,
+        clientCaFile ? provider : null,
+        Boolean(clientCaFile) && requireClientCert
+    );
+}
+
+// Returns { address, credentials, channelOptions } for creating service clients
+function createChannelCredentials(options = {}) {
+    const settings = { ...clientTlsOptionsFromEnv(), ...options };
+    const { address, caFile, certFile, keyFile, serverName } = settings;
+
+    assertPair(certFile, keyFile, 'GRPC_TLS_CLIENT_CERT_FILE', 'GRPC_TLS_CLIENT_KEY_FILE');
+    const useTls = settings.tls || Boolean(caFile) || Boolean(certFile);
+    if (!useTls) {
+        return { address, credentials: grpc.credentials.createInsecure(), channelOptions: {} };
+    }
+    assertReadable([caFile, certFile, keyFile]);
+
+    const credentials = grpc.credentials.createSsl(
+        caFile ? fs.readFileSync(caFile) : null,
+        keyFile ? fs.readFileSync(keyFile) : null,
+        certFile ? fs.readFileSync(certFile) : null
+    );
+    const channelOptions = serverName
+        ? { 'grpc.ssl_target_name_override': serverName, 'grpc.default_authority': serverName }
+        : {};
+
+    return { address, credentials, channelOptions };
+}
+
+module.exports = {
+    createServerCredentials,
+    createChannelCredentials,
+    describeServerTls,
+    serverTlsOptionsFromEnv,
+    clientTlsOptionsFromEnv
+};
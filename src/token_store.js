@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Shared access-token handling for the gRPC and REST servers. Revocations are
+// persisted in the revoked_tokens table so a logout on one protocol is honored
+// by the other and survives restarts.
+//
+// Refresh tokens are opaque random strings; only their SHA-256 digest is stored.
+// Every refresh rotates the token within its family, and presenting an already
+// rotated token revokes the whole family (the token has most likely been stolen).
+
+const ACCESS_TOKEN_TTL = '2h';
+const ACCESS_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Tokens issued before jti was introduced are keyed by their SHA-256 digest
+function revocationKey(token, payload) {
+    if (payload && payload.jti) return payload.jti;
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createTokenStore(prisma, secret) {
+    function signAccessToken(trainee) {
+        return jwt.sign(
+            { traineeId: trainee.id, email: trainee.email, role: trainee.role },
+            secret,
+            { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+        );
+    }
+
+    // Throws jsonwebtoken errors for invalid/expired tokens
+    function verifyAccessToken(token) {
+        return jwt.verify(token, secret);
+    }
+
+    async function isRevoked(token, payload) {
+        const revoked = await prisma.revokedToken.findUnique({
+            where: { jti: revocationKey(token, payload) }
+        });
+        return Boolean(revoked);
+    }
+
+    async function revoke(token, payload) {
+        const jti = revocationKey(token, payload);
+        const expiresAt = payload && payload.exp
+            ? new Date(payload.exp * 1000)
+            : new Date(Date.now() + PRUNE_INTERVAL_MS);
+
+        await prisma.revokedToken.upsert({
+            where: { jti },
+            update: {},
+            create: {
+                jti,
+                traineeId: payload ? payload.traineeId : null,
+                expiresAt
+            }
+        });
+    }
+
+    async function issueRefreshToken(traineeId, familyId = crypto.randomUUID(), client = prisma) {
+        const token = crypto.randomBytes(48).toString('base64url');
+        const record = await client.refreshToken.create({
+            data: {
+                tokenHash: hashRefreshToken(token),
+                familyId,
+                traineeId,
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+            }
+        });
+        return { token, record };
+    }
+
+    async function revokeRefreshFamily(familyId) {
+        await prisma.refreshToken.updateMany({
+            where: { familyId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+    }
+
+    // Returns { ok: true, trainee, refreshToken } or { ok: false, reason } where
+    // reason is one of 'invalid', 'expired' or 'reused'
+    async function rotateRefreshToken(token) {
+        if (!token) return { ok: false, reason: 'invalid' };
+
+        const current = await prisma.refreshToken.findUnique({
+            where: { tokenHash: hashRefreshToken(token) },
+            include: { trainee: true }
+        });
+
+        if (!current) return { ok: false, reason: 'invalid' };
+
+        if (current.revokedAt) {
+            await revokeRefreshFamily(current.familyId);
+            return { ok: false, reason: 'reused' };
+        }
+
+        if (current.expiresAt < new Date()) {
+            return { ok: false, reason: 'expired' };
+        }
+
+        const next = await prisma.$transaction(async (tx) => {
+            // Guard against two concurrent refreshes with the same token
+            const { count } = await tx.refreshToken.updateMany({
+                where: { id: current.id, revokedAt: null },
+                data: { revokedAt: new Date() }
+            });
+            if (count === 0) return null;
+
+            const issued = await issueRefreshToken(current.traineeId, current.familyId, tx);
+            await tx.refreshToken.update({
+                where: { id: current.id },
+                data: { replacedById: issued.record.id }
+            });
+            return issued;
+        });
+
+        if (!next) {
+            await revokeRefreshFamily(current.familyId);
+            return { ok: false, reason: 'reused' };
+        }
+
+        return { ok: true, trainee: current.trainee, refreshToken: next.token };
+    }
+
+    // Password change: every session of the trainee has to log in again
+    async function revokeAllRefreshTokens(traineeId) {
+        await prisma.refreshToken.updateMany({
+            where: { traineeId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+    }
+
+    // Logout: revoke the family the given refresh token belongs to, if any
+    async function revokeRefreshToken(token) {
+        if (!token) return;
+        const current = await prisma.refreshToken.findUnique({
+            where: { tokenHash: hashRefreshToken(token) }
+        });
+        if (current) await revokeRefreshFamily(current.familyId);
+    }
+
+    // Once a token has expired it is rejected anyway, so its row can go
+    async function pruneExpired() {
+        const now = new Date();
+        const [revoked, refresh] = await prisma.$transaction([
+            prisma.revokedToken.deleteMany({ where: { expiresAt: { lt: now } } }),
+            prisma.refreshToken.deleteMany({ where: { expiresAt: { lt: now } } })
+        ]);
+        return revoked.count + refresh.count;
+    }
+
+    function startPruning(intervalMs = PRUNE_INTERVAL_MS) {
+        const timer = setInterval(() => {
+            pruneExpired().catch((error) => {
+                console.error('Token pruning error:', error);
+            });
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+
+    return {
+        signAccessToken,
+        verifyAccessToken,
+        isRevoked,
+        revoke,
+        issueRefreshToken,
+        rotateRefreshToken,
+        revokeRefreshToken,
+        revokeAllRefreshTokens,
+        pruneExpired,
+        startPruning
+    };
+}
+
+module.exports = { createTokenStore, ACCESS_TOKEN_TTL_SECONDS };
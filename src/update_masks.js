@@ -0,0 +1,129 @@
+// Which fields an update changes, shared by the gRPC and REST servers.
+//
+// gRPC Update RPCs take a google.protobuf.FieldMask `update_mask`. Fields named
+// in it are set to the request's value, or cleared when the request leaves
+// them empty (only fields that may be empty, such as a workout's description;
+// emptying any other field is rejected); fields not named are left alone even
+// when the request sets them. Without a mask the older rule applies: empty
+// strings, zero numbers and unset fields are left unchanged.
+//
+// REST PATCH bodies work like a JSON merge patch: a missing property leaves the
+// field alone, null (or "" for text) clears it, anything else sets it.
+//
+// Changes are returned keyed by the gRPC field names, e.g. { description: null }.
+
+// Fields each Update RPC can change; `clearable` ones may be emptied
+const UPDATE_FIELDS = {
+    trainee: {
+        name: {},
+        email: {},
+        password: {},
+        timezone: { clearable: true },
+        role: {}
+    },
+    workout: {
+        name: {},
+        duration: {},
+        description: { clearable: true },
+        color: { clearable: true }
+    },
+    class_session: {
+        workout_id: {},
+        start_time: {},
+        room: { clearable: true },
+        instructor_id: { clearable: true },
+        capacity: {}
+    },
+    routine: {
+        availability: {}
+    },
+    registration: {
+        event_id: {},
+        user_id: {},
+        invitee_email: {},
+        start_time: {},
+        end_time: { clearable: true },
+        status: {},
+        registration_status: {}
+    }
+};
+
+// Enum values that mean "not set"
+const UNSET_ENUM = /_UNSPECIFIED$/;
+
+function camelCase(name) {
+    return name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || value === 0 ||
+        (Array.isArray(value) && value.length === 0) ||
+        (typeof value === 'string' && UNSET_ENUM.test(value));
+}
+
+function invalid(message) {
+    return { problem: { reason: 'invalid', message } };
+}
+
+// Changes of a gRPC update `request` for `resource` (an UPDATE_FIELDS key).
+// Returns { changes } with null for cleared fields, or { problem: { reason:
+// 'invalid', message } } for unknown mask paths and emptied required fields.
+function maskedChanges(resource, request) {
+    const fields = UPDATE_FIELDS[resource];
+    const paths = (request.update_mask && request.update_mask.paths) || [];
+
+    if (paths.length === 0) {
+        const changes = {};
+        for (const name of Object.keys(fields)) {
+            if (!isEmpty(request[name])) changes[name] = request[name];
+        }
+        return { changes };
+    }
+
+    const changes = {};
+    for (const path of paths) {
+        const name = Object.keys(fields).find(field => field === path || camelCase(field) === path);
+        if (!name) {
+            return invalid(`Unknown update_mask path "${path}"; expected any of ${Object.keys(fields).join(', ')}`);
+        }
+
+        const value = request[name];
+        if (!isEmpty(value)) {
+            changes[name] = value;
+        } else if (fields[name].clearable) {
+            changes[name] = null;
+        } else {
+            return invalid(`${name} is in update_mask but empty; it cannot be cleared`);
+        }
+    }
+    return { changes };
+}
+
+// Changes of a REST PATCH `body` (camelCase properties) for `resource`, in the
+// same form as maskedChanges()
+function patchChanges(resource, body = {}) {
+    const fields = UPDATE_FIELDS[resource];
+    const changes = {};
+
+    for (const [name, field] of Object.entries(fields)) {
+        const property = camelCase(name);
+        if (!Object.prototype.hasOwnProperty.call(body, property)) continue;
+
+        const value = body[property];
+        const cleared = value === null || (value === '' && field.clearable);
+        if (!cleared && value !== '') {
+            changes[name] = value;
+        } else if (field.clearable) {
+            changes[name] = null;
+        } else {
+            return invalid(`${property} cannot be cleared`);
+        }
+    }
+    return { changes };
+}
+
+module.exports = {
+    maskedChanges,
+    patchChanges,
+    UPDATE_FIELDS
+};
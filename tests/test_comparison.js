@@ -2,6 +2,7 @@ const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const axios = require('axios');
 const path = require('path');
+const { createChannelCredentials } = require('../src/tls_credentials');
 
 // gRPC setup
 const packageDefinition = protoLoader.loadSync(
@@ -18,12 +19,14 @@ const packageDefinition = protoLoader.loadSync(
 const gymProto = grpc.loadPackageDefinition(packageDefinition).gym_registration;
 
 // Create gRPC clients
-const serverAddress = 'localhost:50051';
-const sessionClient = new gymProto.SessionService(serverAddress, grpc.credentials.createInsecure());
-const traineeClient = new gymProto.TraineeService(serverAddress, grpc.credentials.createInsecure());
-const workoutClient = new gymProto.WorkoutService(serverAddress, grpc.credentials.createInsecure());
-const routineClient = new gymProto.RoutineService(serverAddress, grpc.credentials.createInsecure());
-const registrationClient = new gymProto.RegistrationService(serverAddress, grpc.credentials.createInsecure());
+// Plaintext by default; set GRPC_TLS_CA_FILE (and GRPC_TLS_CLIENT_CERT_FILE /
+// GRPC_TLS_CLIENT_KEY_FILE for mTLS) to test a server running with TLS
+const { address: serverAddress, credentials, channelOptions } = createChannelCredentials();
+const sessionClient = new gymProto.SessionService(serverAddress, credentials, channelOptions);
+const traineeClient = new gymProto.TraineeService(serverAddress, credentials, channelOptions);
+const workoutClient = new gymProto.WorkoutService(serverAddress, credentials, channelOptions);
+const routineClient = new gymProto.RoutineService(serverAddress, credentials, channelOptions);
+const registrationClient = new gymProto.RegistrationService(serverAddress, credentials, channelOptions);
 
 // REST API URL
 const REST_URL = 'http://localhost:3000';
@@ -299,6 +302,49 @@ class RestGrpcComparator {
         }
     }
 
+    async testLogout() {
+        console.log('\n=== Testing Logout ===');
+
+        try {
+            // A token of its own, so the one the other tests use stays valid
+            const grpcLogin = this.promisify(sessionClient.CreateSession, sessionClient);
+            const { token } = await grpcLogin({ email: 'test@example.com', password: 'password123' });
+
+            console.log('Testing gRPC logout...');
+            const grpcLogout = this.promisify(sessionClient.DeleteSession, sessionClient);
+            await grpcLogout({ token });
+            console.log('✓ gRPC logout successful');
+
+            // The revocation is shared, so REST refuses the token as well
+            console.log('Testing REST rejects the revoked token...');
+            try {
+                await axios.get(`${REST_URL}/sessions`, {
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                throw new Error('REST accepted a revoked token');
+            } catch (error) {
+                if (!(error.response && error.response.status === 401)) throw error;
+                console.log('✓ REST rejected the revoked token');
+            }
+
+            console.log('Testing gRPC rejects the revoked token...');
+            const grpcCheck = this.promisify(sessionClient.CheckSession, sessionClient);
+            try {
+                await grpcCheck({ token });
+                throw new Error('CheckSession accepted a revoked token');
+            } catch (error) {
+                if (error.code !== grpc.status.UNAUTHENTICATED) throw error;
+                console.log('✓ CheckSession rejected the revoked token');
+            }
+
+            console.log('✓ Logout test completed');
+            return true;
+        } catch (error) {
+            console.error('✗ Logout test failed:', error.message);
+            throw error;
+        }
+    }
+
     async runAllTests() {
         try {
             console.log('=== Starting REST vs gRPC Comparison Tests ===');
@@ -307,6 +353,7 @@ class RestGrpcComparator {
             await this.testTraineeOperations();
             await this.testWorkoutOperations();
             await this.testErrorHandling();
+            await this.testLogout();
 
             console.log('\n✅ All comparison tests passed successfully!');
             console.log('✓ REST and gRPC services provide equivalent functionality');
@@ -1,6 +1,10 @@
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
+const fs = require('fs');
 const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { createChannelCredentials } = require('../src/tls_credentials');
+const { isPasswordHash } = require('../src/passwords');
 
 // gRPC setup
 const packageDefinition = protoLoader.loadSync(
@@ -17,12 +21,21 @@ const packageDefinition = protoLoader.loadSync(
 const gymProto = grpc.loadPackageDefinition(packageDefinition).gym_registration;
 
 // Create gRPC clients
-const serverAddress = 'localhost:50051';
-const sessionClient = new gymProto.SessionService(serverAddress, grpc.credentials.createInsecure());
-const traineeClient = new gymProto.TraineeService(serverAddress, grpc.credentials.createInsecure());
-const workoutClient = new gymProto.WorkoutService(serverAddress, grpc.credentials.createInsecure());
-const routineClient = new gymProto.RoutineService(serverAddress, grpc.credentials.createInsecure());
-const registrationClient = new gymProto.RegistrationService(serverAddress, grpc.credentials.createInsecure());
+// Plaintext by default; set GRPC_TLS_CA_FILE (and GRPC_TLS_CLIENT_CERT_FILE /
+// GRPC_TLS_CLIENT_KEY_FILE for mTLS) to test a server running with TLS
+const { address: serverAddress, credentials, channelOptions } = createChannelCredentials();
+const sessionClient = new gymProto.SessionService(serverAddress, credentials, channelOptions);
+const traineeClient = new gymProto.TraineeService(serverAddress, credentials, channelOptions);
+const workoutClient = new gymProto.WorkoutService(serverAddress, credentials, channelOptions);
+const classSessionClient = new gymProto.ClassSessionService(serverAddress, credentials, channelOptions);
+const routineClient = new gymProto.RoutineService(serverAddress, credentials, channelOptions);
+const registrationClient = new gymProto.RegistrationService(serverAddress, credentials, channelOptions);
+const schedulingClient = new gymProto.SchedulingService(serverAddress, credentials, channelOptions);
+const auditClient = new gymProto.AuditService(serverAddress, credentials, channelOptions);
+const checkInClient = new gymProto.CheckInService(serverAddress, credentials, channelOptions);
+
+// The server's database (DATABASE_URL), for checks the API cannot show
+const prisma = new PrismaClient();
 
 class GrpcOnlyTester {
     constructor() {
@@ -44,6 +57,34 @@ class GrpcOnlyTester {
         };
     }
 
+    // Newest mail to `email` with a subject matching `subject` in the server's
+    // outbox (MAIL_TRANSPORT=outbox), or null when there is none
+    latestMail(email, subject) {
+        const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+        if (!fs.existsSync(outboxDir)) return null;
+
+        const mails = fs.readdirSync(outboxDir)
+            .filter(fileName => fileName.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map(fileName => JSON.parse(fs.readFileSync(path.join(outboxDir, fileName), 'utf8')));
+        return mails.find(message => message.to === email && subject.test(message.subject)) || null;
+    }
+
+    // Code from the newest verification mail to `email`, or null
+    latestVerificationCode(email) {
+        const mail = this.latestMail(email, /confirm your email/i);
+        const match = mail && mail.text.match(/confirm your email address: (\S+)/);
+        return match ? match[1] : null;
+    }
+
+    // Code from the newest password reset mail to `email`, or null
+    latestResetCode(email) {
+        const mail = this.latestMail(email, /reset your password/i);
+        const match = mail && mail.text.match(/choose a new password: (\S+)/);
+        return match ? match[1] : null;
+    }
+
     // Helper to convert timestamp for gRPC
     createTimestamp(date) {
         const timestamp = new Date(date);
@@ -53,6 +94,50 @@ class GrpcOnlyTester {
         };
     }
 
+    // Creates the account if needed and logs in; returns the CreateSession response
+    async loginAs(name, email, password = 'password123') {
+        const createTrainee = this.promisify(traineeClient.CreateTrainee, traineeClient);
+        try {
+            await createTrainee({ name, email, password });
+        } catch (error) {
+            if (!(error.message && error.message.includes('already in use'))) throw error;
+        }
+        const createSession = this.promisify(sessionClient.CreateSession, sessionClient);
+        return createSession({ email, password });
+    }
+
+    // Opens WatchRegistrations and resolves with the first `count` events, or
+    // rejects with the stream's error; `ready` runs once the stream is open
+    watchRegistrations(request, count, ready = async () => {}, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const events = [];
+            const stream = registrationClient.WatchRegistrations(request);
+            const timer = setTimeout(() => {
+                stream.cancel();
+                reject(new Error(`Received ${events.length} of ${count} registration events`));
+            }, timeoutMs);
+
+            stream.on('data', (event) => {
+                events.push(event);
+                if (events.length === count) {
+                    clearTimeout(timer);
+                    stream.cancel();
+                    resolve(events);
+                }
+            });
+            stream.on('error', (error) => {
+                if (error.code === grpc.status.CANCELLED) return;
+                clearTimeout(timer);
+                reject(error);
+            });
+            stream.on('metadata', () => ready().catch((error) => {
+                clearTimeout(timer);
+                stream.cancel();
+                reject(error);
+            }));
+        });
+    }
+
     async testAuthentication() {
         console.log('\n=== Testing gRPC Authentication ===');
 
@@ -71,6 +156,16 @@ class GrpcOnlyTester {
                     timezone: 'Europe/Tallinn'
                 });
                 console.log('✓ Test user created');
+
+                // ADMIN_EMAILS only promotes verified accounts created after startup
+                const code = this.latestVerificationCode(testEmail);
+                if (code) {
+                    const verifyEmail = this.promisify(traineeClient.VerifyEmail, traineeClient);
+                    await verifyEmail({ verification_token: code });
+                    console.log('✓ Test user email verified');
+                } else {
+                    console.log('! No verification mail in the outbox; the test user may not become admin');
+                }
             } catch (error) {
                 if (error.message && error.message.includes('already in use')) {
                     console.log('! Test user already exists, continuing...');
@@ -97,6 +192,18 @@ class GrpcOnlyTester {
                 throw new Error('Session check returned invalid data');
             }
 
+            // Test session check with the token sent as metadata
+            console.log('Testing session check via authorization metadata...');
+            const metadata = new grpc.Metadata();
+            metadata.set('authorization', `Bearer ${this.token}`);
+            const metadataResult = await checkSession({}, metadata);
+
+            if (metadataResult.authenticated && metadataResult.trainee) {
+                console.log('✓ Metadata authentication successful');
+            } else {
+                throw new Error('Session check with metadata returned invalid data');
+            }
+
             console.log('✓ Authentication tests passed');
             return true;
         } catch (error) {
@@ -105,6 +212,270 @@ class GrpcOnlyTester {
         }
     }
 
+    async testPasswordStorage() {
+        console.log('\n=== Testing gRPC Password Storage ===');
+
+        try {
+            const email = 'password-storage@example.com';
+            const password = 'password123';
+
+            console.log('Testing stored password is hashed...');
+            await this.loginAs('Password Storage', email, password);
+            const trainee = await prisma.trainee.findUnique({ where: { email } });
+            if (trainee.password !== password && isPasswordHash(trainee.password)) {
+                console.log('✓ Password stored as a bcrypt hash');
+            } else {
+                throw new Error('Password stored in plaintext');
+            }
+
+            // A row from before hashing holds the password as is
+            console.log('Testing legacy plaintext password is rehashed on login...');
+            await prisma.trainee.update({ where: { email }, data: { password } });
+            const createSession = this.promisify(sessionClient.CreateSession, sessionClient);
+            const session = await createSession({ email, password });
+            const upgraded = await prisma.trainee.findUnique({ where: { email } });
+            if (session.token && upgraded.password !== password && isPasswordHash(upgraded.password)) {
+                console.log('✓ Legacy plaintext login accepted and the password rehashed');
+            } else {
+                throw new Error('Legacy plaintext password was not rehashed');
+            }
+
+            console.log('✓ Password storage tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Password storage test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testSessionRefresh() {
+        console.log('\n=== Testing gRPC Session Refresh ===');
+
+        try {
+            const refreshSession = this.promisify(sessionClient.RefreshSession, sessionClient);
+            const login = await this.loginAs('Refresh Rotation', 'refresh-rotation@example.com');
+
+            console.log('Testing refresh token rotation...');
+            const refreshed = await refreshSession({ refresh_token: login.refresh_token });
+            if (refreshed.token && refreshed.refresh_token && refreshed.refresh_token !== login.refresh_token) {
+                console.log('✓ Refresh returned a new access token and a rotated refresh token');
+            } else {
+                throw new Error('Refresh did not rotate the refresh token');
+            }
+
+            // Replaying a rotated token looks like theft: it fails and takes
+            // the whole family with it
+            console.log('Testing replay of a rotated refresh token...');
+            try {
+                await refreshSession({ refresh_token: login.refresh_token });
+                throw new Error('Replayed refresh token was accepted');
+            } catch (error) {
+                if (error.code !== grpc.status.UNAUTHENTICATED) throw error;
+                console.log('✓ Replayed refresh token rejected');
+            }
+
+            try {
+                await refreshSession({ refresh_token: refreshed.refresh_token });
+                throw new Error('Newest refresh token still works after a replay');
+            } catch (error) {
+                if (error.code !== grpc.status.UNAUTHENTICATED) throw error;
+                console.log('✓ Newest refresh token of the family revoked too');
+            }
+
+            console.log('✓ Session refresh tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Session refresh test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testLoginLockout() {
+        console.log('\n=== Testing gRPC Login Lockout ===');
+
+        try {
+            const email = 'lockout@example.com';
+            const createSession = this.promisify(sessionClient.CreateSession, sessionClient);
+            await this.loginAs('Lockout Trainee', email);
+
+            // LOGIN_MAX_ATTEMPTS_PER_EMAIL failures (5 by default) lock the email out
+            console.log('Testing failed logins lock the account...');
+            let lockout = null;
+            for (let attempt = 0; attempt < 20 && !lockout; attempt++) {
+                try {
+                    await createSession({ email, password: 'wrong-password' });
+                    throw new Error('Login with a wrong password succeeded');
+                } catch (error) {
+                    if (error.code === grpc.status.RESOURCE_EXHAUSTED) {
+                        lockout = error;
+                    } else if (error.code !== grpc.status.UNAUTHENTICATED) {
+                        throw error;
+                    }
+                }
+            }
+            const [retryAfter] = lockout ? lockout.metadata.get('retry-after') : [];
+            if (lockout && Number(retryAfter) > 0) {
+                console.log(`✓ Account locked out; retry after ${retryAfter} seconds`);
+            } else {
+                throw new Error('Failed logins did not lock the account with a retry-after trailer');
+            }
+
+            // While locked even the right password is refused
+            try {
+                await createSession({ email, password: 'password123' });
+                throw new Error('Locked account could log in');
+            } catch (error) {
+                if (error.code !== grpc.status.RESOURCE_EXHAUSTED) throw error;
+                console.log('✓ Locked account refused the correct password');
+            }
+
+            console.log('Testing admin unlock...');
+            const unlockAccount = this.promisify(sessionClient.UnlockAccount, sessionClient);
+            const unlocked = await unlockAccount({ token: this.token, email });
+            const session = await createSession({ email, password: 'password123' });
+            if (unlocked.was_locked && session.token) {
+                console.log('✓ Unlocked account logged in again');
+            } else {
+                throw new Error('Unlock did not report the lockout');
+            }
+
+            console.log('✓ Login lockout tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Login lockout test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testPasswordReset() {
+        console.log('\n=== Testing gRPC Password Reset ===');
+
+        try {
+            const email = `password-reset-${Date.now()}@example.com`;
+            const createSession = this.promisify(sessionClient.CreateSession, sessionClient);
+            const refreshSession = this.promisify(sessionClient.RefreshSession, sessionClient);
+            const requestPasswordReset = this.promisify(sessionClient.RequestPasswordReset, sessionClient);
+            const confirmPasswordReset = this.promisify(sessionClient.ConfirmPasswordReset, sessionClient);
+            const login = await this.loginAs('Password Reset', email);
+
+            console.log('Testing reset request and confirmation...');
+            await requestPasswordReset({ email });
+            const code = this.latestResetCode(email);
+            if (!code) throw new Error('No password reset mail in the outbox');
+            await confirmPasswordReset({ reset_token: code, new_password: 'new-password456' });
+            const session = await createSession({ email, password: 'new-password456' });
+            if (session.token) {
+                console.log('✓ Logged in with the new password');
+            } else {
+                throw new Error('Login with the new password returned no token');
+            }
+
+            try {
+                await createSession({ email, password: 'password123' });
+                throw new Error('Old password still works');
+            } catch (error) {
+                if (error.code !== grpc.status.UNAUTHENTICATED) throw error;
+                console.log('✓ Old password refused');
+            }
+
+            try {
+                await confirmPasswordReset({ reset_token: code, new_password: 'another-password789' });
+                throw new Error('Reset code was accepted twice');
+            } catch (error) {
+                if (error.code !== grpc.status.FAILED_PRECONDITION) throw error;
+                console.log('✓ Used reset code refused');
+            }
+
+            // Sessions from before the reset cannot be refreshed
+            try {
+                await refreshSession({ refresh_token: login.refresh_token });
+                throw new Error('Refresh token from before the reset still works');
+            } catch (error) {
+                if (error.code !== grpc.status.UNAUTHENTICATED) throw error;
+                console.log('✓ Refresh tokens revoked by the reset');
+            }
+
+            console.log('Testing expired reset code...');
+            await requestPasswordReset({ email });
+            const expiredCode = this.latestResetCode(email);
+            if (!expiredCode || expiredCode === code) throw new Error('No new password reset mail in the outbox');
+            await prisma.accountToken.updateMany({
+                where: { traineeId: session.trainee.id, purpose: 'password_reset', usedAt: null },
+                data: { expiresAt: new Date(Date.now() - 1000) }
+            });
+            try {
+                await confirmPasswordReset({ reset_token: expiredCode, new_password: 'another-password789' });
+                throw new Error('Expired reset code was accepted');
+            } catch (error) {
+                if (error.code !== grpc.status.FAILED_PRECONDITION) throw error;
+                console.log('✓ Expired reset code refused');
+            }
+
+            console.log('✓ Password reset tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Password reset test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testEmailVerification() {
+        console.log('\n=== Testing gRPC Email Verification ===');
+
+        try {
+            const email = `verify-${Date.now()}@example.com`;
+            const createTrainee = this.promisify(traineeClient.CreateTrainee, traineeClient);
+            const verifyEmail = this.promisify(traineeClient.VerifyEmail, traineeClient);
+            const resendVerificationEmail = this.promisify(traineeClient.ResendVerificationEmail, traineeClient);
+            await createTrainee({ name: 'Verify Trainee', email, password: 'password123' });
+            const firstCode = this.latestVerificationCode(email);
+            if (!firstCode) throw new Error('No verification mail in the outbox');
+
+            console.log('Testing invalid verification code...');
+            try {
+                await verifyEmail({ verification_token: 'not-a-real-code' });
+                throw new Error('Invalid verification code was accepted');
+            } catch (error) {
+                if (error.code !== grpc.status.FAILED_PRECONDITION) throw error;
+                console.log('✓ Invalid verification code refused');
+            }
+
+            // A resent code replaces the earlier one
+            console.log('Testing resent verification code...');
+            await resendVerificationEmail({ email });
+            const code = this.latestVerificationCode(email);
+            if (!code || code === firstCode) throw new Error('No new verification mail in the outbox');
+            try {
+                await verifyEmail({ verification_token: firstCode });
+                throw new Error('Replaced verification code was accepted');
+            } catch (error) {
+                if (error.code !== grpc.status.FAILED_PRECONDITION) throw error;
+                console.log('✓ Replaced verification code refused');
+            }
+
+            const { trainee } = await verifyEmail({ verification_token: code });
+            if (trainee.email === email && trainee.email_verified) {
+                console.log('✓ Email verified with the resent code');
+            } else {
+                throw new Error('Verification did not mark the email verified');
+            }
+
+            try {
+                await verifyEmail({ verification_token: code });
+                throw new Error('Verification code was accepted twice');
+            } catch (error) {
+                if (error.code !== grpc.status.FAILED_PRECONDITION) throw error;
+                console.log('✓ Used verification code refused');
+            }
+
+            console.log('✓ Email verification tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Email verification test failed:', error.message);
+            throw error;
+        }
+    }
+
     async testTraineeOperations() {
         console.log('\n=== Testing gRPC Trainee Operations ===');
 
@@ -200,109 +571,1291 @@ class GrpcOnlyTester {
         }
     }
 
-    async testRoutineOperations() {
-        console.log('\n=== Testing gRPC Routine Operations ===');
+    async testClassSessions() {
+        console.log('\n=== Testing gRPC Class Sessions ===');
 
         try {
-            // Get a trainee ID first
-            const listTrainees = this.promisify(traineeClient.ListTrainees, traineeClient);
-            const traineesResult = await listTrainees({
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const { workouts } = await listWorkouts({ token: this.token });
+
+            // Schedule a one-seat class
+            console.log('Creating class session...');
+            const createClassSession = this.promisify(classSessionClient.CreateClassSession, classSessionClient);
+            const startTime = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+            const { class_session: classSession } = await createClassSession({
                 token: this.token,
-                pagination: { page: 1, page_size: 1 }
+                workout_id: workouts[0].id,
+                start_time: this.createTimestamp(startTime),
+                room: 'Studio 1',
+                capacity: 1
             });
+            if (classSession && classSession.capacity === 1 && classSession.booked === 0) {
+                console.log('✓ Class session created');
+            } else {
+                throw new Error('Class session creation returned invalid data');
+            }
 
-            if (!traineesResult.data || traineesResult.data.length === 0) {
-                console.log('! No trainees available for routine test, skipping...');
-                return true;
+            console.log('Testing class session listing by date range...');
+            const listClassSessions = this.promisify(classSessionClient.ListClassSessions, classSessionClient);
+            const listResult = await listClassSessions({
+                token: this.token,
+                from: this.createTimestamp(startTime),
+                to: this.createTimestamp(startTime.getTime() + 60 * 1000)
+            });
+            if (listResult.class_sessions.some(session => session.id === classSession.id)) {
+                console.log('✓ Class session found in date range');
+            } else {
+                throw new Error('Class session missing from date range listing');
             }
 
-            const traineeId = traineesResult.data[0].id;
+            // The first booking takes the only seat, the second is waitlisted
+            console.log('Testing waitlist...');
+            const createRegistration = this.promisify(registrationClient.CreateRegistration, registrationClient);
+            const first = await this.loginAs('Class Member One', 'class-one@example.com');
+            const second = await this.loginAs('Class Member Two', 'class-two@example.com');
 
-            // Create a routine
-            console.log('Creating test routine...');
-            const createRoutine = this.promisify(routineClient.CreateRoutine, routineClient);
-            const routineData = {
+            // A booking runs when its session does
+            try {
+                await createRegistration({
+                    token: this.token,
+                    class_session_id: classSession.id,
+                    user_id: first.trainee.id,
+                    invitee_email: first.trainee.email,
+                    start_time: this.createTimestamp(startTime.getTime() + 60 * 60 * 1000)
+                });
+                console.log('✗ Should have rejected times that differ from the class session');
+            } catch (error) {
+                if (error.code === grpc.status.INVALID_ARGUMENT) {
+                    console.log('✓ Times that differ from the class session rejected');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            const { registration: seated } = await createRegistration({
                 token: this.token,
-                user_id: traineeId,
-                availability: [
-                    { day: 'monday', start_time: '09:00', end_time: '11:00' },
-                    { day: 'friday', start_time: '16:00', end_time: '18:00' }
-                ]
-            };
+                class_session_id: classSession.id,
+                user_id: first.trainee.id,
+                invitee_email: first.trainee.email
+            });
+            const { registration: waiting } = await createRegistration({
+                token: this.token,
+                class_session_id: classSession.id,
+                user_id: second.trainee.id,
+                invitee_email: second.trainee.email
+            });
+            if (seated.registration_status === 'REGISTRATION_STATUS_SCHEDULED' && waiting.registration_status === 'REGISTRATION_STATUS_WAITLISTED') {
+                console.log('✓ Booking a full class was waitlisted');
+            } else {
+                throw new Error(`Unexpected statuses: ${seated.registration_status}, ${waiting.registration_status}`);
+            }
 
-            const createResult = await createRoutine(routineData);
-            if (createResult.routine && createResult.routine.user_id === traineeId) {
-                console.log('✓ Routine created successfully');
+            const getWaitlistPosition = this.promisify(registrationClient.GetWaitlistPosition, registrationClient);
+            const position = await getWaitlistPosition({ token: this.token, registration_id: waiting.id });
+            if (position.position === 1 && position.waitlist_length === 1) {
+                console.log('✓ Waitlist position reported');
             } else {
-                console.log('! Routine already exists or creation failed, continuing...');
+                throw new Error(`Unexpected waitlist position: ${JSON.stringify(position)}`);
             }
 
-            // Get trainee's routine
-            console.log('Testing get trainee routine...');
-            const getRoutine = this.promisify(routineClient.GetTraineeRoutine, routineClient);
+            // Freeing the seat promotes the waitlisted trainee
+            const deleteRegistration = this.promisify(registrationClient.DeleteRegistration, registrationClient);
+            await deleteRegistration({ token: this.token, registration_id: seated.id });
+            const getRegistration = this.promisify(registrationClient.GetRegistration, registrationClient);
+            const { registration: promoted } = await getRegistration({ token: this.token, registration_id: waiting.id });
+            if (promoted.registration_status === 'REGISTRATION_STATUS_SCHEDULED') {
+                console.log('✓ Waitlisted trainee promoted when the seat was freed');
+            } else {
+                throw new Error(`Waitlisted registration not promoted: ${promoted.registration_status}`);
+            }
+
+            // A scheduled registration has to be checked in before it can be completed
+            console.log('Testing status transitions...');
+            const updateRegistration = this.promisify(registrationClient.UpdateRegistration, registrationClient);
             try {
-                const getResult = await getRoutine({ token: this.token, trainee_id: traineeId });
-                if (getResult.routine && getResult.routine.user_id === traineeId) {
-                    console.log('✓ Get routine successful');
+                await updateRegistration({
+                    token: this.token,
+                    registration_id: waiting.id,
+                    registration_status: 'REGISTRATION_STATUS_COMPLETED'
+                });
+                console.log('✗ Should have rejected scheduled -> completed');
+            } catch (error) {
+                if (error.code === grpc.status.FAILED_PRECONDITION) {
+                    console.log('✓ Properly rejected an illegal status transition');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
                 }
+            }
+            await updateRegistration({
+                token: this.token,
+                registration_id: waiting.id,
+                registration_status: 'REGISTRATION_STATUS_CHECKED_IN'
+            });
+            const { registration: checkedIn } = await getRegistration({ token: this.token, registration_id: waiting.id });
+            const history = checkedIn.status_history.map(change => change.to_status);
+            if (checkedIn.status === 'checked_in' && history.join() === [
+                'REGISTRATION_STATUS_WAITLISTED',
+                'REGISTRATION_STATUS_SCHEDULED',
+                'REGISTRATION_STATUS_CHECKED_IN'
+            ].join()) {
+                console.log('✓ Status history recorded');
+            } else {
+                throw new Error(`Unexpected status history: ${history.join(', ')}`);
+            }
+
+            // A second class at the same time would double-book the trainee
+            console.log('Testing overlap detection...');
+            const { class_session: sameTime } = await createClassSession({
+                token: this.token,
+                workout_id: workouts[0].id,
+                start_time: this.createTimestamp(startTime),
+                room: 'Studio 2',
+                capacity: 5
+            });
+            const overlapping = {
+                token: this.token,
+                class_session_id: sameTime.id,
+                user_id: second.trainee.id,
+                invitee_email: second.trainee.email
+            };
+            try {
+                await createRegistration(overlapping);
+                console.log('✗ Should have rejected an overlapping registration');
             } catch (error) {
-                if (error.code === grpc.status.NOT_FOUND) {
-                    console.log('! No routine found for trainee (expected if routine doesn\'t exist)');
+                if (error.code === grpc.status.ALREADY_EXISTS && error.details.includes(waiting.id)) {
+                    console.log('✓ Overlapping registration rejected with the conflicting id');
+                } else {
+                    console.log(`✗ Unexpected error: ${error.code} ${error.details}`);
                 }
             }
+            await createRegistration({ ...overlapping, allow_overlap: true });
+            console.log('✓ Admin override allowed the overlapping registration');
 
-            console.log('✓ Routine operations tests passed');
+            console.log('✓ Class session tests passed');
             return true;
         } catch (error) {
-            console.error('✗ Routine operations test failed:', error.message);
+            console.error('✗ Class session test failed:', error.message);
             throw error;
         }
     }
 
-    async testErrorHandling() {
-        console.log('\n=== Testing gRPC Error Handling ===');
+    async testRecurringRegistrations() {
+        console.log('\n=== Testing gRPC Recurring Registrations ===');
 
         try {
-            // Test invalid token
-            console.log('Testing invalid token...');
-            const listInvalid = this.promisify(traineeClient.ListTrainees, traineeClient);
-            try {
-                await listInvalid({
-                    token: 'invalid_token',
-                    pagination: { page: 1, page_size: 10 }
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const { workouts } = await listWorkouts({ token: this.token });
+
+            // Weekly classes in weeks 1, 2 and 4; week 3 has none
+            const week = 7 * 24 * 60 * 60 * 1000;
+            const firstStart = new Date(Math.floor((Date.now() + 2 * week) / 60000) * 60000);
+            const createClassSession = this.promisify(classSessionClient.CreateClassSession, classSessionClient);
+            const sessions = [];
+            for (const offset of [0, 1, 3]) {
+                const { class_session: session } = await createClassSession({
+                    token: this.token,
+                    workout_id: workouts[0].id,
+                    start_time: this.createTimestamp(firstStart.getTime() + offset * week),
+                    room: 'Studio 3',
+                    capacity: 5
                 });
-                console.log('✗ Should have failed with invalid token');
-            } catch (error) {
-                if (error.code === grpc.status.UNAUTHENTICATED) {
-                    console.log('✓ Properly rejected invalid token');
-                } else {
-                    console.log(`✗ Unexpected error code: ${error.code}`);
-                }
+                sessions.push(session);
             }
 
-            // Test missing required fields
-            console.log('Testing missing required fields...');
-            const createInvalid = this.promisify(traineeClient.CreateTrainee, traineeClient);
-            try {
-                await createInvalid({ name: 'Test' }); // Missing email and password
-                console.log('✗ Should have failed with missing fields');
-            } catch (error) {
-                if (error.code === grpc.status.INVALID_ARGUMENT) {
-                    console.log('✓ Properly rejected missing required fields');
-                } else {
-                    console.log(`✗ Unexpected error code: ${error.code}`);
-                }
+            // The member has no timezone, so occurrence dates are UTC dates
+            console.log('Creating recurring registration...');
+            const member = await this.loginAs('Recurring Member', 'recurring@example.com');
+            const createRegistration = this.promisify(registrationClient.CreateRegistration, registrationClient);
+            const created = await createRegistration({
+                token: this.token,
+                class_session_id: sessions[0].id,
+                user_id: member.trainee.id,
+                invitee_email: member.trainee.email,
+                recurrence: { frequency: 'WEEKLY', count: 4 }
+            });
+            const occurrences = created.series.occurrences;
+            if (occurrences.length === 3 && created.unmatched_dates.length === 1 &&
+                occurrences.every(occurrence => occurrence.series_id === created.series.id)) {
+                console.log(`✓ Series ${created.series.rrule} booked 3 occurrences, 1 date unmatched`);
+            } else {
+                throw new Error(`Unexpected series: ${occurrences.length} occurrences, ${created.unmatched_dates.length} unmatched`);
             }
 
-            // Test non-existent resource
-            console.log('Testing non-existent resource...');
-            const getInvalid = this.promisify(traineeClient.GetTrainee, traineeClient);
-            try {
-                await getInvalid({ token: this.token, trainee_id: 'non-existent-id' });
-                console.log('✗ Should have failed with non-existent ID');
-            } catch (error) {
-                if (error.code === grpc.status.NOT_FOUND) {
-                    console.log('✓ Properly rejected non-existent resource');
+            console.log('Testing "this and following" update...');
+            const updateRegistration = this.promisify(registrationClient.UpdateRegistration, registrationClient);
+            const updated = await updateRegistration({
+                token: this.token,
+                registration_id: occurrences[1].id,
+                registration_status: 'REGISTRATION_STATUS_CONFIRMED',
+                scope: 'RECURRENCE_SCOPE_THIS_AND_FOLLOWING'
+            });
+            if (updated.updated_occurrences.length === 2 &&
+                updated.updated_occurrences.every(occurrence => occurrence.registration_status === 'REGISTRATION_STATUS_CONFIRMED')) {
+                console.log('✓ Second and third occurrences confirmed');
+            } else {
+                throw new Error(`Unexpected update: ${updated.updated_occurrences.length} occurrences changed`);
+            }
+
+            console.log('Testing exception dates...');
+            const addExceptions = this.promisify(registrationClient.AddRecurrenceExceptions, registrationClient);
+            const withException = await addExceptions({
+                token: this.token,
+                series_id: created.series.id,
+                dates: [occurrences[2].occurrence_date]
+            });
+            if (withException.cancelled.length === 1 && withException.cancelled[0].id === occurrences[2].id &&
+                withException.series.recurrence.exception_dates.includes(occurrences[2].occurrence_date)) {
+                console.log('✓ Occurrence on the exception date cancelled');
+            } else {
+                throw new Error('Exception date did not cancel its occurrence');
+            }
+
+            console.log('Testing delete of all occurrences...');
+            const deleteRegistration = this.promisify(registrationClient.DeleteRegistration, registrationClient);
+            const deleted = await deleteRegistration({
+                token: this.token,
+                registration_id: occurrences[0].id,
+                scope: 'RECURRENCE_SCOPE_ALL'
+            });
+            if (deleted.deleted_count === 3) {
+                console.log('✓ All occurrences deleted');
+            } else {
+                throw new Error(`Unexpected delete count: ${deleted.deleted_count}`);
+            }
+
+            console.log('✓ Recurring registration tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Recurring registration test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testWatchRegistrations() {
+        console.log('\n=== Testing gRPC Registration Watch ===');
+
+        try {
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const { workouts } = await listWorkouts({ token: this.token });
+            const createClassSession = this.promisify(classSessionClient.CreateClassSession, classSessionClient);
+            const { class_session: classSession } = await createClassSession({
+                token: this.token,
+                workout_id: workouts[0].id,
+                start_time: this.createTimestamp(Date.now() + 21 * 24 * 60 * 60 * 1000),
+                room: 'Front Desk Studio',
+                capacity: 5
+            });
+
+            // Book, confirm and delete while watching the member's registrations
+            console.log('Testing live registration events...');
+            const member = await this.loginAs('Watch Member', 'watch@example.com');
+            const createRegistration = this.promisify(registrationClient.CreateRegistration, registrationClient);
+            const updateRegistration = this.promisify(registrationClient.UpdateRegistration, registrationClient);
+            const deleteRegistration = this.promisify(registrationClient.DeleteRegistration, registrationClient);
+            const events = await this.watchRegistrations({ token: this.token, trainee_id: member.trainee.id }, 3, async () => {
+                const { registration } = await createRegistration({
+                    token: this.token,
+                    class_session_id: classSession.id,
+                    user_id: member.trainee.id,
+                    invitee_email: member.trainee.email
+                });
+                await updateRegistration({
+                    token: this.token,
+                    registration_id: registration.id,
+                    registration_status: 'REGISTRATION_STATUS_CONFIRMED'
+                });
+                await deleteRegistration({ token: this.token, registration_id: registration.id });
+            });
+
+            const types = events.map(event => event.type.replace('REGISTRATION_EVENT_TYPE_', ''));
+            if (types.join() === 'CREATED,UPDATED,DELETED' &&
+                events.every(event => event.registration.user_id === member.trainee.id) &&
+                events[1].registration.registration_status === 'REGISTRATION_STATUS_CONFIRMED') {
+                console.log('✓ Created, updated and deleted events streamed in order');
+            } else {
+                throw new Error(`Unexpected events: ${types.join(', ')}`);
+            }
+
+            console.log('Testing resume after reconnect...');
+            const replayed = await this.watchRegistrations({
+                token: this.token,
+                trainee_id: member.trainee.id,
+                resume_token: events[0].resume_token
+            }, 2);
+            if (replayed.map(event => event.resume_token).join() === [events[1], events[2]].map(event => event.resume_token).join()) {
+                console.log('✓ Missed events replayed from the resume token');
+            } else {
+                throw new Error('Resumed stream did not replay the missed events');
+            }
+
+            // Deleting the class session detaches the booking; deleting the trainee removes it
+            console.log('Testing events for cascading deletes...');
+            const leaver = await this.loginAs('Cascade Member', `cascade-${Date.now()}@example.com`);
+            const { class_session: doomedSession } = await createClassSession({
+                token: this.token,
+                workout_id: workouts[0].id,
+                start_time: this.createTimestamp(Date.now() + 22 * 24 * 60 * 60 * 1000),
+                room: 'Front Desk Studio',
+                capacity: 5
+            });
+            const { registration: booked } = await createRegistration({
+                token: this.token,
+                class_session_id: doomedSession.id,
+                user_id: leaver.trainee.id,
+                invitee_email: leaver.trainee.email
+            });
+            const deleteClassSession = this.promisify(classSessionClient.DeleteClassSession, classSessionClient);
+            const deleteTrainee = this.promisify(traineeClient.DeleteTrainee, traineeClient);
+            const cascaded = await this.watchRegistrations({ token: this.token, trainee_id: leaver.trainee.id }, 2, async () => {
+                await deleteClassSession({ token: this.token, class_session_id: doomedSession.id });
+                await deleteTrainee({ token: this.token, trainee_id: leaver.trainee.id });
+            });
+            const cascadedTypes = cascaded.map(event => event.type.replace('REGISTRATION_EVENT_TYPE_', ''));
+            if (cascadedTypes.join() === 'UPDATED,DELETED' &&
+                cascaded.every(event => event.registration.id === booked.id) &&
+                !cascaded[0].registration.class_session_id) {
+                console.log('✓ Cascading deletes streamed as updated and deleted events');
+            } else {
+                throw new Error(`Unexpected cascade events: ${cascadedTypes.join(', ')}`);
+            }
+
+            try {
+                await this.watchRegistrations({ token: this.token, resume_token: 'not-a-token' }, 1);
+                console.log('✗ Should have rejected an invalid resume token');
+            } catch (error) {
+                if (error.code === grpc.status.INVALID_ARGUMENT) {
+                    console.log('✓ Properly rejected an invalid resume token');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            console.log('✓ Registration watch tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Registration watch test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testCheckIns() {
+        console.log('\n=== Testing gRPC Kiosk Check-ins ===');
+
+        try {
+            // A class starting in ten minutes is open for check-in
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const { workouts } = await listWorkouts({ token: this.token });
+            const createClassSession = this.promisify(classSessionClient.CreateClassSession, classSessionClient);
+            const { class_session: classSession } = await createClassSession({
+                token: this.token,
+                workout_id: workouts[0].id,
+                start_time: this.createTimestamp(Math.floor((Date.now() + 10 * 60 * 1000) / 60000) * 60000),
+                room: 'Kiosk Studio',
+                capacity: 5
+            });
+            const member = await this.loginAs('Kiosk Member', 'kiosk@example.com');
+            const createRegistration = this.promisify(registrationClient.CreateRegistration, registrationClient);
+            const { registration } = await createRegistration({
+                token: this.token,
+                class_session_id: classSession.id,
+                user_id: member.trainee.id,
+                invitee_email: member.trainee.email
+            });
+
+            console.log('Testing kiosk stream...');
+            const metadata = new grpc.Metadata();
+            metadata.set('authorization', `Bearer ${this.token}`);
+            const stream = checkInClient.Stream(metadata);
+            const replies = [];
+            const received = new Promise((resolve, reject) => {
+                stream.on('data', (reply) => {
+                    replies.push(reply);
+                    if (replies.length === 4) resolve();
+                });
+                stream.on('error', reject);
+            });
+
+            stream.write({ kiosk_id: 'test-door', heartbeat: { sent_at: this.createTimestamp(new Date()) } });
+            stream.write({ kiosk_id: 'test-door', scan: { scan_id: 'scan-1', trainee_id: member.trainee.id } });
+            stream.write({ kiosk_id: 'test-door', scan: { scan_id: 'scan-2', trainee_id: member.trainee.id } });
+            stream.write({ kiosk_id: 'test-door', scan: { scan_id: 'scan-3', trainee_id: 'no-such-member' } });
+            await received;
+
+            const [ack, first, second, unknown] = replies;
+            if (ack.event === 'heartbeat_ack' && ack.heartbeat_ack.heartbeat_interval_seconds > 0) {
+                console.log('✓ Heartbeat acknowledged');
+            } else {
+                throw new Error('Heartbeat was not acknowledged');
+            }
+            if (first.decision.accepted && first.decision.reason === 'CHECK_IN_REASON_CHECKED_IN' &&
+                first.decision.registration.id === registration.id &&
+                first.decision.registration.registration_status === 'REGISTRATION_STATUS_CHECKED_IN') {
+                console.log('✓ Scan accepted and registration checked in');
+            } else {
+                throw new Error(`Unexpected decision: ${first.decision.reason}`);
+            }
+            if (second.decision.accepted && second.decision.reason === 'CHECK_IN_REASON_ALREADY_CHECKED_IN') {
+                console.log('✓ Second scan accepted as already checked in');
+            } else {
+                throw new Error(`Unexpected decision: ${second.decision.reason}`);
+            }
+            if (!unknown.decision.accepted && unknown.decision.reason === 'CHECK_IN_REASON_UNKNOWN_MEMBER' &&
+                unknown.decision.scan_id === 'scan-3') {
+                console.log('✓ Unknown card denied');
+            } else {
+                throw new Error(`Unexpected decision: ${unknown.decision.reason}`);
+            }
+
+            console.log('Testing kiosk listing...');
+            const listKiosks = this.promisify(checkInClient.ListKiosks, checkInClient);
+            const { kiosks } = await listKiosks({ token: this.token });
+            const door = kiosks.find(kiosk => kiosk.kiosk_id === 'test-door');
+            if (door && door.alive && door.scans === 3 && door.accepted === 2) {
+                console.log('✓ Connected kiosk listed as alive');
+            } else {
+                throw new Error('Kiosk missing from the listing or not alive');
+            }
+
+            const closed = new Promise(resolve => stream.on('end', resolve));
+            stream.end();
+            await closed;
+
+            console.log('✓ Kiosk check-in tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Kiosk check-in test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testRoutineOperations() {
+        console.log('\n=== Testing gRPC Routine Operations ===');
+
+        try {
+            // Get a trainee ID first
+            const listTrainees = this.promisify(traineeClient.ListTrainees, traineeClient);
+            const traineesResult = await listTrainees({
+                token: this.token,
+                pagination: { page: 1, page_size: 1 }
+            });
+
+            if (!traineesResult.data || traineesResult.data.length === 0) {
+                console.log('! No trainees available for routine test, skipping...');
+                return true;
+            }
+
+            const traineeId = traineesResult.data[0].id;
+
+            // Create a routine
+            console.log('Creating test routine...');
+            const createRoutine = this.promisify(routineClient.CreateRoutine, routineClient);
+            const routineData = {
+                token: this.token,
+                user_id: traineeId,
+                availability: [
+                    { day: 'monday', start_time: '09:00', end_time: '11:00' },
+                    { day: 'friday', start_time: '16:00', end_time: '18:00' }
+                ]
+            };
+
+            const createResult = await createRoutine(routineData);
+            if (createResult.routine && createResult.routine.user_id === traineeId) {
+                console.log('✓ Routine created successfully');
+            } else {
+                console.log('! Routine already exists or creation failed, continuing...');
+            }
+
+            // Get trainee's routine
+            console.log('Testing get trainee routine...');
+            const getRoutine = this.promisify(routineClient.GetTraineeRoutine, routineClient);
+            try {
+                const getResult = await getRoutine({ token: this.token, trainee_id: traineeId });
+                if (getResult.routine && getResult.routine.user_id === traineeId) {
+                    console.log('✓ Get routine successful');
+                }
+            } catch (error) {
+                if (error.code === grpc.status.NOT_FOUND) {
+                    console.log('! No routine found for trainee (expected if routine doesn\'t exist)');
+                }
+            }
+
+            console.log('Testing routine validation...');
+            try {
+                await createRoutine({
+                    token: this.token,
+                    user_id: traineeId,
+                    availability: [
+                        { day: 'monday', start_time: '09:00', end_time: '10:00' },
+                        { day: 'funday', start_time: '25:99', end_time: '10:00' },
+                        { day: 'monday', start_time: '09:30', end_time: '11:00' }
+                    ]
+                });
+                console.log('✗ Should have rejected invalid slots');
+            } catch (error) {
+                const [trailer] = error.metadata ? error.metadata.get('field-violations') : [];
+                const fields = trailer ? JSON.parse(trailer).map(violation => violation.field) : [];
+                if (error.code === grpc.status.INVALID_ARGUMENT &&
+                    fields.includes('availability[1].day') && fields.includes('availability[1].start_time')) {
+                    console.log('✓ Invalid slots rejected with field violations');
+                } else {
+                    console.log(`✗ Unexpected error: ${error.code} ${fields.join(', ')}`);
+                }
+            }
+
+            try {
+                await createRoutine({
+                    token: this.token,
+                    user_id: traineeId,
+                    availability: [
+                        { day: 'monday', start_time: '09:00', end_time: '10:00' },
+                        { day: 'monday', start_time: '09:30', end_time: '11:00' }
+                    ]
+                });
+                console.log('✗ Should have rejected overlapping slots');
+            } catch (error) {
+                if (error.code === grpc.status.INVALID_ARGUMENT && error.details.includes('availability[1]')) {
+                    console.log('✓ Overlapping slots rejected');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            // Adjacent slots are stored as one
+            const routineOwner = await this.loginAs('Routine Member', 'routine@example.com');
+            const { routine } = await createRoutine({
+                token: this.token,
+                user_id: routineOwner.trainee.id,
+                availability: [
+                    { day: 'tuesday', start_time: '10:00', end_time: '11:00' },
+                    { day: 'tuesday', start_time: '09:00', end_time: '10:00' }
+                ]
+            });
+            const [slot] = routine.availability;
+            if (routine.availability.length === 1 && slot.start_time === '09:00' && slot.end_time === '11:00') {
+                console.log('✓ Adjacent slots merged');
+            } else {
+                throw new Error('Adjacent slots were not merged');
+            }
+
+            console.log('✓ Routine operations tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Routine operations test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testAvailabilityPolicy() {
+        console.log('\n=== Testing gRPC Availability Policy ===');
+
+        try {
+            // Available 09:00-12:00 UTC every day
+            const member = await this.loginAs('Availability Member', `availability-${Date.now()}@example.com`);
+            const createRoutine = this.promisify(routineClient.CreateRoutine, routineClient);
+            const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+            await createRoutine({
+                token: this.token,
+                user_id: member.trainee.id,
+                availability: days.map(day => ({ day, start_time: '09:00', end_time: '12:00' }))
+            });
+
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const { workouts } = await listWorkouts({ token: this.token });
+            const workout = workouts.find(candidate => candidate.duration > 0 && candidate.duration <= 180);
+            if (!workout) throw new Error('No workout of at most three hours to book');
+
+            const createClassSession = this.promisify(classSessionClient.CreateClassSession, classSessionClient);
+            const createRegistration = this.promisify(registrationClient.CreateRegistration, registrationClient);
+            const day = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+            const bookAt = async (hours) => {
+                const startTime = new Date(day);
+                startTime.setUTCHours(hours, 0, 0, 0);
+                const { class_session: classSession } = await createClassSession({
+                    token: this.token,
+                    workout_id: workout.id,
+                    start_time: this.createTimestamp(startTime),
+                    room: 'Studio 2',
+                    capacity: 5
+                });
+                return createRegistration({
+                    token: this.token,
+                    class_session_id: classSession.id,
+                    user_id: member.trainee.id,
+                    invitee_email: member.trainee.email
+                });
+            };
+
+            console.log('Testing booking inside the routine...');
+            const inside = await bookAt(9);
+            const check = inside.availability_check;
+            if (!check) {
+                console.log('! ROUTINE_AVAILABILITY_POLICY is off on the server; skipping');
+                return true;
+            }
+            if (check.result === 'WITHIN' && check.matching_slot && check.matching_slot.start_time === '09:00') {
+                console.log(`✓ Booking within ${check.matching_slot.day} 09:00-12:00 accepted (policy ${check.policy})`);
+            } else {
+                throw new Error(`Unexpected availability check: ${check.result}`);
+            }
+
+            console.log('Testing booking outside the routine...');
+            if (check.policy === 'reject') {
+                try {
+                    await bookAt(20);
+                    throw new Error('Booking outside the routine was accepted');
+                } catch (error) {
+                    if (error.code !== grpc.status.FAILED_PRECONDITION) throw error;
+                    console.log('✓ Booking outside the routine rejected');
+                }
+            } else {
+                const outside = await bookAt(20);
+                const warning = outside.availability_check;
+                if (outside.registration && warning && warning.result === 'OUTSIDE' &&
+                    warning.requested_slot.start_time === '20:00' && !warning.matching_slot) {
+                    console.log(`✓ Booking outside the routine made with a warning: ${warning.message}`);
+                } else {
+                    throw new Error('Booking outside the routine was not flagged');
+                }
+            }
+
+            console.log('✓ Availability policy tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Availability policy test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testScheduling() {
+        console.log('\n=== Testing gRPC Scheduling ===');
+
+        try {
+            // Available 09:00-10:00 every day, so any week has candidates
+            const member = await this.loginAs('Scheduling Member', 'scheduling@example.com');
+            const createRoutine = this.promisify(routineClient.CreateRoutine, routineClient);
+            const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+            try {
+                await createRoutine({
+                    token: this.token,
+                    user_id: member.trainee.id,
+                    availability: days.map(day => ({ day, start_time: '09:00', end_time: '10:00' }))
+                });
+            } catch (error) {
+                console.log('! Routine already exists, continuing...');
+            }
+
+            console.log('Testing slot recommendations...');
+            const recommendSlots = this.promisify(schedulingClient.RecommendSlots, schedulingClient);
+            const from = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const to = new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+            // A class session at 09:00 UTC fits the routine and has seats, so it is suggested
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const { workouts } = await listWorkouts({ token: this.token });
+            const workout = workouts.find(candidate => candidate.duration > 0 && candidate.duration <= 60);
+            if (!workout) throw new Error('No workout of at most an hour to suggest');
+
+            const sessionStart = new Date(from.getTime() + 2 * 24 * 60 * 60 * 1000);
+            sessionStart.setUTCHours(9, 0, 0, 0);
+            const createClassSession = this.promisify(classSessionClient.CreateClassSession, classSessionClient);
+            const { class_session: classSession } = await createClassSession({
+                token: this.token,
+                workout_id: workout.id,
+                start_time: this.createTimestamp(sessionStart),
+                room: 'Studio 3',
+                capacity: 5
+            });
+
+            const result = await recommendSlots({
+                token: this.token,
+                trainee_id: member.trainee.id,
+                from: this.createTimestamp(from),
+                to: this.createTimestamp(to),
+                limit: 100
+            });
+
+            const fitsWindow = result.slots.every(slot =>
+                slot.duration_minutes <= 60 &&
+                slot.slack_before_minutes + slot.duration_minutes + slot.slack_after_minutes <= 60 &&
+                slot.fit_score > 0 && slot.fit_score <= 1
+            );
+            const ranked = result.slots.every((slot, i) => i === 0 || result.slots[i - 1].fit_score >= slot.fit_score);
+            if (fitsWindow && ranked) {
+                console.log(`✓ ${result.slots.length} ranked slot suggestions returned`);
+            } else {
+                throw new Error('Slot suggestions outside the routine or not ranked');
+            }
+
+            if (result.slots.some(slot => slot.class_session_id === classSession.id)) {
+                console.log('✓ Class session with free seats suggested by its id');
+            } else {
+                throw new Error('Class session inside the routine was not suggested');
+            }
+
+            try {
+                await recommendSlots({
+                    token: this.token,
+                    trainee_id: member.trainee.id,
+                    from: this.createTimestamp(to),
+                    to: this.createTimestamp(from)
+                });
+                console.log('✗ Should have rejected an inverted date range');
+            } catch (error) {
+                if (error.code === grpc.status.INVALID_ARGUMENT) {
+                    console.log('✓ Properly rejected an inverted date range');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            // A second trainee free 09:30-11:00 every day shares 09:30-10:00 with the first
+            console.log('Testing common availability...');
+            const partner = await this.loginAs('Scheduling Partner', 'scheduling-partner@example.com');
+            try {
+                await createRoutine({
+                    token: this.token,
+                    user_id: partner.trainee.id,
+                    availability: days.map(day => ({ day, start_time: '09:30', end_time: '11:00' }))
+                });
+            } catch (error) {
+                console.log('! Routine already exists, continuing...');
+            }
+
+            const findCommonAvailability = this.promisify(schedulingClient.FindCommonAvailability, schedulingClient);
+            const common = await findCommonAvailability({
+                token: this.token,
+                trainee_ids: [member.trainee.id, partner.trainee.id],
+                from: this.createTimestamp(from),
+                to: this.createTimestamp(to),
+                min_duration_minutes: 15
+            });
+
+            const best = common.windows[0];
+            const ordered = common.windows.every((window, i) =>
+                i === 0 || common.windows[i - 1].available_count >= window.available_count);
+            if (best && best.available_count === 2 && ordered) {
+                console.log(`✓ ${common.windows.length} common windows, best has both trainees`);
+            } else {
+                throw new Error('Common availability windows not ranked by available trainees');
+            }
+
+            console.log('✓ Scheduling tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Scheduling test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testTimezones() {
+        console.log('\n=== Testing gRPC Timezones ===');
+
+        try {
+            console.log('Testing timezone validation...');
+            const createTrainee = this.promisify(traineeClient.CreateTrainee, traineeClient);
+            try {
+                await createTrainee({
+                    name: 'Martian',
+                    email: 'martian@example.com',
+                    password: 'password123',
+                    timezone: 'Mars/Olympus'
+                });
+                console.log('✗ Should have rejected an unknown timezone');
+            } catch (error) {
+                if (error.code === grpc.status.INVALID_ARGUMENT) {
+                    console.log('✓ Properly rejected an unknown timezone');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            const member = await this.loginAs('Timezone Member', 'timezone@example.com');
+            const updateTrainee = this.promisify(traineeClient.UpdateTrainee, traineeClient);
+            const { trainee } = await updateTrainee({
+                token: this.token,
+                trainee_id: member.trainee.id,
+                timezone: 'europe/tallinn'
+            });
+            if (trainee.timezone === 'Europe/Tallinn') {
+                console.log('✓ Timezone stored under its canonical name');
+            } else {
+                throw new Error(`Timezone stored as ${trainee.timezone}`);
+            }
+
+            // ICU would read "EST" as America/Panama; only Area/Location names are taken
+            try {
+                await updateTrainee({
+                    token: this.token,
+                    trainee_id: member.trainee.id,
+                    timezone: 'EST'
+                });
+                throw new Error('Timezone abbreviation EST was accepted');
+            } catch (error) {
+                if (error.code !== grpc.status.INVALID_ARGUMENT) throw error;
+                console.log('✓ Properly rejected the timezone abbreviation EST');
+            }
+
+            // Sessions half an hour either side of the 2030 DST changes in Tallinn:
+            // clocks go 03:00 -> 04:00 on 31 March and 04:00 -> 03:00 on 27 October
+            console.log('Testing list times rendered across DST changes...');
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const { workouts } = await listWorkouts({ token: this.token });
+            const createClassSession = this.promisify(classSessionClient.CreateClassSession, classSessionClient);
+            const expected = {
+                '2030-03-31T00:30:00Z': '2030-03-31T02:30:00+02:00',
+                '2030-03-31T01:30:00Z': '2030-03-31T04:30:00+03:00',
+                '2030-10-27T00:30:00Z': '2030-10-27T03:30:00+03:00',
+                '2030-10-27T01:30:00Z': '2030-10-27T03:30:00+02:00'
+            };
+            const sessionIds = {};
+            for (const startTime of Object.keys(expected)) {
+                const { class_session: classSession } = await createClassSession({
+                    token: this.token,
+                    workout_id: workouts[0].id,
+                    start_time: this.createTimestamp(startTime),
+                    room: 'DST Studio',
+                    capacity: 1
+                });
+                sessionIds[classSession.id] = expected[startTime];
+            }
+
+            const listClassSessions = this.promisify(classSessionClient.ListClassSessions, classSessionClient);
+            const listResult = await listClassSessions({
+                token: this.token,
+                from: this.createTimestamp('2030-03-30T00:00:00Z'),
+                to: this.createTimestamp('2030-10-28T00:00:00Z'),
+                time_zone: 'Europe/Tallinn'
+            });
+            const rendered = listResult.class_sessions.filter(session => sessionIds[session.id]);
+            if (rendered.length === 4 && rendered.every(session => session.local_start_time === sessionIds[session.id])) {
+                console.log('✓ Local times carry the offset in force at each instant');
+            } else {
+                throw new Error('Local times do not follow the DST changes');
+            }
+
+            try {
+                await listClassSessions({ token: this.token, time_zone: 'Mars/Olympus' });
+                console.log('✗ Should have rejected an unknown time_zone');
+            } catch (error) {
+                if (error.code === grpc.status.INVALID_ARGUMENT) {
+                    console.log('✓ Properly rejected an unknown time_zone');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            // 09:00 on a Sunday in Tallinn is 06:00 UTC in summer time and 07:00 UTC after it
+            console.log('Testing routine slots on DST days...');
+            const createRoutine = this.promisify(routineClient.CreateRoutine, routineClient);
+            try {
+                await createRoutine({
+                    token: this.token,
+                    user_id: member.trainee.id,
+                    availability: [{ day: 'sunday', start_time: '09:00', end_time: '10:00' }]
+                });
+            } catch (error) {
+                console.log('! Routine already exists, continuing...');
+            }
+
+            const recommendSlots = this.promisify(schedulingClient.RecommendSlots, schedulingClient);
+            for (const [from, to, startsAt] of [
+                ['2030-03-30T00:00:00Z', '2030-04-01T00:00:00Z', '2030-03-31T06:00:00.000Z'],
+                ['2030-10-26T00:00:00Z', '2030-10-28T00:00:00Z', '2030-10-27T07:00:00.000Z']
+            ]) {
+                const result = await recommendSlots({
+                    token: this.token,
+                    trainee_id: member.trainee.id,
+                    from: this.createTimestamp(from),
+                    to: this.createTimestamp(to)
+                });
+                const starts = result.slots.map(slot => new Date(Number(slot.start_time.seconds) * 1000).toISOString());
+                if (starts.length > 0 && starts.every(start => start === startsAt)) {
+                    console.log(`✓ Routine slot starts at ${startsAt}`);
+                } else {
+                    throw new Error(`Routine slot should start at ${startsAt}, got ${starts.join(', ')}`);
+                }
+            }
+
+            // Zones behind UTC: New York skips 02:00-03:00 on 10 March 2030 and repeats
+            // 01:00-02:00 on 3 November. A skipped 02:30 keeps EST (07:30 UTC); a
+            // repeated 01:30 is the second one, in EST (06:30 UTC).
+            console.log('Testing routine slots on DST days west of UTC...');
+            const westerner = await this.loginAs('New York Member', 'newyork@example.com');
+            await updateTrainee({ token: this.token, trainee_id: westerner.trainee.id, timezone: 'America/New_York' });
+            try {
+                await createRoutine({
+                    token: this.token,
+                    user_id: westerner.trainee.id,
+                    availability: [
+                        { day: 'sunday', start_time: '01:30', end_time: '02:00' },
+                        { day: 'sunday', start_time: '02:30', end_time: '04:00' }
+                    ]
+                });
+            } catch (error) {
+                console.log('! Routine already exists, continuing...');
+            }
+
+            const createWorkout = this.promisify(workoutClient.CreateWorkout, workoutClient);
+            const { workout: halfHour } = await createWorkout({ token: this.token, name: `DST ${Date.now()}`, duration: 30 });
+            for (const [from, to, startsAt] of [
+                ['2030-03-09T12:00:00Z', '2030-03-11T00:00:00Z', ['2030-03-10T06:30:00.000Z', '2030-03-10T07:30:00.000Z']],
+                ['2030-11-02T12:00:00Z', '2030-11-04T00:00:00Z', ['2030-11-03T06:30:00.000Z', '2030-11-03T07:30:00.000Z']]
+            ]) {
+                const result = await recommendSlots({
+                    token: this.token,
+                    trainee_id: westerner.trainee.id,
+                    workout_id: halfHour.id,
+                    from: this.createTimestamp(from),
+                    to: this.createTimestamp(to)
+                });
+                const starts = result.slots.map(slot => new Date(Number(slot.start_time.seconds) * 1000).toISOString()).sort();
+                if (starts.join() === startsAt.join()) {
+                    console.log(`✓ Routine slots start at ${startsAt.join(' and ')}`);
+                } else {
+                    throw new Error(`Routine slots should start at ${startsAt.join(', ')}, got ${starts.join(', ')}`);
+                }
+            }
+
+            console.log('✓ Timezone tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Timezone test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testListFiltering() {
+        console.log('\n=== Testing gRPC List Filtering ===');
+
+        try {
+            const suffix = Date.now();
+            const createWorkout = this.promisify(workoutClient.CreateWorkout, workoutClient);
+            for (const duration of [20, 40, 55, 90]) {
+                await createWorkout({ token: this.token, name: `Filtered ${duration} ${suffix}`, duration });
+            }
+
+            console.log('Testing workout duration range...');
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const { workouts } = await listWorkouts({
+                token: this.token,
+                filter: `name : "${suffix}" AND duration >= 30 AND duration <= 60`,
+                order_by: 'duration desc'
+            });
+            if (workouts.map(workout => workout.duration).join(',') === '55,40') {
+                console.log('✓ Workouts filtered by duration range and ordered');
+            } else {
+                throw new Error(`Unexpected workouts: ${workouts.map(workout => workout.name).join(', ')}`);
+            }
+
+            console.log('Testing trainee search...');
+            const listTrainees = this.promisify(traineeClient.ListTrainees, traineeClient);
+            const trainees = await listTrainees({
+                token: this.token,
+                pagination: { page: 1, page_size: 10 },
+                filter: '"TEST@example"'
+            });
+            if (trainees.data.some(trainee => trainee.email === 'test@example.com') &&
+                trainees.data.every(trainee => /test@example/i.test(trainee.name + trainee.email)) &&
+                Number(trainees.pagination.total) === trainees.data.length) {
+                console.log('✓ Trainees searched by name and email, counted with the filter');
+            } else {
+                throw new Error('Trainee search returned unexpected trainees');
+            }
+
+            console.log('Testing registration status filter...');
+            const listRegistrations = this.promisify(registrationClient.ListRegistrations, registrationClient);
+            const { registrations } = await listRegistrations({
+                token: this.token,
+                filter: 'status = "scheduled" OR status = "waitlisted"',
+                order_by: 'start_time asc'
+            });
+            const starts = registrations.map(registration => Number(registration.start_time.seconds));
+            if (registrations.every(registration =>
+                ['REGISTRATION_STATUS_SCHEDULED', 'REGISTRATION_STATUS_WAITLISTED'].includes(registration.registration_status)) &&
+                starts.every((start, index) => index === 0 || starts[index - 1] <= start)) {
+                console.log(`✓ Listed ${registrations.length} scheduled or waitlisted registrations by start time`);
+            } else {
+                throw new Error('Registration status filter returned unexpected registrations');
+            }
+
+            for (const [description, request] of [
+                ['unknown filter field', { filter: 'colour = "red"' }],
+                ['unknown order_by field', { order_by: 'popularity desc' }],
+                ['text operator on a number', { filter: 'duration : "3"' }]
+            ]) {
+                try {
+                    await listWorkouts({ token: this.token, ...request });
+                    throw new Error(`Should have rejected the ${description}`);
+                } catch (error) {
+                    if (error.code !== grpc.status.INVALID_ARGUMENT) throw error;
+                    console.log(`✓ Properly rejected the ${description}`);
+                }
+            }
+
+            console.log('✓ List filtering tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ List filtering test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testListPagination() {
+        console.log('\n=== Testing gRPC List Pagination ===');
+
+        try {
+            const suffix = Date.now();
+            const filter = `name : "Paged ${suffix}"`;
+            const createWorkout = this.promisify(workoutClient.CreateWorkout, workoutClient);
+            for (const duration of [10, 20, 30, 40, 50]) {
+                await createWorkout({ token: this.token, name: `Paged ${suffix} ${duration}`, duration });
+            }
+
+            console.log('Testing page tokens...');
+            const listWorkouts = this.promisify(workoutClient.ListWorkouts, workoutClient);
+            const seen = [];
+            const totals = [];
+            let pageToken = '';
+            do {
+                const { workouts, pagination } = await listWorkouts({
+                    token: this.token,
+                    filter,
+                    order_by: 'duration asc',
+                    pagination: { page_size: 2, page_token: pageToken, skip_total: seen.length > 0 }
+                });
+                seen.push(...workouts.map(workout => workout.duration));
+                totals.push(pagination.total);
+                pageToken = pagination.next_page_token;
+
+                // Sorts before the pages already sent, so it must not shift the later ones
+                if (seen.length === 2) {
+                    await createWorkout({ token: this.token, name: `Paged ${suffix} 5`, duration: 5 });
+                }
+            } while (pageToken);
+
+            if (seen.join(',') === '10,20,30,40,50' && totals[0] === 5 && totals.slice(1).every(total => total === undefined)) {
+                console.log('✓ Paged through every workout once, counting only when asked');
+            } else {
+                throw new Error(`Unexpected pages: ${seen.join(',')} (totals ${totals.join(',')})`);
+            }
+
+            console.log('Testing offset pages...');
+            const listTrainees = this.promisify(traineeClient.ListTrainees, traineeClient);
+            const firstPage = await listTrainees({ token: this.token, pagination: { page: 1, page_size: 1 } });
+            const secondPage = await listTrainees({ token: this.token, pagination: { page: 2, page_size: 1 } });
+            const byToken = firstPage.pagination.next_page_token
+                ? await listTrainees({ token: this.token, pagination: { page_size: 1, page_token: firstPage.pagination.next_page_token } })
+                : null;
+            if (!byToken || (byToken.data[0].id === secondPage.data[0].id && byToken.pagination.page === 2)) {
+                console.log('✓ Page numbers and page tokens agree');
+            } else {
+                throw new Error('Page 2 by number and by token differ');
+            }
+
+            const { pagination: first } = await listWorkouts({
+                token: this.token,
+                filter,
+                pagination: { page_size: 1 }
+            });
+            for (const [description, request] of [
+                ['token with another order_by', { filter, order_by: 'name', pagination: { page_token: first.next_page_token } }],
+                ['page combined with a token', { filter, pagination: { page: 2, page_token: first.next_page_token } }],
+                ['malformed token', { pagination: { page_token: 'not-a-token' } }]
+            ]) {
+                try {
+                    await listWorkouts({ token: this.token, ...request });
+                    throw new Error(`Should have rejected the ${description}`);
+                } catch (error) {
+                    if (error.code !== grpc.status.INVALID_ARGUMENT) throw error;
+                    console.log(`✓ Properly rejected the ${description}`);
+                }
+            }
+
+            console.log('✓ List pagination tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ List pagination test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testUpdateMasks() {
+        console.log('\n=== Testing gRPC Update Masks ===');
+
+        try {
+            const createWorkout = this.promisify(workoutClient.CreateWorkout, workoutClient);
+            const { workout } = await createWorkout({
+                token: this.token,
+                name: `Masked ${Date.now()}`,
+                duration: 30,
+                description: 'To be cleared',
+                color: '#00AA00'
+            });
+
+            console.log('Testing clearing a field named in the mask...');
+            const updateWorkout = this.promisify(workoutClient.UpdateWorkout, workoutClient);
+            const { workout: cleared } = await updateWorkout({
+                token: this.token,
+                workout_id: workout.id,
+                name: 'Not in the mask',
+                update_mask: { paths: ['description'] }
+            });
+            if (!cleared.description && cleared.name === workout.name && cleared.color === '#00AA00') {
+                console.log('✓ Description cleared; fields outside the mask unchanged');
+            } else {
+                throw new Error(`Unexpected workout after the masked update: ${JSON.stringify(cleared)}`);
+            }
+
+            console.log('Testing updates without a mask...');
+            const { workout: unmasked } = await updateWorkout({ token: this.token, workout_id: workout.id, duration: 45, color: '' });
+            if (unmasked.duration === 45 && unmasked.color === '#00AA00') {
+                console.log('✓ Empty fields left unchanged without a mask');
+            } else {
+                throw new Error(`Unexpected workout after the unmasked update: ${JSON.stringify(unmasked)}`);
+            }
+
+            for (const [description, request] of [
+                ['emptied duration', { update_mask: { paths: ['duration'] } }],
+                ['negative duration', { duration: -5, update_mask: { paths: ['duration'] } }],
+                ['unknown mask path', { update_mask: { paths: ['colour'] } }]
+            ]) {
+                try {
+                    await updateWorkout({ token: this.token, workout_id: workout.id, ...request });
+                    throw new Error(`Should have rejected the ${description}`);
+                } catch (error) {
+                    if (error.code !== grpc.status.INVALID_ARGUMENT) throw error;
+                    console.log(`✓ Properly rejected the ${description}`);
+                }
+            }
+
+            console.log('✓ Update mask tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Update mask test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testAuditLog() {
+        console.log('\n=== Testing gRPC Audit Log ===');
+
+        try {
+            // The workout created above must show up in the audit trail
+            console.log('Testing audit event listing...');
+            const listAuditEvents = this.promisify(auditClient.ListAuditEvents, auditClient);
+            const listResult = await listAuditEvents({
+                token: this.token,
+                entity: 'workout',
+                pagination: { page: 1, page_size: 10 }
+            });
+
+            const created = listResult.events.find(event => event.action === 'create' && event.protocol === 'grpc');
+            if (created && JSON.parse(created.after).name) {
+                console.log('✓ Workout creation was audited');
+            } else {
+                throw new Error('Audit log is missing the workout creation');
+            }
+
+            // Unlocking is a write too, even when the account was not locked
+            console.log('Testing audited account unlock...');
+            const unlockAccount = this.promisify(sessionClient.UnlockAccount, sessionClient);
+            const lockedEmail = `unlock-${Date.now()}@example.com`;
+            await unlockAccount({ token: this.token, email: lockedEmail });
+            const unlocks = await listAuditEvents({ token: this.token, entity: 'login_lockout', entity_id: lockedEmail });
+            if (unlocks.events.length === 1 && unlocks.events[0].action === 'delete') {
+                console.log('✓ Account unlock was audited');
+            } else {
+                throw new Error('Audit log is missing the account unlock');
+            }
+
+            console.log('Testing invalid audit filter...');
+            try {
+                await listAuditEvents({ token: this.token, entity: 'unknown' });
+                console.log('✗ Should have failed with an unknown entity');
+            } catch (error) {
+                if (error.code === grpc.status.INVALID_ARGUMENT) {
+                    console.log('✓ Properly rejected unknown entity filter');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            console.log('✓ Audit log tests passed');
+            return true;
+        } catch (error) {
+            console.error('✗ Audit log test failed:', error.message);
+            throw error;
+        }
+    }
+
+    async testErrorHandling() {
+        console.log('\n=== Testing gRPC Error Handling ===');
+
+        try {
+            // Test invalid token
+            console.log('Testing invalid token...');
+            const listInvalid = this.promisify(traineeClient.ListTrainees, traineeClient);
+            try {
+                await listInvalid({
+                    token: 'invalid_token',
+                    pagination: { page: 1, page_size: 10 }
+                });
+                console.log('✗ Should have failed with invalid token');
+            } catch (error) {
+                if (error.code === grpc.status.UNAUTHENTICATED) {
+                    console.log('✓ Properly rejected invalid token');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            // Test missing required fields
+            console.log('Testing missing required fields...');
+            const createInvalid = this.promisify(traineeClient.CreateTrainee, traineeClient);
+            try {
+                await createInvalid({ name: 'Test' }); // Missing email and password
+                console.log('✗ Should have failed with missing fields');
+            } catch (error) {
+                if (error.code === grpc.status.INVALID_ARGUMENT) {
+                    console.log('✓ Properly rejected missing required fields');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            // Test non-existent resource
+            console.log('Testing non-existent resource...');
+            const getInvalid = this.promisify(traineeClient.GetTrainee, traineeClient);
+            try {
+                await getInvalid({ token: this.token, trainee_id: 'non-existent-id' });
+                console.log('✗ Should have failed with non-existent ID');
+            } catch (error) {
+                if (error.code === grpc.status.NOT_FOUND) {
+                    console.log('✓ Properly rejected non-existent resource');
+                } else {
+                    console.log(`✗ Unexpected error code: ${error.code}`);
+                }
+            }
+
+            // Test role-based access control with a regular trainee account
+            console.log('Testing permission denied for trainee role...');
+            const memberEmail = 'member@example.com';
+            const memberPassword = 'password123';
+            const createMember = this.promisify(traineeClient.CreateTrainee, traineeClient);
+            try {
+                await createMember({ name: 'Member User', email: memberEmail, password: memberPassword });
+            } catch (error) {
+                if (!(error.message && error.message.includes('already in use'))) throw error;
+            }
+            const memberLogin = this.promisify(sessionClient.CreateSession, sessionClient);
+            const memberSession = await memberLogin({ email: memberEmail, password: memberPassword });
+            const deleteAsMember = this.promisify(workoutClient.DeleteWorkout, workoutClient);
+            try {
+                await deleteAsMember({ token: memberSession.token, workout_id: 'any-workout-id' });
+                console.log('✗ Trainee should not be able to delete workouts');
+            } catch (error) {
+                if (error.code === grpc.status.PERMISSION_DENIED) {
+                    console.log('✓ Properly rejected trainee deleting a workout');
                 } else {
                     console.log(`✗ Unexpected error code: ${error.code}`);
                 }
@@ -321,9 +1874,25 @@ class GrpcOnlyTester {
             console.log('=== Starting gRPC-Only Tests ===');
 
             await this.testAuthentication();
+            await this.testPasswordStorage();
+            await this.testSessionRefresh();
+            await this.testLoginLockout();
+            await this.testPasswordReset();
+            await this.testEmailVerification();
             await this.testTraineeOperations();
             await this.testWorkoutOperations();
+            await this.testClassSessions();
+            await this.testRecurringRegistrations();
+            await this.testWatchRegistrations();
+            await this.testCheckIns();
             await this.testRoutineOperations();
+            await this.testAvailabilityPolicy();
+            await this.testScheduling();
+            await this.testTimezones();
+            await this.testListFiltering();
+            await this.testListPagination();
+            await this.testUpdateMasks();
+            await this.testAuditLog();
             await this.testErrorHandling();
 
             // Test logout
@@ -340,6 +1909,8 @@ class GrpcOnlyTester {
         } catch (error) {
             console.error('\n❌ gRPC tests failed:', error.message);
             return false;
+        } finally {
+            await prisma.$disconnect();
         }
     }
 }